@@ -0,0 +1,36 @@
+// WIDGET_ALLOWED_ORIGINS="https://shop.example.com,https://checkout.example.com"
+function parseAllowedOrigins(value) {
+  return (value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      let url;
+      try {
+        url = new URL(entry);
+      } catch (_error) {
+        throw new Error(`Allowed origin "${entry}" is not a valid URL.`);
+      }
+
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error(`Allowed origin "${entry}" must use http or https.`);
+      }
+
+      return url.origin;
+    });
+}
+
+function isOriginAllowed(origin, allowedOrigins) {
+  if (!origin) return false;
+
+  try {
+    return allowedOrigins.includes(new URL(origin).origin);
+  } catch (_error) {
+    return false;
+  }
+}
+
+module.exports = {
+  parseAllowedOrigins,
+  isOriginAllowed
+};
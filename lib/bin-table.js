@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BIN_TABLE_PATH = path.join(__dirname, '..', 'data', 'bin-ranges.json');
+const CSV_COLUMNS = ['from', 'to', 'network', 'issuer', 'country', 'level'];
+
+function parseCsvLine(line) {
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+
+    if (inQuotes) {
+      if (char === '"' && line[index + 1] === '"') {
+        current += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  values.push(current.trim());
+  return values;
+}
+
+function parseBinCsv(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+
+  if (!lines.length) return { ranges: [] };
+
+  const header = parseCsvLine(lines[0]).map((column) => column.toLowerCase());
+  const unknownColumns = header.filter((column) => !CSV_COLUMNS.includes(column));
+  if (unknownColumns.length) {
+    throw new Error(`Unknown BIN table CSV column(s): ${unknownColumns.join(', ')}. Expected: ${CSV_COLUMNS.join(', ')}.`);
+  }
+
+  const ranges = lines.slice(1).map((line) => {
+    const values = parseCsvLine(line);
+    const range = {};
+
+    header.forEach((column, index) => {
+      if (values[index]) range[column] = values[index];
+    });
+
+    return range;
+  });
+
+  return { ranges };
+}
+
+function readBinTableFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  return path.extname(filePath).toLowerCase() === '.csv'
+    ? parseBinCsv(raw)
+    : JSON.parse(raw);
+}
+
+function validateBinTable(table, source) {
+  for (const [network, rules] of Object.entries(table.networks)) {
+    if (!Array.isArray(rules.lengths) || !rules.lengths.length) {
+      throw new Error(`BIN table ${source}: network ${network} needs a non-empty lengths array.`);
+    }
+  }
+
+  table.ranges.forEach((range, index) => {
+    const label = `BIN table ${source}: range #${index + 1}`;
+
+    if (!/^\d{1,8}$/.test(range.from || '') || !/^\d{1,8}$/.test(range.to || '')) {
+      throw new Error(`${label} needs numeric "from" and "to" prefixes.`);
+    }
+
+    if (range.from.length !== range.to.length || Number(range.from) > Number(range.to)) {
+      throw new Error(`${label} must have "from" <= "to" with the same number of digits.`);
+    }
+
+    if (range.network && !table.networks[range.network]) {
+      throw new Error(`${label} references unknown network ${range.network}.`);
+    }
+  });
+
+  return table;
+}
+
+// Bundled table first, then the optional ops-maintained file (JSON or CSV) layered on top
+function loadBinTable(overridePath) {
+  const base = readBinTableFile(DEFAULT_BIN_TABLE_PATH);
+  const table = {
+    networks: { ...base.networks },
+    ranges: [...base.ranges]
+  };
+
+  if (overridePath) {
+    const override = readBinTableFile(path.resolve(overridePath));
+    Object.assign(table.networks, override.networks || {});
+    table.ranges.push(...(override.ranges || []));
+  }
+
+  return validateBinTable(table, overridePath || DEFAULT_BIN_TABLE_PATH);
+}
+
+module.exports = {
+  DEFAULT_BIN_TABLE_PATH,
+  parseBinCsv,
+  loadBinTable
+};
@@ -0,0 +1,337 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./frame-quality'));
+  } else {
+    root.CardDetect = factory(root.FrameQuality);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FrameQuality) {
+  // Tuned on ~320px-wide grayscale copies of the area around the card guide
+  const DEFAULT_OPTIONS = {
+    // Scanlines cast from each side of the search area towards its centre
+    samplesPerSide: 24,
+    minEdgeStrength: 18,
+    // A scanline stops at the first gradient at least this share of its strongest one
+    edgePeakRatio: 0.5,
+    // Inlier distance for the line fit, as a share of the search area's shorter side
+    lineTolerance: 0.015,
+    minInlierRatio: 0.4,
+    // ID-1 cards are 1.586:1; perspective shortens one pair of sides
+    minAspectRatio: 1.3,
+    maxAspectRatio: 1.95,
+    minWidthRatio: 0.3
+  };
+
+  const DEFAULT_ALIGNMENT = {
+    // Card area relative to the on-screen guide
+    minCoverage: 0.6,
+    maxCoverage: 1.3,
+    maxRotation: 15,
+    // Largest corner angle difference from 90 degrees, i.e. how far the card is tilted away from the camera
+    maxCornerSkew: 15,
+    // Card centre distance from the guide centre, as a share of the guide width
+    maxCentreOffset: 0.15
+  };
+
+  // Checked in this order; the first problem found drives the hint
+  const ALIGNMENT_HINTS = {
+    too_far: 'Move the card closer.',
+    too_close: 'Move the card further away.',
+    off_centre: 'Centre the card in the frame.',
+    rotated: 'Straighten the card.',
+    tilted: 'Hold the card flat, facing the camera.'
+  };
+
+  function smooth(gray, width, height) {
+    const result = new Float32Array(gray.length);
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        let sum = 0;
+        let count = 0;
+        for (let dy = -1; dy <= 1; dy += 1) {
+          const sampleY = y + dy;
+          if (sampleY < 0 || sampleY >= height) continue;
+          for (let dx = -1; dx <= 1; dx += 1) {
+            const sampleX = x + dx;
+            if (sampleX < 0 || sampleX >= width) continue;
+            sum += gray[sampleY * width + sampleX];
+            count += 1;
+          }
+        }
+        result[y * width + x] = sum / count;
+      }
+    }
+    return result;
+  }
+
+  // Walks scanlines from one side towards the centre and keeps the first strong edge on each,
+  // which is the card border unless the background is cluttered (those points are dropped by fitLine)
+  function findEdgePoints(gray, width, height, side, options) {
+    const horizontalEdge = side === 'top' || side === 'bottom';
+    const length = horizontalEdge ? width : height;
+    const depth = horizontalEdge ? height : width;
+    const fromStart = side === 'top' || side === 'left';
+    const at = horizontalEdge
+      ? (along, across) => gray[across * width + along]
+      : (along, across) => gray[along * width + across];
+    const points = [];
+
+    for (let sample = 0; sample < options.samplesPerSide; sample += 1) {
+      const along = Math.round((length - 1) * (0.1 + (0.8 * sample) / (options.samplesPerSide - 1)));
+      const gradients = [];
+      for (let step = 1; step < Math.floor(depth / 2); step += 1) {
+        const across = fromStart ? step : depth - 1 - step;
+        gradients.push(Math.abs(at(along, across + 1) - at(along, across - 1)));
+      }
+
+      const strongest = Math.max(0, ...gradients);
+      if (strongest < options.minEdgeStrength) continue;
+
+      const threshold = Math.max(options.minEdgeStrength, strongest * options.edgePeakRatio);
+      let index = gradients.findIndex((gradient) => gradient >= threshold);
+      while (index + 1 < gradients.length && gradients[index + 1] > gradients[index]) index += 1;
+
+      const across = fromStart ? index + 1 : depth - 2 - index;
+      // u runs along the edge, v across it: (x, y) for top/bottom, (y, x) for left/right
+      points.push({ u: along, v: across });
+    }
+
+    return points;
+  }
+
+  // v = a * u + b through the largest set of points that agree, refined by least squares
+  function fitLine(points, tolerance, minInliers) {
+    let best = [];
+    for (let first = 0; first < points.length; first += 1) {
+      for (let second = first + 1; second < points.length; second += 1) {
+        const p = points[first];
+        const q = points[second];
+        if (p.u === q.u) continue;
+        const slope = (q.v - p.v) / (q.u - p.u);
+        const offset = p.v - slope * p.u;
+        const inliers = points.filter((point) => Math.abs(point.v - (slope * point.u + offset)) <= tolerance);
+        if (inliers.length > best.length) best = inliers;
+      }
+    }
+
+    if (best.length < Math.max(2, minInliers)) return null;
+
+    const count = best.length;
+    const meanU = best.reduce((sum, point) => sum + point.u, 0) / count;
+    const meanV = best.reduce((sum, point) => sum + point.v, 0) / count;
+    let covariance = 0;
+    let variance = 0;
+    best.forEach((point) => {
+      covariance += (point.u - meanU) * (point.v - meanV);
+      variance += (point.u - meanU) ** 2;
+    });
+    const slope = variance ? covariance / variance : 0;
+    return { slope, offset: meanV - slope * meanU };
+  }
+
+  // Horizontal-ish line y = a*x + b meets vertical-ish line x = c*y + d
+  function intersect(horizontal, vertical) {
+    const x = (vertical.slope * horizontal.offset + vertical.offset) / (1 - horizontal.slope * vertical.slope);
+    return { x, y: horizontal.slope * x + horizontal.offset };
+  }
+
+  function distance(p, q) {
+    return Math.hypot(q.x - p.x, q.y - p.y);
+  }
+
+  function isConvex(corners) {
+    let sign = 0;
+    for (let index = 0; index < corners.length; index += 1) {
+      const a = corners[index];
+      const b = corners[(index + 1) % corners.length];
+      const c = corners[(index + 2) % corners.length];
+      const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+      if (!cross) return false;
+      if (sign && Math.sign(cross) !== sign) return false;
+      sign = Math.sign(cross);
+    }
+    return true;
+  }
+
+  // imageData: { data: RGBA bytes, width, height } of the area around the guide.
+  // Returns the card outline as [topLeft, topRight, bottomRight, bottomLeft] in its pixels, or null.
+  function detectCard(imageData, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const { width, height } = imageData;
+    const gray = smooth(FrameQuality.toGrayscale(imageData.data, width, height), width, height);
+    const tolerance = Math.max(1, Math.min(width, height) * settings.lineTolerance);
+    const minInliers = Math.ceil(settings.samplesPerSide * settings.minInlierRatio);
+
+    const lines = {};
+    for (const side of ['top', 'bottom', 'left', 'right']) {
+      lines[side] = fitLine(findEdgePoints(gray, width, height, side, settings), tolerance, minInliers);
+      if (!lines[side]) return null;
+    }
+
+    const corners = [
+      intersect(lines.top, lines.left),
+      intersect(lines.top, lines.right),
+      intersect(lines.bottom, lines.right),
+      intersect(lines.bottom, lines.left)
+    ];
+
+    const slack = Math.min(width, height) * 0.02;
+    const inside = corners.every((corner) => Number.isFinite(corner.x) && Number.isFinite(corner.y) &&
+      corner.x >= -slack && corner.x <= width + slack && corner.y >= -slack && corner.y <= height + slack);
+    if (!inside || !isConvex(corners)) return null;
+
+    const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+    const cardWidth = (distance(topLeft, topRight) + distance(bottomLeft, bottomRight)) / 2;
+    const cardHeight = (distance(topLeft, bottomLeft) + distance(topRight, bottomRight)) / 2;
+    const aspectRatio = cardWidth / cardHeight;
+    if (aspectRatio < settings.minAspectRatio || aspectRatio > settings.maxAspectRatio) return null;
+    if (cardWidth < width * settings.minWidthRatio) return null;
+
+    return { corners, aspectRatio: Number(aspectRatio.toFixed(3)) };
+  }
+
+  function polygonArea(corners) {
+    let area = 0;
+    corners.forEach((corner, index) => {
+      const next = corners[(index + 1) % corners.length];
+      area += corner.x * next.y - next.x * corner.y;
+    });
+    return Math.abs(area) / 2;
+  }
+
+  function cornerSkew(corners) {
+    return Math.max(...corners.map((corner, index) => {
+      const previous = corners[(index + corners.length - 1) % corners.length];
+      const next = corners[(index + 1) % corners.length];
+      const angle = Math.atan2(previous.y - corner.y, previous.x - corner.x) - Math.atan2(next.y - corner.y, next.x - corner.x);
+      const degrees = Math.abs((angle * 180) / Math.PI) % 360;
+      return Math.abs(90 - Math.min(degrees, 360 - degrees));
+    }));
+  }
+
+  // corners from detectCard and guide { left, top, right, bottom }, in the same coordinates
+  function checkAlignment(corners, guide, options = {}) {
+    const limits = { ...DEFAULT_ALIGNMENT, ...options };
+    const guideWidth = guide.right - guide.left;
+    const guideHeight = guide.bottom - guide.top;
+    const coverage = polygonArea(corners) / (guideWidth * guideHeight);
+    const centre = {
+      x: corners.reduce((sum, corner) => sum + corner.x, 0) / corners.length,
+      y: corners.reduce((sum, corner) => sum + corner.y, 0) / corners.length
+    };
+    const centreOffset = distance(centre, { x: (guide.left + guide.right) / 2, y: (guide.top + guide.bottom) / 2 }) / guideWidth;
+    const [topLeft, topRight] = corners;
+    const rotation = Math.abs((Math.atan2(topRight.y - topLeft.y, topRight.x - topLeft.x) * 180) / Math.PI);
+    const skew = cornerSkew(corners);
+
+    let issue = null;
+    if (coverage < limits.minCoverage) issue = 'too_far';
+    else if (coverage > limits.maxCoverage) issue = 'too_close';
+    else if (centreOffset > limits.maxCentreOffset) issue = 'off_centre';
+    else if (rotation > limits.maxRotation) issue = 'rotated';
+    else if (skew > limits.maxCornerSkew) issue = 'tilted';
+
+    return {
+      aligned: !issue,
+      issue,
+      hint: issue ? ALIGNMENT_HINTS[issue] : '',
+      metrics: {
+        coverage: Number(coverage.toFixed(2)),
+        centreOffset: Number(centreOffset.toFixed(3)),
+        rotation: Math.round(rotation),
+        skew: Math.round(skew)
+      }
+    };
+  }
+
+  // 3x3 matrix (row-major, last entry 1) taking each `from` point onto the matching `to` point
+  function computeHomography(from, to) {
+    const rows = [];
+    from.forEach((source, index) => {
+      const target = to[index];
+      rows.push([source.x, source.y, 1, 0, 0, 0, -source.x * target.x, -source.y * target.x, target.x]);
+      rows.push([0, 0, 0, source.x, source.y, 1, -source.x * target.y, -source.y * target.y, target.y]);
+    });
+
+    // Gaussian elimination with partial pivoting on the 8x9 augmented matrix
+    for (let column = 0; column < 8; column += 1) {
+      let pivot = column;
+      for (let row = column + 1; row < 8; row += 1) {
+        if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+      }
+      if (Math.abs(rows[pivot][column]) < 1e-12) return null;
+      [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+      for (let row = 0; row < 8; row += 1) {
+        if (row === column) continue;
+        const factor = rows[row][column] / rows[column][column];
+        for (let entry = column; entry < 9; entry += 1) rows[row][entry] -= factor * rows[column][entry];
+      }
+    }
+
+    return rows.map((row, index) => row[8] / row[index]).concat(1);
+  }
+
+  function applyHomography(matrix, point) {
+    const w = matrix[6] * point.x + matrix[7] * point.y + matrix[8];
+    return {
+      x: (matrix[0] * point.x + matrix[1] * point.y + matrix[2]) / w,
+      y: (matrix[3] * point.x + matrix[4] * point.y + matrix[5]) / w
+    };
+  }
+
+  // Resamples the card outlined by `corners` in imageData into an upright width x height image.
+  // `margin` (share of each side) keeps a strip of the surroundings so the card edges stay visible.
+  function warpPerspective(imageData, corners, width, height, { margin = 0 } = {}) {
+    const marginX = width * margin;
+    const marginY = height * margin;
+    const target = [
+      { x: marginX, y: marginY },
+      { x: width - marginX, y: marginY },
+      { x: width - marginX, y: height - marginY },
+      { x: marginX, y: height - marginY }
+    ];
+    const matrix = computeHomography(target, corners);
+    if (!matrix) return null;
+
+    const source = imageData.data;
+    const sourceWidth = imageData.width;
+    const sourceHeight = imageData.height;
+    const output = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const point = applyHomography(matrix, { x: x + 0.5, y: y + 0.5 });
+        const sourceX = Math.min(sourceWidth - 1, Math.max(0, point.x - 0.5));
+        const sourceY = Math.min(sourceHeight - 1, Math.max(0, point.y - 0.5));
+        const left = Math.floor(sourceX);
+        const top = Math.floor(sourceY);
+        const right = Math.min(sourceWidth - 1, left + 1);
+        const bottom = Math.min(sourceHeight - 1, top + 1);
+        const fractionX = sourceX - left;
+        const fractionY = sourceY - top;
+        const offset = (y * width + x) * 4;
+
+        for (let channel = 0; channel < 4; channel += 1) {
+          const topValue = source[(top * sourceWidth + left) * 4 + channel] * (1 - fractionX) +
+            source[(top * sourceWidth + right) * 4 + channel] * fractionX;
+          const bottomValue = source[(bottom * sourceWidth + left) * 4 + channel] * (1 - fractionX) +
+            source[(bottom * sourceWidth + right) * 4 + channel] * fractionX;
+          output[offset + channel] = topValue * (1 - fractionY) + bottomValue * fractionY;
+        }
+      }
+    }
+
+    return { data: output, width, height };
+  }
+
+  return {
+    DEFAULT_OPTIONS,
+    DEFAULT_ALIGNMENT,
+    ALIGNMENT_HINTS,
+    detectCard,
+    checkAlignment,
+    computeHomography,
+    applyHomography,
+    warpPerspective
+  };
+});
@@ -0,0 +1,869 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../data/bin-ranges.json'), require('./name-rules').loadNameRules());
+  } else {
+    root.CardParser = factory(root.CARD_BIN_TABLE, root.CARD_NAME_RULES);
+  }
+})(typeof self !== 'undefined' ? self : this, function (defaultBinTable, defaultNameRules) {
+  const MIN_CARD_DIGITS = 13;
+  const MAX_CARD_DIGITS = 19;
+  const DEFAULT_GAPS = [4, 8, 12, 16];
+  const UNKNOWN_BRAND = { lengths: [13, 14, 15, 16, 17, 18, 19], gaps: DEFAULT_GAPS };
+  const MAX_NAME_SCORE = 20;
+  // Label-to-value distance, in value heights, beyond which a label no longer counts as adjacent
+  const MAX_LABEL_DISTANCE = 3;
+  const CARD_FIELDS = ['cardNumber', 'expiryDate', 'cardholderName', 'cardType'];
+  // Dates further ahead than this are OCR noise (e.g. "89" read as 2089), not expiry dates
+  const DEFAULT_MAX_EXPIRY_YEARS = 20;
+  // Name limits a rules pack may override; 26 is the ISO/IEC 7813 track 1 name length
+  const NAME_RULE_DEFAULTS = {
+    minWords: 1,
+    maxWords: 5,
+    maxWordLength: 20,
+    singleWordMinLength: 6,
+    maxLength: 26,
+    requireVowel: true,
+    vowels: 'AEIOUY'
+  };
+
+  let binTable = { networks: {}, ranges: [] };
+  let maxExpiryYears = DEFAULT_MAX_EXPIRY_YEARS;
+  let nameRules = null;
+
+  function normalizeDigitLikeText(text) {
+    return text
+      .toUpperCase()
+      .replace(/[OQD]/g, '0')
+      .replace(/[IL|]/g, '1')
+      .replace(/S/g, '5')
+      .replace(/B/g, '8')
+      .replace(/Z/g, '2')
+      .replace(/G/g, '6');
+  }
+
+  function luhnCheck(cardNumber) {
+    let sum = 0;
+    let shouldDouble = false;
+
+    for (let index = cardNumber.length - 1; index >= 0; index -= 1) {
+      let digit = Number(cardNumber[index]);
+
+      if (shouldDouble) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+
+      sum += digit;
+      shouldDouble = !shouldDouble;
+    }
+
+    return sum % 10 === 0;
+  }
+
+  function setBinTable(table) {
+    const networks = (table && table.networks) || {};
+    const ranges = ((table && table.ranges) || []).map((range, order) => ({ ...range, order }));
+
+    // Most specific range last: longer prefix, then narrower range, then later entry
+    ranges.sort((a, b) => {
+      if (a.from.length !== b.from.length) return a.from.length - b.from.length;
+      const widthA = Number(a.to) - Number(a.from);
+      const widthB = Number(b.to) - Number(b.from);
+      if (widthA !== widthB) return widthB - widthA;
+      return a.order - b.order;
+    });
+
+    binTable = { networks, ranges };
+  }
+
+  function getBinTable() {
+    return binTable;
+  }
+
+  // config: { rules, letters, honorifics, blockedWords } as merged by lib/name-rules.js
+  function setNameRules(config) {
+    const source = config || {};
+    const letters = source.letters || '';
+    const escapedLetters = letters.replace(/[\\\]^-]/g, '\\$&');
+
+    nameRules = {
+      rules: { ...NAME_RULE_DEFAULTS, ...source.rules },
+      letters,
+      honorifics: new Set(source.honorifics || []),
+      blockedWords: new Set(source.blockedWords || []),
+      // Letters outside A-Z and the loaded packs' letters rule a line out rather than split it
+      wordPattern: new RegExp(`^[A-Z${escapedLetters}'-]+$`, 'u')
+    };
+  }
+
+  function getNameRules() {
+    return {
+      rules: { ...nameRules.rules },
+      letters: nameRules.letters,
+      honorifics: [...nameRules.honorifics],
+      blockedWords: [...nameRules.blockedWords]
+    };
+  }
+
+  function setMaxExpiryYears(years) {
+    maxExpiryYears = years || DEFAULT_MAX_EXPIRY_YEARS;
+  }
+
+  // MM/YY (20YY) against the current month: 'valid', 'expired' once the month has passed,
+  // 'implausible' beyond the expiry window, or 'unknown' when there is no date
+  function checkExpiry(expiry, now = new Date()) {
+    const match = /^(0[1-9]|1[0-2])\/(\d{2})$/.exec(expiry || '');
+    if (!match) return 'unknown';
+
+    const month = (2000 + Number(match[2])) * 12 + Number(match[1]) - 1;
+    const currentMonth = now.getUTCFullYear() * 12 + now.getUTCMonth();
+    if (month < currentMonth) return 'expired';
+    return month > currentMonth + maxExpiryYears * 12 ? 'implausible' : 'valid';
+  }
+
+  function lookupBin(cardNumber) {
+    const digits = (cardNumber || '').replace(/\D/g, '');
+    let match = null;
+
+    for (const range of binTable.ranges) {
+      if (digits.length < range.from.length) continue;
+
+      const prefix = Number(digits.slice(0, range.from.length));
+      if (prefix < Number(range.from) || prefix > Number(range.to)) continue;
+
+      // Issuer-level rows may omit the network and inherit it from a broader range
+      const { from, to, order, ...metadata } = range;
+      match = { ...match, ...metadata, network: range.network || (match && match.network) };
+    }
+
+    if (!match || !match.network || !binTable.networks[match.network]) return null;
+
+    return { ...binTable.networks[match.network], ...match };
+  }
+
+  function detectCardType(cardNumber) {
+    const info = lookupBin(cardNumber);
+    return info ? info.network : 'UNKNOWN';
+  }
+
+  function getCardBrand(cardNumber) {
+    const info = lookupBin(cardNumber);
+    if (!info) return UNKNOWN_BRAND;
+
+    return {
+      lengths: info.lengths || UNKNOWN_BRAND.lengths,
+      gaps: info.gaps || DEFAULT_GAPS
+    };
+  }
+
+  function getMaxCardLength(cardNumber) {
+    const { lengths } = getCardBrand(cardNumber);
+    return lengths[lengths.length - 1];
+  }
+
+  function isValidCardLength(cardNumber) {
+    const digits = (cardNumber || '').replace(/\D/g, '');
+    return getCardBrand(digits).lengths.includes(digits.length);
+  }
+
+  function formatCardNumber(cardNumber) {
+    const digits = (cardNumber || '').replace(/\D/g, '');
+    const groups = [];
+    let start = 0;
+
+    for (const gap of getCardBrand(digits).gaps) {
+      if (gap >= digits.length) break;
+      groups.push(digits.slice(start, gap));
+      start = gap;
+    }
+
+    groups.push(digits.slice(start));
+    return groups.filter(Boolean).join(' ');
+  }
+
+  // reasons: codes for how a value was found (e.g. number_grouped, expiry_from_thru_label, name_near_expiry)
+  function emptyField() {
+    return { value: '', confidence: 0, sourceLine: '', reasons: [] };
+  }
+
+  // Lines to score, with their geometry when an OCR layout is given (its lines follow the text's reading order)
+  function getTextLines(rawText, layout) {
+    if (layout && layout.lines && layout.lines.length) {
+      return layout.lines
+        .map((line) => ({ text: (line.text || '').toUpperCase().trim(), geometry: line }))
+        .filter((line) => line.text);
+    }
+
+    return (rawText || '')
+      .toUpperCase()
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((text) => ({ text, geometry: null }));
+  }
+
+  function unionBoxes(boxes) {
+    return {
+      left: Math.min(...boxes.map((box) => box.left)),
+      top: Math.min(...boxes.map((box) => box.top)),
+      right: Math.max(...boxes.map((box) => box.right)),
+      bottom: Math.max(...boxes.map((box) => box.bottom))
+    };
+  }
+
+  // Box of the words covering [start, end) of a layout line
+  function boxForRange(geometry, start, end) {
+    const boxes = (geometry.words || [])
+      .filter((word) => word.start < end && word.start + word.text.length > start)
+      .map((word) => word.box);
+
+    return boxes.length ? unionBoxes(boxes) : geometry.box;
+  }
+
+  function findLabelBoxes(textLines, regex) {
+    const boxes = [];
+
+    textLines.forEach((line) => {
+      if (!line.geometry) return;
+
+      const instance = new RegExp(regex.source, 'g');
+      let match = instance.exec(line.text);
+      while (match) {
+        boxes.push(boxForRange(line.geometry, match.index, match.index + match[0].length));
+        match = instance.exec(line.text);
+      }
+    });
+
+    return boxes;
+  }
+
+  // Labels sit left of their value on the same row, or stacked above it
+  function labelDistance(label, target) {
+    const height = Math.max(target.bottom - target.top, 0.01);
+    const sameRow = Math.min(label.bottom, target.bottom) > Math.max(label.top, target.top);
+
+    if (sameRow && label.right <= target.left + height) {
+      return Math.max(0, target.left - label.right) / height;
+    }
+
+    if (label.bottom <= target.top + height / 2 && label.left < target.right && label.right > target.left - 3 * height) {
+      return Math.max(0, target.top - label.bottom) / height;
+    }
+
+    return Number.POSITIVE_INFINITY;
+  }
+
+  function labelProximity(labels, target) {
+    const distance = Math.min(Number.POSITIVE_INFINITY, ...labels.map((label) => labelDistance(label, target)));
+    return Math.max(0, MAX_LABEL_DISTANCE - distance);
+  }
+
+  function getSourceLine(text, offset) {
+    const start = text.lastIndexOf('\n', offset - 1) + 1;
+    const end = text.indexOf('\n', offset);
+    return text.slice(start, end === -1 ? text.length : end).trim();
+  }
+
+  // Digit groups of a run like "4532 6012 3456 7893 08", with their offsets in the text
+  function getDigitGroups(run) {
+    const groups = [];
+    const groupRegex = /\d+/g;
+
+    let group = groupRegex.exec(run[0]);
+    while (group) {
+      groups.push({ digits: group[0], offset: run.index + group.index });
+      group = groupRegex.exec(run[0]);
+    }
+
+    return groups;
+  }
+
+  // Other digits on the number's line (an expiry, a member id) join its run of groups,
+  // so every span of whole groups is tried: leftmost first, then longest
+  function findGroupedNumber(groups) {
+    for (let start = 0; start < groups.length; start += 1) {
+      for (let end = groups.length; end > start; end -= 1) {
+        const digits = groups.slice(start, end).map((group) => group.digits).join('');
+        if (digits.length < MIN_CARD_DIGITS) break;
+        if (digits.length <= MAX_CARD_DIGITS && isValidCardLength(digits) && luhnCheck(digits)) {
+          return { digits, offset: groups[start].offset };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  function findCardNumber(rawText) {
+    const compactText = normalizeDigitLikeText(rawText);
+    const runRegex = /\d+(?:[ -]\d+)*/g;
+
+    let run = runRegex.exec(compactText);
+    while (run) {
+      const found = findGroupedNumber(getDigitGroups(run));
+      if (found) {
+        return {
+          value: found.digits,
+          confidence: 0.9,
+          sourceLine: getSourceLine(rawText, found.offset),
+          reasons: ['number_grouped']
+        };
+      }
+      run = runRegex.exec(compactText);
+    }
+
+    // Fallback: any Luhn-valid run across the whole text, which can stitch unrelated digits together
+    const digitOffsets = [];
+    for (let offset = 0; offset < compactText.length; offset += 1) {
+      if (/\d/.test(compactText[offset])) digitOffsets.push(offset);
+    }
+
+    const allDigits = compactText.replace(/\D/g, '');
+    for (let start = 0; start <= allDigits.length - MIN_CARD_DIGITS; start += 1) {
+      const maxLength = Math.min(MAX_CARD_DIGITS, allDigits.length - start);
+      for (let len = maxLength; len >= MIN_CARD_DIGITS; len -= 1) {
+        const candidate = allDigits.slice(start, start + len);
+        if (isValidCardLength(candidate) && luhnCheck(candidate)) {
+          return {
+            value: candidate,
+            confidence: 0.4,
+            sourceLine: getSourceLine(rawText, digitOffsets[start]),
+            reasons: ['number_luhn_fallback_scan']
+          };
+        }
+      }
+    }
+
+    return emptyField();
+  }
+
+  function extractCardNumber(rawText) {
+    return findCardNumber(rawText).value;
+  }
+
+  function findExpiry(rawText, layout, now) {
+    const textLines = getTextLines(rawText, layout);
+    const lines = textLines.map((line) => line.text);
+
+    // Two or four year digits, not the start of a longer run ("08/202" is no date)
+    const dateRegex = /([0O][1-9]|1[0-2])\s*[-\/]\s*([0-9OQDIL|SBZG]{4}|[0-9OQDIL|SBZG]{2})(?!\d)/g;
+    const thruKeywordRegex = /(VALID\s*THRU|VALIDTHRU|THRU|THROUGH|\bEXP\b|EXPIRY|EXPIRES?|MM\s*\/?\s*YY|MONTH\s*\/?\s*YEAR)/;
+    const fromKeywordRegex = /(VALID\s*FROM|VALIDFROM|\bFROM\b|ISSUED?|SINCE|START)/;
+
+    function normalizeDateDigits(value) {
+      return (value || '')
+        .replace(/[OQD]/g, '0')
+        .replace(/[IL|]/g, '1')
+        .replace(/S/g, '5')
+        .replace(/B/g, '8')
+        .replace(/Z/g, '2')
+        .replace(/G/g, '6');
+    }
+
+    function toExpiry(monthRaw, yearRaw) {
+      const month = normalizeDateDigits(monthRaw);
+      const yearClean = normalizeDateDigits(yearRaw);
+      if (!/^(0[1-9]|1[0-2])$/.test(month)) return '';
+      if (!/^(\d{2}|\d{4})$/.test(yearClean)) return '';
+      const year = yearClean.length === 4 ? yearClean.slice(-2) : yearClean;
+      const expiry = `${month}/${year}`;
+      // Expired dates are kept for the caller to flag; anything else that is not a plausible MM/YY is dropped
+      return ['valid', 'expired'].includes(checkExpiry(expiry, now)) ? expiry : '';
+    }
+
+    function collectDateMatches(line) {
+      const matches = [];
+      let match = dateRegex.exec(line);
+      while (match) {
+        const expiry = toExpiry(match[1], match[2]);
+        if (expiry) {
+          matches.push({
+            expiry,
+            index: match.index
+          });
+        }
+        match = dateRegex.exec(line);
+      }
+      dateRegex.lastIndex = 0;
+      return matches;
+    }
+
+    function getPositions(line, regex) {
+      const matches = [];
+      const flags = regex.flags.includes('g') ? regex.flags : `${regex.flags}g`;
+      const instance = new RegExp(regex.source, flags);
+      let match = instance.exec(line);
+
+      while (match) {
+        matches.push(match.index);
+        match = instance.exec(line);
+      }
+
+      return matches;
+    }
+
+    function nearestDistance(target, positions) {
+      if (!positions.length) return Number.POSITIVE_INFINITY;
+      return Math.min(...positions.map((position) => Math.abs(target - position)));
+    }
+
+    function labelReason(score) {
+      if (score > 0) return 'expiry_from_thru_label';
+      return score < 0 ? 'expiry_near_from_label' : 'expiry_unlabelled';
+    }
+
+    function compareExpiry(a, b) {
+      const [aMonth, aYear] = a.expiry.split('/').map(Number);
+      const [bMonth, bYear] = b.expiry.split('/').map(Number);
+
+      if (aYear !== bYear) return bYear - aYear;
+      return bMonth - aMonth;
+    }
+
+    for (let index = 0; index < lines.length; index += 1) {
+      const line = lines[index];
+      const sameLineDates = collectDateMatches(line);
+      const hasFrom = fromKeywordRegex.test(line);
+      const hasThru = thruKeywordRegex.test(line);
+
+      if (hasFrom && hasThru && sameLineDates.length >= 2) {
+        return {
+          value: sameLineDates[sameLineDates.length - 1].expiry,
+          confidence: 0.95,
+          sourceLine: line,
+          reasons: ['expiry_valid_from_thru_pair']
+        };
+      }
+
+      const nextLine = index + 1 < lines.length ? lines[index + 1] : '';
+      const nextLineDates = nextLine ? collectDateMatches(nextLine) : [];
+      if (hasFrom && hasThru && !sameLineDates.length && nextLineDates.length >= 2) {
+        return {
+          value: nextLineDates[nextLineDates.length - 1].expiry,
+          confidence: 0.9,
+          sourceLine: nextLine,
+          reasons: ['expiry_valid_from_thru_pair']
+        };
+      }
+    }
+
+    const candidates = [];
+
+    lines.forEach((line, lineIndex) => {
+      const thruPositions = getPositions(line, thruKeywordRegex);
+      const fromPositions = getPositions(line, fromKeywordRegex);
+      const prevLine = lineIndex > 0 ? lines[lineIndex - 1] : '';
+      const nextLine = lineIndex + 1 < lines.length ? lines[lineIndex + 1] : '';
+
+      let match = dateRegex.exec(line);
+      while (match) {
+        const expiry = toExpiry(match[1], match[2]);
+        if (!expiry) {
+          match = dateRegex.exec(line);
+          continue;
+        }
+
+        const position = match.index;
+
+        let score = 0;
+
+        const thruDistance = nearestDistance(position, thruPositions);
+        const fromDistance = nearestDistance(position, fromPositions);
+
+        if (Number.isFinite(thruDistance)) {
+          score += Math.max(0, 80 - thruDistance);
+        }
+
+        if (Number.isFinite(fromDistance)) {
+          score -= Math.max(0, 90 - fromDistance);
+        }
+
+        if (thruPositions.length && position >= Math.min(...thruPositions)) {
+          score += 16;
+        }
+
+        if (fromPositions.length && position >= Math.min(...fromPositions)) {
+          score -= 24;
+        }
+
+        if (prevLine) {
+          if (thruKeywordRegex.test(prevLine)) score += 22;
+          if (fromKeywordRegex.test(prevLine)) score -= 18;
+        }
+
+        if (nextLine) {
+          if (thruKeywordRegex.test(nextLine)) score += 8;
+          if (fromKeywordRegex.test(nextLine)) score -= 8;
+        }
+
+        candidates.push({
+          expiry,
+          score,
+          lineIndex,
+          position,
+          length: match[0].length
+        });
+
+        match = dateRegex.exec(line);
+      }
+
+      dateRegex.lastIndex = 0;
+    });
+
+    if (!candidates.length) return emptyField();
+
+    // With OCR geometry, the date boxed next to a THRU/EXP label beats simply taking the latest date
+    if (layout) {
+      const thruLabels = findLabelBoxes(textLines, thruKeywordRegex);
+      const fromLabels = findLabelBoxes(textLines, fromKeywordRegex);
+      const labelled = candidates
+        .filter((candidate) => textLines[candidate.lineIndex].geometry)
+        .map((candidate) => {
+          const box = boxForRange(textLines[candidate.lineIndex].geometry, candidate.position, candidate.position + candidate.length);
+          return { candidate, labelScore: labelProximity(thruLabels, box) - labelProximity(fromLabels, box) };
+        })
+        .filter((entry) => entry.labelScore > 0)
+        .sort((a, b) => b.labelScore - a.labelScore || compareExpiry(a.candidate, b.candidate));
+
+      if (labelled.length) {
+        const { candidate } = labelled[0];
+        return {
+          value: candidate.expiry,
+          confidence: 0.9,
+          sourceLine: lines[candidate.lineIndex],
+          reasons: ['expiry_thru_label_box']
+        };
+      }
+    }
+
+    if (candidates.length > 1) {
+      const latest = [...candidates].sort(compareExpiry)[0];
+      return {
+        value: latest.expiry,
+        confidence: latest.score > 0 ? 0.75 : 0.5,
+        sourceLine: lines[latest.lineIndex],
+        reasons: ['expiry_latest_of_several', labelReason(latest.score)]
+      };
+    }
+
+    const [candidate] = candidates;
+    return {
+      value: candidate.expiry,
+      confidence: candidate.score > 0 ? 0.85 : 0.6,
+      sourceLine: lines[candidate.lineIndex],
+      reasons: [labelReason(candidate.score)]
+    };
+  }
+
+  function extractExpiry(rawText) {
+    return findExpiry(rawText).value;
+  }
+
+  function findCardholderName(rawText, layout) {
+    const { rules, honorifics, blockedWords, wordPattern } = nameRules;
+    const textLines = getTextLines(rawText, layout);
+    const lines = textLines.map((line) => line.text);
+
+    const anchorIndices = [];
+    const anchorPattern = /(VALID|THRU|THROUGH|EXP|MONTH|YEAR|MM\/?YY|DEBIT|CREDIT|CARD)/;
+    const cardNumberIndices = [];
+    const expiryIndices = [];
+
+    lines.forEach((line, index) => {
+      if (anchorPattern.test(line) || /(0[1-9]|1[0-2])\s*[\/-]\s*(\d{2}|\d{4})/.test(line)) {
+        anchorIndices.push(index);
+      }
+
+      const digitsOnly = line.replace(/\D/g, '');
+      if (digitsOnly.length >= MIN_CARD_DIGITS && digitsOnly.length <= MAX_CARD_DIGITS) {
+        cardNumberIndices.push(index);
+      }
+
+      if (/(0[1-9]|1[0-2])\s*[\/-]\s*(\d{2}|\d{4})/.test(line)) {
+        expiryIndices.push(index);
+      }
+    });
+
+    const numberHeight = Math.max(0, ...cardNumberIndices
+      .filter((index) => textLines[index].geometry)
+      .map((index) => textLines[index].geometry.box.bottom - textLines[index].geometry.box.top));
+
+    // Names sit in the lower-left of the card, smaller than the number; bank names and slogans sit high or in other sizes
+    function scoreNamePlacement(box) {
+      let placementScore = 0;
+      const centerY = (box.top + box.bottom) / 2;
+
+      if (centerY >= 0.55) placementScore += 4;
+      else if (centerY < 0.4) placementScore -= 6;
+
+      if (box.left <= 0.35) placementScore += 2;
+
+      if (numberHeight) {
+        const relativeHeight = (box.bottom - box.top) / numberHeight;
+        if (relativeHeight < 0.45 || relativeHeight > 1.3) placementScore -= 3;
+      }
+
+      return placementScore;
+    }
+
+    // Lookalike digits are only letters inside words ("5HARMA"); a line with a bare number is not a name
+    function splitNameLine(line) {
+      if (line.split(/\s+/).some((token) => /^\W*\d+\W*$/.test(token))) return [];
+
+      return line
+        .replace(/[0]/g, 'O')
+        .replace(/[1]/g, 'I')
+        .replace(/[5]/g, 'S')
+        .replace(/[8]/g, 'B')
+        .replace(/[\u2018\u2019`\u00B4]/g, "'")
+        .replace(/[\u2010\u2011\u2013]/g, '-')
+        .split(/[^\p{L}'-]+/u)
+        .map((word) => word.replace(/^['-]+|['-]+$/g, ''))
+        .filter(Boolean);
+    }
+
+    // Vowels are matched without accents, so É counts as E
+    function hasVowel(word) {
+      return [...word.normalize('NFD')].some((char) => rules.vowels.includes(char));
+    }
+
+    let bestCandidate = '';
+    let bestLine = '';
+    let bestScore = Number.NEGATIVE_INFINITY;
+    let bestReasons = [];
+
+    lines.forEach((line, index) => {
+      // The number and expiry lines are never the name, however their digits read as letters
+      if (cardNumberIndices.includes(index) || expiryIndices.includes(index)) return;
+
+      let words = splitNameLine(line);
+      if (!words.length || !words.every((word) => wordPattern.test(word))) return;
+
+      const reasons = [];
+      if (words.length > 1 && honorifics.has(words[0])) {
+        words = words.slice(1);
+        reasons.push('name_title_removed');
+      }
+
+      // Single letters are initials ("A K SHARMA"), only taken next to a real word of three or more letters
+      const fullWords = words.filter((word) => word.length > 1);
+      const fullName = words.join(' ');
+
+      if (!fullWords.length || fullName.length < 5 || fullName.length > rules.maxLength) return;
+      if (fullWords.length < words.length && !fullWords.some((word) => word.length >= 3)) return;
+      if (words.length < rules.minWords || words.length > rules.maxWords) return;
+      if (words.length === 1 && fullName.length < rules.singleWordMinLength) return;
+      if (fullWords.some((word) => word.length > rules.maxWordLength)) return;
+      if (words.some((word) => blockedWords.has(word) || word.split(/['-]/).some((part) => blockedWords.has(part)))) return;
+      if (rules.requireVowel && !fullWords.every(hasVowel)) return;
+
+      let score = 0;
+
+      if (words.length === 2 || words.length === 3) score += 5;
+      if (words.length === 4) score += 2;
+      if (words.length === 1 || words.length === 5) score += 1;
+
+      const avgLen = fullWords.join('').replace(/['-]/g, '').length / fullWords.length;
+      if (avgLen >= 3 && avgLen <= 8) score += 3;
+
+      if (fullWords.length >= 2) score += 2;
+      if (fullWords.length < words.length) reasons.push('name_initials');
+      if (words.length === 1) reasons.push('name_single_word');
+
+      if (anchorIndices.length) {
+        const minDistance = Math.min(...anchorIndices.map((anchorIndex) => Math.abs(anchorIndex - index)));
+        if (minDistance <= 2) {
+          score += 3;
+          reasons.push('name_near_card_label');
+        } else if (minDistance <= 4) score += 1;
+      }
+
+      if (cardNumberIndices.length) {
+        const nearestCardIndex = cardNumberIndices.reduce((closest, current) => (
+          Math.abs(current - index) < Math.abs(closest - index) ? current : closest
+        ));
+
+        if (index > nearestCardIndex && index - nearestCardIndex <= 6) {
+          score += 4;
+          reasons.push('name_below_number');
+        }
+        if (index < nearestCardIndex) {
+          score -= 2;
+          reasons.push('name_above_number');
+        }
+      }
+
+      if (expiryIndices.length) {
+        const nearestExpiryIndex = expiryIndices.reduce((closest, current) => (
+          Math.abs(current - index) < Math.abs(closest - index) ? current : closest
+        ));
+
+        if (index > nearestExpiryIndex && index - nearestExpiryIndex <= 4) {
+          score += 3;
+          reasons.push('name_near_expiry');
+        }
+      }
+
+      if (/(\p{L})\1{2,}/u.test(fullName)) {
+        score -= 3;
+        reasons.push('name_repeated_letters');
+      }
+
+      if (textLines[index].geometry) {
+        const placementScore = scoreNamePlacement(textLines[index].geometry.box);
+        score += placementScore;
+        if (placementScore > 0) reasons.push('name_lower_left');
+        if (placementScore < 0) reasons.push('name_unusual_placement');
+      }
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestCandidate = fullName;
+        bestLine = line;
+        bestReasons = reasons;
+      }
+    });
+
+    if (bestScore <= 0) return emptyField();
+
+    return {
+      value: bestCandidate,
+      confidence: Math.min(1, bestScore / MAX_NAME_SCORE),
+      sourceLine: bestLine,
+      reasons: bestReasons.length ? bestReasons : ['name_shape_only']
+    };
+  }
+
+  function extractCardholderName(rawText) {
+    return findCardholderName(rawText).value;
+  }
+
+  // CVV/CVC on the back (often printed after the last 4 digits on the signature panel), or Amex's 4-digit CID on the front.
+  // Ambiguous reads return nothing rather than a guess.
+  function parseSecurityCode(rawText, options = {}) {
+    const length = options.length || 3;
+    const side = options.side || 'back';
+    const last4 = (options.cardNumber || '').replace(/\D/g, '').slice(-4);
+    const labelPattern = /\b(CVV2?|CVC2?|CID|CSC|SECURITY\s*CODE)\b/;
+    const lines = (rawText || '')
+      .toUpperCase()
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+
+    // Only digit-like tokens that already contain a digit are normalized, so words stay words
+    function normalizeToken(token) {
+      return /\d/.test(token) && /^[0-9OQDILSBZG|]+$/.test(token) ? normalizeDigitLikeText(token) : token;
+    }
+
+    const candidates = [];
+
+    lines.forEach((line) => {
+      const tokens = line.split(/\s+/).map(normalizeToken);
+      const digits = tokens.filter((token) => /^\d+$/.test(token)).join('');
+      const hasLabel = labelPattern.test(line);
+      const codeTokens = tokens.filter((token) => new RegExp(`^\\d{${length}}$`).test(token));
+
+      if (side === 'back' && last4 && digits.length >= 4 + length) {
+        const panelIndex = digits.lastIndexOf(last4);
+        if (panelIndex >= 0 && panelIndex + 4 + length === digits.length) {
+          candidates.push({ value: digits.slice(-length), confidence: 0.9, sourceLine: line, reasons: ['code_after_last4'] });
+          return;
+        }
+      }
+
+      // A lone code on its line, or next to its label; longer digit runs are phone numbers, dates or card numbers
+      if (codeTokens.length === 1 && digits.length === length && !/\d\s*[\/-]\s*\d/.test(line)) {
+        const otherText = tokens.filter((token) => token !== codeTokens[0]).join(' ');
+        if (hasLabel || !/[A-Z]{3,}/.test(otherText)) {
+          candidates.push({
+            value: codeTokens[0],
+            confidence: hasLabel ? 0.8 : 0.5,
+            sourceLine: line,
+            reasons: [hasLabel ? 'code_labelled' : 'code_alone_on_line']
+          });
+        }
+      }
+    });
+
+    if (!candidates.length) return emptyField();
+
+    const bestConfidence = Math.max(...candidates.map((candidate) => candidate.confidence));
+    const best = candidates.filter((candidate) => candidate.confidence === bestConfidence);
+    if (new Set(best.map((candidate) => candidate.value)).size > 1) return emptyField();
+
+    return best[0];
+  }
+
+  function maskCardNumber(cardNumber) {
+    if (!cardNumber || cardNumber.length < 4) return '';
+
+    const visibleFrom = cardNumber.length - 4;
+    let digitIndex = 0;
+
+    return formatCardNumber(cardNumber).replace(/\d/g, (digit) => {
+      digitIndex += 1;
+      return digitIndex > visibleFrom ? digit : '•';
+    });
+  }
+
+  function parseCardText(rawText, options = {}) {
+    const text = rawText || '';
+    const fields = options.fields || CARD_FIELDS;
+    const result = {};
+
+    if (fields.includes('cardNumber') || fields.includes('cardType')) {
+      const cardNumber = findCardNumber(text);
+
+      if (fields.includes('cardNumber')) {
+        result.cardNumber = cardNumber;
+      }
+
+      if (fields.includes('cardType')) {
+        result.cardType = cardNumber.value
+          ? { value: detectCardType(cardNumber.value), confidence: cardNumber.confidence, sourceLine: cardNumber.sourceLine, reasons: ['type_from_bin'] }
+          : { value: 'UNKNOWN', confidence: 0, sourceLine: '', reasons: [] };
+      }
+    }
+
+    if (fields.includes('expiryDate')) {
+      result.expiryDate = findExpiry(text, options.layout, options.now);
+    }
+
+    if (fields.includes('cardholderName')) {
+      result.cardholderName = findCardholderName(text, options.layout);
+    }
+
+    return result;
+  }
+
+  setBinTable(defaultBinTable);
+  setNameRules(defaultNameRules);
+
+  return {
+    MIN_CARD_DIGITS,
+    MAX_CARD_DIGITS,
+    CARD_FIELDS,
+    DEFAULT_MAX_EXPIRY_YEARS,
+    parseCardText,
+    normalizeDigitLikeText,
+    luhnCheck,
+    detectCardType,
+    setBinTable,
+    getBinTable,
+    setNameRules,
+    getNameRules,
+    setMaxExpiryYears,
+    checkExpiry,
+    lookupBin,
+    getCardBrand,
+    getMaxCardLength,
+    isValidCardLength,
+    formatCardNumber,
+    extractCardNumber,
+    extractExpiry,
+    extractCardholderName,
+    parseSecurityCode,
+    maskCardNumber
+  };
+});
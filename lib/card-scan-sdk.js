@@ -0,0 +1,352 @@
+(function (root) {
+  // Served as /sdk/card-scan.js right after lib/e2e-crypto.js, so CardScanE2E is already defined
+  const currentScript = root.document && root.document.currentScript;
+  const DEFAULT_BASE_URL = currentScript && currentScript.src ? new URL(currentScript.src).origin : '';
+  const DESKTOP_TOKEN_HEADER = 'X-Desktop-Token';
+  const PUBLISHABLE_KEY_HEADER = 'X-Publishable-Key';
+  const POLL_INTERVAL_MS = 1500;
+  const RESULT_FIELDS = ['cardNumber', 'cardholderName', 'expiryDate', 'cardType', 'securityCode'];
+  const FIELD_AUTOCOMPLETE = {
+    cardNumber: 'cc-number',
+    cardholderName: 'cc-name',
+    expiryDate: 'cc-exp',
+    securityCode: 'cc-csc'
+  };
+
+  function createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  async function request(baseUrl, path, { method = 'GET', token, publishableKey, body } = {}) {
+    const headers = {};
+    if (token) headers[DESKTOP_TOKEN_HEADER] = token;
+    if (publishableKey) headers[PUBLISHABLE_KEY_HEADER] = publishableKey;
+    if (body) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      cache: 'no-store',
+      credentials: 'omit'
+    });
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok || !payload.ok) {
+      throw createError(payload.error || `Request failed with status ${response.status}`, payload.status || response.status);
+    }
+
+    return payload;
+  }
+
+  // EventSource can't send the desktop token header, so the SSE stream is read through fetch
+  async function readEventStream(url, token, signal, onEvent) {
+    const response = await fetch(url, {
+      headers: { [DESKTOP_TOKEN_HEADER]: token, Accept: 'text/event-stream' },
+      cache: 'no-store',
+      credentials: 'omit',
+      signal
+    });
+
+    if (!response.ok || !response.body) throw createError('Event stream unavailable', response.status);
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+
+      buffer += value;
+      let boundary = buffer.indexOf('\n\n');
+
+      while (boundary >= 0) {
+        const lines = buffer.slice(0, boundary).split('\n');
+        buffer = buffer.slice(boundary + 2);
+        boundary = buffer.indexOf('\n\n');
+
+        const data = lines.filter((line) => line.startsWith('data: ')).map((line) => line.slice(6)).join('\n');
+        if (lines.includes('event: status') && data) onEvent(JSON.parse(data));
+      }
+    }
+  }
+
+  function resolveElement(ref, scope) {
+    if (!ref) return null;
+    return typeof ref === 'string' ? (scope || root.document).querySelector(ref) : ref;
+  }
+
+  // Explicit `fields` win; otherwise look inside `target` for data-card-scan or standard autocomplete tokens
+  function findField(options, field) {
+    if (options.fields && options.fields[field]) return resolveElement(options.fields[field]);
+
+    const target = resolveElement(options.target);
+    if (!target) return null;
+
+    return target.querySelector(`[data-card-scan="${field}"]`) ||
+      (FIELD_AUTOCOMPLETE[field] ? target.querySelector(`[autocomplete="${FIELD_AUTOCOMPLETE[field]}"]`) : null);
+  }
+
+  function fillFields(options, result) {
+    RESULT_FIELDS.forEach((field) => {
+      const element = findField(options, field);
+      if (!element || result[field] == null) return;
+
+      element.value = result[field];
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+  }
+
+  function createModal(session, onClose) {
+    const doc = root.document;
+    const overlay = doc.createElement('div');
+    const dialog = doc.createElement('div');
+    const title = doc.createElement('h2');
+    const hint = doc.createElement('p');
+    const image = doc.createElement('img');
+    const status = doc.createElement('p');
+    const link = doc.createElement('a');
+    const closeButton = doc.createElement('button');
+
+    Object.assign(overlay.style, {
+      position: 'fixed',
+      inset: '0',
+      zIndex: '2147483647',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      background: 'rgba(15, 23, 42, 0.55)',
+      fontFamily: 'system-ui, -apple-system, Segoe UI, Roboto, sans-serif'
+    });
+    Object.assign(dialog.style, {
+      background: '#fff',
+      color: '#0f172a',
+      borderRadius: '14px',
+      padding: '22px',
+      width: 'min(320px, calc(100vw - 32px))',
+      textAlign: 'center',
+      boxShadow: '0 20px 50px rgba(15, 23, 42, 0.3)'
+    });
+    Object.assign(title.style, { margin: '0 0 6px', fontSize: '20px' });
+    Object.assign(hint.style, { margin: '0 0 12px', fontSize: '14px', color: '#475569' });
+    Object.assign(image.style, { width: '220px', height: '220px', display: 'block', margin: '0 auto' });
+    Object.assign(status.style, { minHeight: '20px', margin: '12px 0 8px', fontSize: '13px', color: '#334155' });
+    Object.assign(link.style, { display: 'block', marginBottom: '12px', fontSize: '13px', color: '#2563eb' });
+    Object.assign(closeButton.style, {
+      border: '1px solid #cbd5e1',
+      background: '#f8fafc',
+      borderRadius: '8px',
+      padding: '8px 18px',
+      cursor: 'pointer',
+      fontSize: '14px'
+    });
+
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    title.textContent = 'Scan on Mobile';
+    hint.textContent = 'Open your phone camera and scan this QR code.';
+    image.src = session.qrCode;
+    image.alt = 'Card scan QR code';
+    status.textContent = 'Waiting for mobile scan...';
+    link.href = session.mobileUrl;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = 'Scanning on this phone? Open the scanner';
+    closeButton.type = 'button';
+    closeButton.textContent = 'Close';
+    closeButton.addEventListener('click', onClose);
+
+    dialog.append(title, hint, image, status, link, closeButton);
+    overlay.appendChild(dialog);
+    doc.body.appendChild(overlay);
+
+    return {
+      setStatus(text) {
+        status.textContent = text;
+      },
+      remove() {
+        overlay.remove();
+      }
+    };
+  }
+
+  function describeProgress(progress) {
+    if (!progress || progress.stage === 'waiting') return 'Waiting for mobile scan...';
+    if (progress.stage === 'security_code') return 'Card front read. Now scanning the security code...';
+    if (progress.stage === 'card_expired') return 'The card has expired. Scan a different card on the phone...';
+    if (progress.stage === 'review') return 'Card read. Confirm the details on the phone...';
+    if (progress.stage === 'camera_error') return 'Phone camera unavailable. Allow camera access on the phone.';
+    if (progress.stage === 'scanning' && progress.uncertainFields && progress.uncertainFields.length) return 'Card detected. Hold steady on the phone...';
+    if (progress.stage === 'scanning' && progress.failedAttempts) return 'Scanning... hold the card closer and steady.';
+    if (progress.stage === 'scanning') return 'Scanning card on phone...';
+    return 'Scanner opened on phone...';
+  }
+
+  // CardScan.open({ onResult, onError, onClose, target, fields, baseUrl, publishableKey, showModal, securityCode, ocrMode })
+  function open(options = {}) {
+    const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '');
+    const useE2E = Boolean(root.CardScanE2E && root.CardScanE2E.isSupported());
+    let session = null;
+    let privateKey = null;
+    let modal = null;
+    let pollHandle = null;
+    let streamController = null;
+    let checking = false;
+    let delivering = false;
+    let finished = false;
+
+    function stopWatching() {
+      if (pollHandle) {
+        clearInterval(pollHandle);
+        pollHandle = null;
+      }
+
+      if (streamController) {
+        streamController.abort();
+        streamController = null;
+      }
+    }
+
+    function finish() {
+      finished = true;
+      stopWatching();
+      if (modal) modal.remove();
+    }
+
+    function fail(error) {
+      if (finished) return;
+      finish();
+      if (options.onError) options.onError(error);
+    }
+
+    async function deliver(res) {
+      const result = res.encryptedData
+        ? await root.CardScanE2E.open(privateKey, session.sessionId, res.encryptedData)
+        : res.data;
+
+      if (res.deliveryMode === 'ack') {
+        request(baseUrl, `/api/session/${encodeURIComponent(session.sessionId)}/ack`, { method: 'POST', token: session.desktopToken }).catch(() => {});
+      }
+
+      finish();
+      fillFields(options, result);
+      if (options.onResult) options.onResult(result);
+    }
+
+    async function checkForData() {
+      if (finished || checking || delivering) return;
+
+      checking = true;
+      let res;
+      try {
+        res = await request(baseUrl, `/api/get-data?sessionId=${encodeURIComponent(session.sessionId)}`, { token: session.desktopToken });
+      } finally {
+        checking = false;
+      }
+
+      if (finished) return;
+
+      if (res.status === 'ready') {
+        delivering = true;
+        stopWatching();
+        await deliver(res);
+      } else if (modal) {
+        modal.setStatus(describeProgress(res.progress));
+      }
+    }
+
+    // Network blips, 429 and 5xx are retried by the next poll; anything else ends the scan
+    function handleCheckError(error) {
+      const transient = error.code === undefined || error.code === 429 || (typeof error.code === 'number' && error.code >= 500);
+      if (!transient || delivering) fail(error);
+    }
+
+    function startPolling() {
+      if (finished || pollHandle) return;
+
+      pollHandle = setInterval(() => {
+        checkForData().catch(handleCheckError);
+      }, POLL_INTERVAL_MS);
+      checkForData().catch(handleCheckError);
+    }
+
+    function watch() {
+      if (typeof root.TextDecoderStream !== 'function' || typeof root.AbortController !== 'function') {
+        startPolling();
+        return;
+      }
+
+      streamController = new AbortController();
+      const url = `${baseUrl}/api/events?sessionId=${encodeURIComponent(session.sessionId)}`;
+
+      readEventStream(url, session.desktopToken, streamController.signal, (event) => {
+        if (event.status === 'ready') {
+          checkForData().catch(handleCheckError);
+        } else if (event.status === 'expired' || event.status === 'cancelled') {
+          fail(createError(event.status === 'expired' ? 'Scan session expired' : 'Scan session was cancelled', event.status));
+        } else if (event.status === 'pending' && modal) {
+          modal.setStatus(describeProgress(event.progress));
+        }
+      }).then(() => {
+        streamController = null;
+        if (!finished && !delivering) startPolling();
+      }, () => {
+        streamController = null;
+        if (!finished) startPolling();
+      });
+    }
+
+    function close() {
+      if (finished) return;
+      finish();
+
+      if (session) {
+        request(baseUrl, `/api/session/${encodeURIComponent(session.sessionId)}`, { method: 'DELETE', token: session.desktopToken }).catch(() => {});
+      }
+
+      if (options.onClose) options.onClose();
+    }
+
+    async function start() {
+      let publicKey = null;
+
+      if (options.securityCode && !useE2E) {
+        throw createError('Security code scanning needs WebCrypto in this browser', 'e2e_unsupported');
+      }
+
+      if (useE2E) {
+        const keyPair = await root.CardScanE2E.generateKeyPair();
+        privateKey = keyPair.privateKey;
+        publicKey = await root.CardScanE2E.exportPublicKey(keyPair.publicKey);
+      }
+
+      const body = publicKey ? { publicKey } : {};
+      if (options.securityCode) body.securityCode = true;
+      if (options.ocrMode) body.ocrMode = options.ocrMode;
+
+      session = await request(baseUrl, '/api/session', {
+        method: 'POST',
+        publishableKey: options.publishableKey,
+        body
+      });
+
+      if (finished) {
+        request(baseUrl, `/api/session/${encodeURIComponent(session.sessionId)}`, { method: 'DELETE', token: session.desktopToken }).catch(() => {});
+        return;
+      }
+
+      if (options.showModal !== false) modal = createModal(session, close);
+      if (options.onSession) options.onSession({ sessionId: session.sessionId, mobileUrl: session.mobileUrl, qrCode: session.qrCode });
+      watch();
+    }
+
+    start().catch(fail);
+
+    return { close };
+  }
+
+  root.CardScan = { open };
+})(typeof self !== 'undefined' ? self : this);
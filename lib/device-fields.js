@@ -0,0 +1,78 @@
+const { luhnCheck, detectCardType, extractExpiry, extractCardholderName } = require('./card-parser');
+
+const DEVICE_FIELDS = ['cardNumber', 'expiryDate', 'cardholderName'];
+const MAX_VALUE_LENGTH = 64;
+
+function emptyField() {
+  return { value: '', confidence: 0, sourceLine: '', reasons: [] };
+}
+
+// The phone's parser confidence is kept for consensus, clamped to what the server's own parser can produce
+function readConfidence(confidence) {
+  return typeof confidence === 'number' && Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0;
+}
+
+// Each value must be one the server's own parser rules would have produced from an image
+function validateValue(field, value) {
+  if (field === 'cardNumber') {
+    const digits = value.replace(/[\s-]/g, '');
+    return /^\d+$/.test(digits) && luhnCheck(digits) ? digits : '';
+  }
+
+  if (field === 'expiryDate') {
+    return extractExpiry(value) === value ? value : '';
+  }
+
+  const name = value.trim().replace(/\s+/g, ' ').toUpperCase();
+  return extractCardholderName(name) === name ? name : '';
+}
+
+// fields: { cardNumber, expiryDate, cardholderName } as { value, confidence } (parseCardText output) from on-device OCR.
+// Returns { error } for malformed input, otherwise { parsed, rejectedFields } with parsed in parseCardText's shape;
+// values that fail validation are dropped and listed in rejectedFields.
+function readDeviceFields(fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return { error: 'fields must be an object' };
+  }
+
+  const parsed = {};
+  const rejectedFields = [];
+
+  for (const field of DEVICE_FIELDS) {
+    const reading = fields[field];
+    parsed[field] = emptyField();
+    if (reading === undefined || reading === null) continue;
+
+    if (typeof reading !== 'object' || typeof reading.value !== 'string' || reading.value.length > MAX_VALUE_LENGTH) {
+      return { error: `fields.${field} must be { value, confidence } with a string value` };
+    }
+    if (!reading.value.trim()) continue;
+
+    const value = validateValue(field, reading.value);
+    if (!value) {
+      rejectedFields.push(field);
+      continue;
+    }
+
+    // The phone's own reason codes are not trusted either
+    parsed[field] = { value, confidence: readConfidence(reading.confidence), sourceLine: '', reasons: ['read_on_device'] };
+  }
+
+  // The network always comes from the server's BIN table, never from the phone
+  parsed.cardType = parsed.cardNumber.value
+    ? { value: detectCardType(parsed.cardNumber.value), confidence: parsed.cardNumber.confidence, sourceLine: '', reasons: ['type_from_bin'] }
+    : { value: 'UNKNOWN', confidence: 0, sourceLine: '', reasons: [] };
+
+  return { parsed, rejectedFields };
+}
+
+// Security code read on the phone; '' unless it is exactly the expected number of digits
+function readDeviceSecurityCode(value, length) {
+  return typeof value === 'string' && value.length === length && /^\d+$/.test(value) ? value : '';
+}
+
+module.exports = {
+  DEVICE_FIELDS,
+  readDeviceFields,
+  readDeviceSecurityCode
+};
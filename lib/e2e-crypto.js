@@ -0,0 +1,118 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('crypto').webcrypto);
+  } else {
+    root.CardScanE2E = factory(root.crypto);
+  }
+})(typeof self !== 'undefined' ? self : this, function (webCrypto) {
+  // ECIES-style: ephemeral ECDH P-256 -> HKDF-SHA256 -> AES-256-GCM, sessionId as salt and AAD
+  const ALGORITHM = 'ECDH-P256+HKDF-SHA256+A256GCM';
+  const HKDF_INFO = 'card-scan e2e v1';
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  function toBase64Url(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(value) {
+    const base64 = (value || '').replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '==='.slice((base64.length + 3) % 4));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  }
+
+  function isSupported() {
+    return Boolean(webCrypto && webCrypto.subtle);
+  }
+
+  function generateKeyPair(extractable = false) {
+    return webCrypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, extractable, ['deriveBits']);
+  }
+
+  async function exportPublicKey(publicKey) {
+    return toBase64Url(await webCrypto.subtle.exportKey('raw', publicKey));
+  }
+
+  async function importPublicKey(value) {
+    const raw = fromBase64Url(value);
+    if (raw.length !== 65 || raw[0] !== 4) {
+      throw new Error('Public key must be an uncompressed P-256 point.');
+    }
+
+    return webCrypto.subtle.importKey('raw', raw, { name: 'ECDH', namedCurve: 'P-256' }, true, []);
+  }
+
+  // Only used to carry the key across a same-tab navigation (sessionStorage); keys are otherwise non-extractable
+  function exportPrivateKey(privateKey) {
+    return webCrypto.subtle.exportKey('jwk', privateKey);
+  }
+
+  function importPrivateKey(jwk) {
+    return webCrypto.subtle.importKey('jwk', jwk, { name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+  }
+
+  async function deriveContentKey(privateKey, publicKey, sessionId, usage) {
+    const sharedBits = await webCrypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+    const hkdfKey = await webCrypto.subtle.importKey('raw', sharedBits, 'HKDF', false, ['deriveKey']);
+
+    return webCrypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: encoder.encode(sessionId), info: encoder.encode(HKDF_INFO) },
+      hkdfKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      [usage]
+    );
+  }
+
+  async function seal(recipientPublicKey, sessionId, payload) {
+    const recipientKey = await importPublicKey(recipientPublicKey);
+    const ephemeral = await generateKeyPair();
+    const contentKey = await deriveContentKey(ephemeral.privateKey, recipientKey, sessionId, 'encrypt');
+    const iv = webCrypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await webCrypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: encoder.encode(sessionId) },
+      contentKey,
+      encoder.encode(JSON.stringify(payload))
+    );
+
+    return {
+      v: 1,
+      alg: ALGORITHM,
+      epk: await exportPublicKey(ephemeral.publicKey),
+      iv: toBase64Url(iv),
+      ct: toBase64Url(ciphertext)
+    };
+  }
+
+  async function open(privateKey, sessionId, envelope) {
+    if (!envelope || envelope.alg !== ALGORITHM) {
+      throw new Error('Unsupported encrypted payload.');
+    }
+
+    const senderKey = await importPublicKey(envelope.epk);
+    const contentKey = await deriveContentKey(privateKey, senderKey, sessionId, 'decrypt');
+    const plaintext = await webCrypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64Url(envelope.iv), additionalData: encoder.encode(sessionId) },
+      contentKey,
+      fromBase64Url(envelope.ct)
+    );
+
+    return JSON.parse(decoder.decode(plaintext));
+  }
+
+  return {
+    ALGORITHM,
+    isSupported,
+    generateKeyPair,
+    exportPublicKey,
+    importPublicKey,
+    exportPrivateKey,
+    importPrivateKey,
+    seal,
+    open
+  };
+});
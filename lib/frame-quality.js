@@ -0,0 +1,159 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FrameQuality = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Tuned on ~240px-wide grayscale frames cropped to the card guide
+  const DEFAULT_THRESHOLDS = {
+    minBrightness: 50,
+    maxBrightness: 215,
+    // Share of clipped pixels in the digit band (the middle of the card) that counts as glare
+    maxGlareRatio: 0.04,
+    glareLevel: 248,
+    // Laplacian variance below this is blur or motion
+    minSharpness: 40,
+    // How far in from the crop border the card edges are looked for, and how many sides must show one
+    edgeBand: 0.3,
+    minEdgeStrength: 24,
+    minEdgeSides: 3
+  };
+
+  // Checked in this order; the first problem found drives the hint
+  const ISSUE_ORDER = ['too_dark', 'too_bright', 'no_card', 'glare', 'blurry'];
+  const HINTS = {
+    too_dark: 'Too dark. Move to better light.',
+    too_bright: 'Too bright. Avoid direct light on the card.',
+    no_card: 'Place the whole card inside the frame.',
+    glare: 'Glare on the digits. Tilt the card slightly.',
+    blurry: 'Hold steady. The image is blurry.'
+  };
+
+  function toGrayscale(rgba, width, height) {
+    const gray = new Float32Array(width * height);
+    for (let index = 0; index < gray.length; index += 1) {
+      const offset = index * 4;
+      gray[index] = 0.299 * rgba[offset] + 0.587 * rgba[offset + 1] + 0.114 * rgba[offset + 2];
+    }
+    return gray;
+  }
+
+  function measureSharpness(gray, width, height) {
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+
+    for (let y = 1; y < height - 1; y += 1) {
+      for (let x = 1; x < width - 1; x += 1) {
+        const index = y * width + x;
+        const laplacian = gray[index - width] + gray[index + width] + gray[index - 1] + gray[index + 1] - 4 * gray[index];
+        sum += laplacian;
+        sumSquares += laplacian * laplacian;
+        count += 1;
+      }
+    }
+
+    if (!count) return 0;
+    const mean = sum / count;
+    return sumSquares / count - mean * mean;
+  }
+
+  function measureExposure(gray, width, height, glareLevel) {
+    let total = 0;
+    for (let index = 0; index < gray.length; index += 1) total += gray[index];
+
+    // Embossed/printed digits run across the middle of the card
+    const bandTop = Math.floor(height * 0.35);
+    const bandBottom = Math.ceil(height * 0.75);
+    let clipped = 0;
+    for (let y = bandTop; y < bandBottom; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        if (gray[y * width + x] >= glareLevel) clipped += 1;
+      }
+    }
+
+    return {
+      brightness: gray.length ? total / gray.length : 0,
+      glareRatio: clipped / Math.max(1, (bandBottom - bandTop) * width)
+    };
+  }
+
+  // Strongest straight edge within `band` of each border. Signed gradients are averaged along the row/column,
+  // so a card edge adds up while background texture cancels out.
+  function measureEdges(gray, width, height, band) {
+    const rowsToCheck = Math.max(2, Math.floor(height * band));
+    const columnsToCheck = Math.max(2, Math.floor(width * band));
+    const xFrom = Math.floor(width * 0.2);
+    const xTo = Math.ceil(width * 0.8);
+    const yFrom = Math.floor(height * 0.2);
+    const yTo = Math.ceil(height * 0.8);
+
+    function rowEdge(y) {
+      let sum = 0;
+      for (let x = xFrom; x < xTo; x += 1) sum += gray[(y + 1) * width + x] - gray[(y - 1) * width + x];
+      return Math.abs(sum / (xTo - xFrom));
+    }
+
+    function columnEdge(x) {
+      let sum = 0;
+      for (let y = yFrom; y < yTo; y += 1) sum += gray[y * width + x + 1] - gray[y * width + x - 1];
+      return Math.abs(sum / (yTo - yFrom));
+    }
+
+    function strongest(from, to, edgeAt) {
+      let best = 0;
+      for (let position = from; position <= to; position += 1) best = Math.max(best, edgeAt(position));
+      return best;
+    }
+
+    return {
+      top: strongest(1, rowsToCheck, rowEdge),
+      bottom: strongest(height - 1 - rowsToCheck, height - 2, rowEdge),
+      left: strongest(1, columnsToCheck, columnEdge),
+      right: strongest(width - 1 - columnsToCheck, width - 2, columnEdge)
+    };
+  }
+
+  // imageData: { data: RGBA bytes, width, height }, e.g. from canvas getImageData
+  function assessFrame(imageData, thresholds = {}) {
+    const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    const { width, height } = imageData;
+    const gray = toGrayscale(imageData.data, width, height);
+    const exposure = measureExposure(gray, width, height, limits.glareLevel);
+    const edges = measureEdges(gray, width, height, limits.edgeBand);
+    const edgeSides = Object.values(edges).filter((strength) => strength >= limits.minEdgeStrength).length;
+    const sharpness = measureSharpness(gray, width, height);
+
+    const found = new Set();
+    if (exposure.brightness < limits.minBrightness) found.add('too_dark');
+    if (exposure.brightness > limits.maxBrightness) found.add('too_bright');
+    if (edgeSides < limits.minEdgeSides) found.add('no_card');
+    if (exposure.glareRatio > limits.maxGlareRatio) found.add('glare');
+    if (sharpness < limits.minSharpness) found.add('blurry');
+
+    const issues = ISSUE_ORDER.filter((issue) => found.has(issue));
+
+    return {
+      ok: issues.length === 0,
+      issues,
+      hint: issues.length ? HINTS[issues[0]] : '',
+      metrics: {
+        brightness: Math.round(exposure.brightness),
+        glareRatio: Number(exposure.glareRatio.toFixed(3)),
+        sharpness: Math.round(sharpness),
+        edgeSides
+      }
+    };
+  }
+
+  return {
+    DEFAULT_THRESHOLDS,
+    HINTS,
+    toGrayscale,
+    measureSharpness,
+    measureExposure,
+    measureEdges,
+    assessFrame
+  };
+});
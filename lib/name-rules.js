@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+
+const NAME_RULES_DIR = path.join(__dirname, '..', 'data', 'name-rules');
+const BASE_PACK = 'base';
+// Keeps the bundled Indian blocklist and honorifics unless NAME_LOCALES says otherwise
+const DEFAULT_NAME_LOCALES = ['en-IN'];
+// Limits packs may override; the card parser has the same defaults
+const RULE_TYPES = {
+  minWords: 'integer',
+  maxWords: 'integer',
+  maxWordLength: 'integer',
+  singleWordMinLength: 'integer',
+  maxLength: 'integer',
+  requireVowel: 'boolean',
+  vowels: 'letters'
+};
+
+function listNameLocales() {
+  return fs.readdirSync(NAME_RULES_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => path.basename(file, '.json'))
+    .filter((locale) => locale !== BASE_PACK)
+    .sort();
+}
+
+function isUppercaseLetters(value) {
+  return typeof value === 'string' && /^\p{Lu}*$/u.test(value);
+}
+
+const RULE_DESCRIPTIONS = {
+  integer: 'a positive integer',
+  boolean: 'true or false',
+  letters: 'a string of uppercase letters'
+};
+
+function isValidRule(type, value) {
+  if (type === 'integer') return Number.isInteger(value) && value > 0;
+  if (type === 'boolean') return typeof value === 'boolean';
+  return isUppercaseLetters(value) && value.length > 0;
+}
+
+function validateWordList(pack, key, source) {
+  const words = pack[key] || [];
+  if (!Array.isArray(words) || words.some((word) => !isUppercaseLetters(word) || !word)) {
+    throw new Error(`Name rules ${source}: ${key} must be an array of uppercase words.`);
+  }
+  return words;
+}
+
+function validatePack(pack, source) {
+  const rules = pack.rules || {};
+
+  for (const [key, value] of Object.entries(rules)) {
+    const type = RULE_TYPES[key];
+    if (!type) {
+      throw new Error(`Name rules ${source}: unknown rule "${key}". Expected: ${Object.keys(RULE_TYPES).join(', ')}.`);
+    }
+
+    if (!isValidRule(type, value)) {
+      throw new Error(`Name rules ${source}: rules.${key} must be ${RULE_DESCRIPTIONS[type]}.`);
+    }
+  }
+
+  if (pack.letters !== undefined && !isUppercaseLetters(pack.letters)) {
+    throw new Error(`Name rules ${source}: letters must be a string of uppercase letters.`);
+  }
+
+  return {
+    rules,
+    letters: pack.letters || '',
+    honorifics: validateWordList(pack, 'honorifics', source),
+    blockedWords: validateWordList(pack, 'blockedWords', source)
+  };
+}
+
+function readPack(filePath) {
+  return validatePack(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath);
+}
+
+// Later packs override rules; letters and word lists are combined
+function mergeNameRules(packs) {
+  const merged = { rules: {}, letters: '', honorifics: [], blockedWords: [] };
+
+  packs.forEach((pack) => {
+    Object.assign(merged.rules, pack.rules);
+    merged.letters = [...new Set([...merged.letters, ...pack.letters])].join('');
+    merged.honorifics = [...new Set([...merged.honorifics, ...pack.honorifics])];
+    merged.blockedWords = [...new Set([...merged.blockedWords, ...pack.blockedWords])];
+  });
+
+  return merged;
+}
+
+// Bundled base pack, then each locale pack in order, then the optional ops-maintained file on top
+function loadNameRules({ locales = DEFAULT_NAME_LOCALES, overridePath } = {}) {
+  const available = listNameLocales();
+  const unknown = locales.filter((locale) => !available.includes(locale));
+  if (unknown.length) {
+    throw new Error(`Unknown name locale(s): ${unknown.join(', ')}. Available: ${available.join(', ')}.`);
+  }
+
+  const packs = [BASE_PACK, ...locales].map((locale) => readPack(path.join(NAME_RULES_DIR, `${locale}.json`)));
+  if (overridePath) packs.push(readPack(path.resolve(overridePath)));
+
+  return mergeNameRules(packs);
+}
+
+// NAME_LOCALES: comma-separated pack names; empty for the base pack only
+function readNameLocalesFromEnv(env = process.env) {
+  if (env.NAME_LOCALES === undefined) return DEFAULT_NAME_LOCALES;
+  return env.NAME_LOCALES.split(',').map((locale) => locale.trim()).filter(Boolean);
+}
+
+module.exports = {
+  NAME_RULES_DIR,
+  DEFAULT_NAME_LOCALES,
+  listNameLocales,
+  mergeNameRules,
+  loadNameRules,
+  readNameLocalesFromEnv
+};
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+function createGoogleVisionProvider({ rootDir, isProduction }) {
+  const vision = require('@google-cloud/vision');
+  const localKeyPath = path.join(rootDir, 'vision-key.json');
+
+  // Production requires explicit credential configuration
+  const hasGoogleAppCredentials = Boolean(process.env.GOOGLE_APPLICATION_CREDENTIALS);
+  const hasLocalVisionKey = fs.existsSync(localKeyPath);
+
+  if (isProduction && !hasGoogleAppCredentials) {
+    throw new Error('GOOGLE_APPLICATION_CREDENTIALS must be set in production.');
+  }
+
+  if (!hasGoogleAppCredentials && !hasLocalVisionKey) {
+    throw new Error('Google Vision credential not found. Set GOOGLE_APPLICATION_CREDENTIALS or provide local vision-key.json for development.');
+  }
+
+  const client = new vision.ImageAnnotatorClient(
+    hasGoogleAppCredentials
+      ? {}
+      : { keyFilename: localKeyPath }
+  );
+
+  return {
+    name: 'vision',
+
+    async recognize(imageBuffer) {
+      const [result] = await client.documentTextDetection({
+        image: { content: imageBuffer.toString('base64') }
+      });
+
+      return {
+        text: result.fullTextAnnotation?.text || '',
+        annotation: result.fullTextAnnotation || null
+      };
+    },
+
+    async close() {
+      await client.close();
+    }
+  };
+}
+
+module.exports = { createGoogleVisionProvider };
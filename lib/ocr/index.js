@@ -0,0 +1,42 @@
+const { createGoogleVisionProvider } = require('./google-vision');
+const { createTesseractProvider } = require('./tesseract');
+const { createReplayProvider, withRecording } = require('./replay');
+const { getOcrLayout } = require('./layout');
+
+const OCR_PROVIDERS = {
+  vision: createGoogleVisionProvider,
+  tesseract: createTesseractProvider,
+  replay: createReplayProvider
+};
+
+const DEFAULT_OCR_PROVIDER = 'vision';
+
+function createOcrProvider(name, options = {}) {
+  const providerName = (name || DEFAULT_OCR_PROVIDER).trim().toLowerCase();
+  const factory = OCR_PROVIDERS[providerName];
+
+  if (!factory) {
+    throw new Error(`Unknown OCR_PROVIDER "${name}". Expected one of: ${Object.keys(OCR_PROVIDERS).join(', ')}.`);
+  }
+
+  const provider = factory(options);
+  const recordDir = options.recordDir ?? process.env.OCR_RECORD_DIR;
+
+  if (!recordDir || providerName === 'replay') {
+    return provider;
+  }
+
+  // Recordings hold raw card text, so they are a development-only aid
+  if (options.isProduction) {
+    throw new Error('OCR_RECORD_DIR must not be set in production.');
+  }
+
+  return withRecording(provider, { rootDir: options.rootDir, recordDir });
+}
+
+module.exports = {
+  OCR_PROVIDERS,
+  DEFAULT_OCR_PROVIDER,
+  createOcrProvider,
+  getOcrLayout
+};
@@ -0,0 +1,106 @@
+// Vision break types as strings (default client output) or proto enum numbers (older recordings)
+const BREAK_TYPES = ['UNKNOWN', 'SPACE', 'SURE_SPACE', 'EOL_SURE_SPACE', 'HYPHEN', 'LINE_BREAK'];
+const LINE_ENDING_BREAKS = new Set(['EOL_SURE_SPACE', 'HYPHEN', 'LINE_BREAK']);
+const SPACE_BREAKS = new Set(['SPACE', 'SURE_SPACE']);
+
+function getBreakType(symbol) {
+  const type = symbol.property?.detectedBreak?.type;
+  return typeof type === 'number' ? BREAK_TYPES[type] : type || null;
+}
+
+function toBox(boundingBox) {
+  // Vision omits zero coordinates
+  const vertices = (boundingBox?.vertices || []).map((vertex) => ({ x: vertex.x || 0, y: vertex.y || 0 }));
+  if (!vertices.length) return null;
+
+  return {
+    left: Math.min(...vertices.map((vertex) => vertex.x)),
+    top: Math.min(...vertices.map((vertex) => vertex.y)),
+    right: Math.max(...vertices.map((vertex) => vertex.x)),
+    bottom: Math.max(...vertices.map((vertex) => vertex.y))
+  };
+}
+
+function unionBoxes(boxes) {
+  return {
+    left: Math.min(...boxes.map((box) => box.left)),
+    top: Math.min(...boxes.map((box) => box.top)),
+    right: Math.max(...boxes.map((box) => box.right)),
+    bottom: Math.max(...boxes.map((box) => box.bottom))
+  };
+}
+
+function scaleBox(box, width, height) {
+  const round = (value) => Number(value.toFixed(4));
+  return {
+    left: round(box.left / width),
+    top: round(box.top / height),
+    right: round(box.right / width),
+    bottom: round(box.bottom / height)
+  };
+}
+
+// Regroups Vision's block/paragraph/word tree into text lines whose words keep their offset in the line
+// and their box, scaled to 0..1 of the captured frame (the phone crops frames to the card guide)
+function visionAnnotationToLayout(annotation) {
+  const pages = annotation?.pages || [];
+  if (!pages.length) return null;
+
+  const lines = [];
+  let current = null;
+
+  function endLine() {
+    if (current && current.words.length) {
+      current.text = current.text.trimEnd();
+      lines.push(current);
+    }
+    current = null;
+  }
+
+  pages.forEach((page) => {
+    (page.blocks || []).forEach((block) => {
+      (block.paragraphs || []).forEach((paragraph) => {
+        (paragraph.words || []).forEach((word) => {
+          const symbols = word.symbols || [];
+          const text = symbols.map((symbol) => symbol.text || '').join('');
+          const box = toBox(word.boundingBox);
+          if (!text || !box) return;
+
+          if (!current) current = { text: '', words: [] };
+          current.words.push({ text, start: current.text.length, box });
+          current.text += text;
+
+          const breakType = symbols.length ? getBreakType(symbols[symbols.length - 1]) : null;
+          if (LINE_ENDING_BREAKS.has(breakType)) endLine();
+          else if (SPACE_BREAKS.has(breakType)) current.text += ' ';
+        });
+        endLine();
+      });
+    });
+  });
+
+  if (!lines.length) return null;
+
+  const allBoxes = lines.flatMap((line) => line.words.map((word) => word.box));
+  const extent = unionBoxes(allBoxes);
+  const width = pages[0].width || extent.right || 1;
+  const height = pages[0].height || extent.bottom || 1;
+
+  return {
+    lines: lines.map((line) => ({
+      text: line.text,
+      box: scaleBox(unionBoxes(line.words.map((word) => word.box)), width, height),
+      words: line.words.map((word) => ({ text: word.text, start: word.start, box: scaleBox(word.box, width, height) }))
+    }))
+  };
+}
+
+// Layout for the card parser from a provider result, or null when the provider has no geometry
+function getOcrLayout(result) {
+  return result && result.annotation ? visionAnnotationToLayout(result.annotation) : null;
+}
+
+module.exports = {
+  visionAnnotationToLayout,
+  getOcrLayout
+};
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REPLAY_DIR = path.join('test', 'fixtures', 'ocr-recordings');
+
+function hashImage(imageBuffer) {
+  return crypto.createHash('sha256').update(imageBuffer).digest('hex');
+}
+
+function getRecordingPath(directory, imageBuffer) {
+  return path.join(directory, `${hashImage(imageBuffer)}.json`);
+}
+
+function createReplayProvider({ rootDir, replayDir }) {
+  const directory = path.resolve(rootDir, replayDir || process.env.OCR_REPLAY_DIR || DEFAULT_REPLAY_DIR);
+
+  return {
+    name: 'replay',
+
+    async recognize(imageBuffer) {
+      const recordingPath = getRecordingPath(directory, imageBuffer);
+      let raw;
+
+      try {
+        raw = await fs.promises.readFile(recordingPath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`No OCR recording found for image ${path.basename(recordingPath, '.json')}.`);
+        }
+        throw error;
+      }
+
+      const recording = JSON.parse(raw);
+      return {
+        text: recording.text || '',
+        annotation: recording.annotation || null
+      };
+    },
+
+    async close() {}
+  };
+}
+
+// Wraps a live provider and saves every result keyed by image hash for later replay
+function withRecording(provider, { rootDir, recordDir }) {
+  const directory = path.resolve(rootDir, recordDir);
+
+  return {
+    name: provider.name,
+
+    // `record: false` keeps frames that must never touch disk (card backs with the security code) out of recordings
+    async recognize(imageBuffer, { record = true } = {}) {
+      const result = await provider.recognize(imageBuffer);
+      if (!record) return result;
+
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(
+        getRecordingPath(directory, imageBuffer),
+        `${JSON.stringify({
+          provider: provider.name,
+          recordedAt: new Date().toISOString(),
+          text: result.text || '',
+          annotation: result.annotation || null
+        }, null, 2)}\n`
+      );
+
+      return result;
+    },
+
+    close() {
+      return provider.close();
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_REPLAY_DIR,
+  hashImage,
+  createReplayProvider,
+  withRecording
+};
@@ -0,0 +1,60 @@
+const path = require('path');
+
+// Without a langPath tesseract.js downloads the model from a CDN. English ships with the
+// @tesseract.js-data/eng package (the best_int model OEM 1 reads); other languages need TESSERACT_LANG_PATH.
+function getDefaultLangPath(language) {
+  if (language !== 'eng') {
+    throw new Error(`TESSERACT_LANG_PATH must point at the folder holding ${language} traineddata; only English is bundled.`);
+  }
+
+  return path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+}
+
+function createTesseractProvider({ createWorker = require('tesseract.js').createWorker } = {}) {
+  const language = process.env.TESSERACT_LANG || 'eng';
+  const workerOptions = { langPath: process.env.TESSERACT_LANG_PATH || getDefaultLangPath(language) };
+
+  if (process.env.TESSERACT_CACHE_PATH) workerOptions.cachePath = process.env.TESSERACT_CACHE_PATH;
+
+  let workerPromise = null;
+
+  function getWorker() {
+    if (!workerPromise) {
+      workerPromise = createWorker(language, 1, workerOptions).catch((error) => {
+        workerPromise = null;
+        throw error;
+      });
+    }
+
+    return workerPromise;
+  }
+
+  return {
+    name: 'tesseract',
+
+    async recognize(imageBuffer) {
+      const worker = await getWorker();
+      const { data } = await worker.recognize(imageBuffer);
+
+      return {
+        text: data?.text || ''
+      };
+    },
+
+    async close() {
+      if (!workerPromise) return;
+
+      const pending = workerPromise;
+      workerPromise = null;
+
+      try {
+        const worker = await pending;
+        await worker.terminate();
+      } catch (_error) {
+        // Worker never started; nothing to terminate
+      }
+    }
+  };
+}
+
+module.exports = { createTesseractProvider };
@@ -0,0 +1,144 @@
+// Fields that must agree across frames before a scan is finalised
+const CONSENSUS_FIELDS = ['cardNumber', 'expiryDate', 'cardholderName'];
+const DEFAULT_CONSENSUS_OPTIONS = {
+  requiredFrames: 3,
+  confidenceThreshold: 1.7,
+  maxFrames: 8
+};
+// Settled fields whose average parser confidence is below this are still flagged for staff to check
+const LOW_CONFIDENCE = 0.6;
+
+function createConsensusState() {
+  return {
+    frames: 0,
+    candidates: Object.fromEntries(CONSENSUS_FIELDS.map((field) => [field, []]))
+  };
+}
+
+// Each candidate is { value, votes, confidence, reasons } where confidence is summed over the frames that read it
+// and reasons collects the parser's reason codes from each of them
+function addFrame(state, parsed) {
+  const next = {
+    frames: state.frames + 1,
+    candidates: {}
+  };
+
+  CONSENSUS_FIELDS.forEach((field) => {
+    const candidates = (state.candidates[field] || []).map((candidate) => ({ ...candidate }));
+    const reading = parsed[field];
+
+    if (reading && reading.value) {
+      const reasons = reading.reasons || [];
+      const existing = candidates.find((candidate) => candidate.value === reading.value);
+      if (existing) {
+        existing.votes += 1;
+        existing.confidence += reading.confidence;
+        existing.reasons = [...new Set([...(existing.reasons || []), ...reasons])];
+      } else {
+        candidates.push({ value: reading.value, votes: 1, confidence: reading.confidence, reasons });
+      }
+    }
+
+    next.candidates[field] = candidates.sort((a, b) => b.confidence - a.confidence || b.votes - a.votes);
+  });
+
+  return next;
+}
+
+// A field is settled when its leading value was read in requiredFrames frames more often than any rival,
+// or its summed confidence beats the runner-up's by confidenceThreshold
+function evaluateField(candidates, options) {
+  const [leader, runnerUp] = candidates;
+  if (!leader) return { value: '', votes: 0, confidence: 0, settled: false, reasons: [] };
+
+  const rivalVotes = runnerUp ? runnerUp.votes : 0;
+  const rivalConfidence = runnerUp ? runnerUp.confidence : 0;
+  const settledByVotes = leader.votes >= options.requiredFrames && leader.votes > rivalVotes;
+  const settledByConfidence = leader.confidence - rivalConfidence >= options.confidenceThreshold;
+
+  const reasons = [...(leader.reasons || [])];
+  if (settledByVotes) reasons.push('consensus_votes');
+  else if (settledByConfidence) reasons.push('consensus_confidence');
+  else reasons.push('consensus_unsettled');
+  if (runnerUp) reasons.push('consensus_rival_reads');
+
+  return {
+    value: leader.value,
+    votes: leader.votes,
+    confidence: Number((leader.confidence / leader.votes).toFixed(2)),
+    settled: settledByVotes || settledByConfidence,
+    reasons
+  };
+}
+
+// The card number must always settle; the other fields may stay uncertain once maxFrames have been read
+function evaluateConsensus(state, { fields = CONSENSUS_FIELDS, ...overrides } = {}) {
+  const options = { ...DEFAULT_CONSENSUS_OPTIONS, ...overrides };
+  const required = CONSENSUS_FIELDS.filter((field) => field === 'cardNumber' || fields.includes(field));
+  const evaluated = {};
+
+  required.forEach((field) => {
+    evaluated[field] = evaluateField(state.candidates[field] || [], options);
+  });
+
+  const uncertainFields = required.filter((field) => !evaluated[field].settled);
+  const complete = evaluated.cardNumber.settled &&
+    (uncertainFields.length === 0 || state.frames >= options.maxFrames);
+
+  return {
+    complete,
+    frames: state.frames,
+    fields: evaluated,
+    uncertainFields
+  };
+}
+
+// { field: { confidence, reasons, lowConfidence } } for the fields that were read, as reported with scan results
+function getFieldConfidence(consensus) {
+  const fieldConfidence = {};
+  Object.entries(consensus.fields).forEach(([field, evaluated]) => {
+    if (!evaluated.value) return;
+    fieldConfidence[field] = {
+      confidence: evaluated.confidence,
+      reasons: evaluated.reasons,
+      lowConfidence: evaluated.confidence < LOW_CONFIDENCE
+    };
+  });
+  return fieldConfidence;
+}
+
+function readPositiveNumber(env, name, fallback, { integer = false } = {}) {
+  if (env[name] === undefined || env[name] === '') return fallback;
+
+  const value = Number(env[name]);
+  if (!(value > 0) || (integer && !Number.isInteger(value))) {
+    throw new Error(`${name} must be a positive ${integer ? 'integer' : 'number'}.`);
+  }
+
+  return value;
+}
+
+function readConsensusOptionsFromEnv(env = process.env) {
+  const options = {
+    requiredFrames: readPositiveNumber(env, 'SCAN_CONSENSUS_FRAMES', DEFAULT_CONSENSUS_OPTIONS.requiredFrames, { integer: true }),
+    confidenceThreshold: readPositiveNumber(env, 'SCAN_CONSENSUS_CONFIDENCE', DEFAULT_CONSENSUS_OPTIONS.confidenceThreshold),
+    maxFrames: readPositiveNumber(env, 'SCAN_CONSENSUS_MAX_FRAMES', DEFAULT_CONSENSUS_OPTIONS.maxFrames, { integer: true })
+  };
+
+  if (options.maxFrames < options.requiredFrames) {
+    throw new Error('SCAN_CONSENSUS_MAX_FRAMES must not be lower than SCAN_CONSENSUS_FRAMES.');
+  }
+
+  return options;
+}
+
+module.exports = {
+  CONSENSUS_FIELDS,
+  DEFAULT_CONSENSUS_OPTIONS,
+  LOW_CONFIDENCE,
+  createConsensusState,
+  addFrame,
+  evaluateConsensus,
+  getFieldConfidence,
+  readConsensusOptionsFromEnv
+};
@@ -0,0 +1,90 @@
+const { extractExpiry, checkExpiry } = require('./card-parser');
+
+// On the phone's review screen any field can be scanned again; name and expiry can also be typed over
+const RESCAN_FIELDS = ['cardNumber', 'expiryDate', 'cardholderName'];
+const EDITABLE_FIELDS = ['expiryDate', 'cardholderName'];
+// ISO/IEC 7813 track 1 holds at most 26 name characters, which is what issuers emboss
+const MAX_NAME_LENGTH = 26;
+// Fields derived from the card number are replaced along with it
+const CARD_NUMBER_KEYS = ['cardNumber', 'maskedCardNumber', 'cardType', 'cardInfo'];
+// What the user typed is taken as read with full confidence
+const CORRECTED_CONFIDENCE = { confidence: 1, reasons: ['corrected_on_phone'], lowConfidence: false };
+
+function normalizeCorrection(field, value) {
+  if (typeof value !== 'string') return { error: `${field} must be a string` };
+
+  if (field === 'expiryDate') {
+    const trimmed = value.trim();
+    if (!trimmed) return { value: '' };
+
+    const expiry = extractExpiry(trimmed);
+    return expiry ? { value: expiry } : { error: 'expiryDate must be a valid MM/YY date' };
+  }
+
+  const name = value.trim().replace(/\s+/g, ' ').toUpperCase();
+  if (name.length > MAX_NAME_LENGTH || !/^[\p{L} .'-]*$/u.test(name)) {
+    return { error: `cardholderName must be up to ${MAX_NAME_LENGTH} letters, spaces, dots, hyphens or apostrophes` };
+  }
+  return { value: name };
+}
+
+// corrections: { expiryDate?, cardholderName? } as typed on the phone, limited to allowedFields.
+// Returns { error }, or { result } where correctedFields lists every field the user changed
+// and those fields are no longer uncertain.
+function applyCorrections(scanResult, corrections, allowedFields) {
+  const changes = corrections || {};
+  if (typeof changes !== 'object' || Array.isArray(changes)) return { error: 'corrections must be an object' };
+
+  const result = {
+    ...scanResult,
+    correctedFields: [...(scanResult.correctedFields || [])],
+    fieldConfidence: { ...scanResult.fieldConfidence }
+  };
+
+  for (const [field, value] of Object.entries(changes)) {
+    if (!EDITABLE_FIELDS.includes(field) || !allowedFields.includes(field)) {
+      return { error: `${field} cannot be corrected` };
+    }
+
+    const correction = normalizeCorrection(field, value);
+    if (correction.error) return { error: correction.error };
+    if (correction.value === (result[field] || '')) continue;
+
+    result[field] = correction.value;
+    result.fieldConfidence[field] = CORRECTED_CONFIDENCE;
+    if (!result.correctedFields.includes(field)) result.correctedFields.push(field);
+  }
+
+  if (result.correctedFields.includes('expiryDate')) result.expiryStatus = checkExpiry(result.expiryDate);
+  result.uncertainFields = (result.uncertainFields || []).filter((field) => !result.correctedFields.includes(field));
+  return { result };
+}
+
+// After "rescan this field", only that field comes from the new frames; a changed value counts as corrected
+function mergeRescan(previous, rescanned, field) {
+  const keys = { cardNumber: CARD_NUMBER_KEYS, expiryDate: ['expiryDate', 'expiryStatus'] }[field] || [field];
+  const result = { ...previous, scannedAt: rescanned.scannedAt };
+  keys.forEach((key) => {
+    result[key] = rescanned[key];
+  });
+
+  result.fieldConfidence = { ...previous.fieldConfidence };
+  if (rescanned.fieldConfidence && rescanned.fieldConfidence[field]) result.fieldConfidence[field] = rescanned.fieldConfidence[field];
+  else delete result.fieldConfidence[field];
+
+  result.uncertainFields = (previous.uncertainFields || []).filter((name) => name !== field);
+  if ((rescanned.uncertainFields || []).includes(field)) result.uncertainFields.push(field);
+
+  result.correctedFields = [...(previous.correctedFields || [])];
+  if (rescanned[field] !== previous[field] && !result.correctedFields.includes(field)) result.correctedFields.push(field);
+
+  return result;
+}
+
+module.exports = {
+  RESCAN_FIELDS,
+  EDITABLE_FIELDS,
+  MAX_NAME_LENGTH,
+  applyCorrections,
+  mergeRescan
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_INFO = 'card-scan session data';
+
+// SESSION_ENCRYPTION_KEYS="<keyId>:<base64 32-byte key>,..." - first key encrypts, all keys decrypt
+function parseKeyring(value) {
+  const keys = value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) {
+        throw new Error('SESSION_ENCRYPTION_KEYS entries must look like "<keyId>:<base64 32-byte key>".');
+      }
+
+      const id = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), 'base64');
+      if (key.length !== 32) {
+        throw new Error(`SESSION_ENCRYPTION_KEYS key "${id}" must decode to 32 bytes.`);
+      }
+
+      return { id, key };
+    });
+
+  if (!keys.length) {
+    throw new Error('SESSION_ENCRYPTION_KEYS does not contain any keys.');
+  }
+
+  return keys;
+}
+
+function createSessionCipher({ keys }) {
+  const [activeKey] = keys;
+  const keysById = new Map(keys.map(({ id, key }) => [id, key]));
+
+  // Each session gets its own data key, bound to the sessionId
+  function deriveSessionKey(masterKey, sessionId) {
+    return Buffer.from(crypto.hkdfSync('sha256', masterKey, sessionId, KEY_INFO, 32));
+  }
+
+  return {
+    activeKeyId: activeKey.id,
+
+    seal(sessionId, payload) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(ALGORITHM, deriveSessionKey(activeKey.key, sessionId), iv);
+      cipher.setAAD(Buffer.from(sessionId, 'utf8'));
+
+      const ciphertext = Buffer.concat([
+        cipher.update(JSON.stringify(payload), 'utf8'),
+        cipher.final()
+      ]);
+
+      return {
+        v: 1,
+        kid: activeKey.id,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: ciphertext.toString('base64')
+      };
+    },
+
+    open(sessionId, envelope) {
+      const masterKey = keysById.get(envelope.kid);
+      if (!masterKey) {
+        throw new Error(`Session data was encrypted with unknown key "${envelope.kid}".`);
+      }
+
+      const decipher = crypto.createDecipheriv(
+        ALGORITHM,
+        deriveSessionKey(masterKey, sessionId),
+        Buffer.from(envelope.iv, 'base64')
+      );
+      decipher.setAAD(Buffer.from(sessionId, 'utf8'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(envelope.data, 'base64')),
+        decipher.final()
+      ]);
+
+      return JSON.parse(plaintext.toString('utf8'));
+    }
+  };
+}
+
+function createSessionCipherFromEnv({ requireConfiguredKeys }) {
+  const configuredKeys = process.env.SESSION_ENCRYPTION_KEYS;
+
+  if (!configuredKeys) {
+    // Instances sharing a store must share keys; a single process can use a throwaway key
+    if (requireConfiguredKeys) {
+      throw new Error('SESSION_ENCRYPTION_KEYS must be set when sessions are shared across instances.');
+    }
+
+    return createSessionCipher({ keys: [{ id: 'ephemeral', key: crypto.randomBytes(32) }] });
+  }
+
+  return createSessionCipher({ keys: parseKeyring(configuredKeys) });
+}
+
+module.exports = {
+  parseKeyring,
+  createSessionCipher,
+  createSessionCipherFromEnv
+};
@@ -0,0 +1,26 @@
+const { createMemorySessionStore } = require('./memory');
+const { createRedisSessionStoreFromUrl } = require('./redis');
+
+const SESSION_STORES = {
+  memory: createMemorySessionStore,
+  redis: createRedisSessionStoreFromUrl
+};
+
+const DEFAULT_SESSION_STORE = 'memory';
+
+function createSessionStore(name, options = {}) {
+  const storeName = (name || DEFAULT_SESSION_STORE).trim().toLowerCase();
+  const factory = SESSION_STORES[storeName];
+
+  if (!factory) {
+    throw new Error(`Unknown SESSION_STORE "${name}". Expected one of: ${Object.keys(SESSION_STORES).join(', ')}.`);
+  }
+
+  return factory(options);
+}
+
+module.exports = {
+  SESSION_STORES,
+  DEFAULT_SESSION_STORE,
+  createSessionStore
+};
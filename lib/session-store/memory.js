@@ -0,0 +1,74 @@
+const { EventEmitter } = require('events');
+
+// Sessions are kept serialized so callers must save changes explicitly, same as with Redis
+function createMemorySessionStore() {
+  const sessions = new Map();
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  return {
+    name: 'memory',
+
+    async get(sessionId) {
+      const entry = sessions.get(sessionId);
+      return entry ? JSON.parse(entry.raw) : null;
+    },
+
+    async set(sessionId, session) {
+      const existing = sessions.get(sessionId);
+      sessions.set(sessionId, {
+        expiresAt: session.expiresAt,
+        raw: JSON.stringify(session),
+        claims: existing ? existing.claims : new Set()
+      });
+    },
+
+    async claim(sessionId, claimName) {
+      const entry = sessions.get(sessionId);
+      if (!entry || entry.claims.has(claimName)) return false;
+
+      entry.claims.add(claimName);
+      return true;
+    },
+
+    async delete(sessionId) {
+      sessions.delete(sessionId);
+    },
+
+    async cleanup() {
+      const now = Date.now();
+      const expiredIds = [];
+
+      for (const [sessionId, entry] of sessions.entries()) {
+        if (entry.expiresAt <= now) {
+          sessions.delete(sessionId);
+          expiredIds.push(sessionId);
+        }
+      }
+
+      return expiredIds;
+    },
+
+    async count() {
+      return sessions.size;
+    },
+
+    async publish(sessionId, event) {
+      events.emit(sessionId, event);
+    },
+
+    async subscribe(sessionId, listener) {
+      events.on(sessionId, listener);
+      return async () => {
+        events.off(sessionId, listener);
+      };
+    },
+
+    async close() {
+      sessions.clear();
+      events.removeAllListeners();
+    }
+  };
+}
+
+module.exports = { createMemorySessionStore };
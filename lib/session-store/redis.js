@@ -0,0 +1,113 @@
+const DEFAULT_KEY_PREFIX = 'card-scan:session:';
+
+// Works with any ioredis-compatible client pair; `subscriber` must be a dedicated connection
+function createRedisSessionStore({ client, subscriber, keyPrefix = DEFAULT_KEY_PREFIX }) {
+  const listeners = new Map();
+
+  function getKey(sessionId) {
+    return `${keyPrefix}${sessionId}`;
+  }
+
+  subscriber.on('message', (channel, message) => {
+    const channelListeners = listeners.get(channel);
+    if (!channelListeners) return;
+
+    const event = JSON.parse(message);
+    for (const listener of channelListeners) {
+      listener(event);
+    }
+  });
+
+  return {
+    name: 'redis',
+
+    async get(sessionId) {
+      const raw = await client.get(getKey(sessionId));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async set(sessionId, session) {
+      const ttlMs = session.expiresAt - Date.now();
+      if (ttlMs <= 0) {
+        await client.del(getKey(sessionId));
+        return;
+      }
+
+      await client.set(getKey(sessionId), JSON.stringify(session), 'PX', ttlMs);
+    },
+
+    async claim(sessionId, claimName, expiresAt) {
+      const ttlMs = expiresAt - Date.now();
+      if (ttlMs <= 0) return false;
+
+      const result = await client.set(`${getKey(sessionId)}:claim:${claimName}`, '1', 'PX', ttlMs, 'NX');
+      return result === 'OK';
+    },
+
+    async delete(sessionId) {
+      await client.del(getKey(sessionId));
+    },
+
+    // Redis expires keys natively; SSE streams detect the missing key on their next heartbeat
+    async cleanup() {
+      return [];
+    },
+
+    async count() {
+      return null;
+    },
+
+    async publish(sessionId, event) {
+      await client.publish(getKey(sessionId), JSON.stringify(event));
+    },
+
+    async subscribe(sessionId, listener) {
+      const channel = getKey(sessionId);
+      let channelListeners = listeners.get(channel);
+
+      if (!channelListeners) {
+        channelListeners = new Set();
+        listeners.set(channel, channelListeners);
+        await subscriber.subscribe(channel);
+      }
+
+      channelListeners.add(listener);
+
+      return async () => {
+        channelListeners.delete(listener);
+        if (!channelListeners.size && listeners.get(channel) === channelListeners) {
+          listeners.delete(channel);
+          await subscriber.unsubscribe(channel);
+        }
+      };
+    },
+
+    async close() {
+      listeners.clear();
+      await Promise.all([client.quit(), subscriber.quit()]);
+    }
+  };
+}
+
+function createRedisSessionStoreFromUrl({ redisUrl, keyPrefix }) {
+  const url = redisUrl || process.env.REDIS_URL;
+  if (!url) {
+    throw new Error('REDIS_URL must be set when SESSION_STORE=redis.');
+  }
+
+  const Redis = require('ioredis');
+  const client = new Redis(url);
+  const subscriber = client.duplicate();
+
+  return createRedisSessionStore({
+    client,
+    subscriber,
+    keyPrefix: keyPrefix || process.env.SESSION_KEY_PREFIX || DEFAULT_KEY_PREFIX
+  });
+}
+
+module.exports = {
+  DEFAULT_KEY_PREFIX,
+  createRedisSessionStore,
+  createRedisSessionStoreFromUrl
+};
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+// Bearer secrets issued per session; only their hashes are stored with the session
+function createSessionToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token, 'utf8').digest('base64url');
+}
+
+function verifySessionToken(token, expectedHash) {
+  if (typeof token !== 'string' || !token || typeof expectedHash !== 'string' || !expectedHash) return false;
+
+  const actual = Buffer.from(hashSessionToken(token));
+  const expected = Buffer.from(expectedHash);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function readCookie(cookieHeader, name) {
+  for (const part of (cookieHeader || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator < 0) continue;
+
+    if (part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch (_error) {
+        return '';
+      }
+    }
+  }
+
+  return '';
+}
+
+module.exports = {
+  createSessionToken,
+  hashSessionToken,
+  verifySessionToken,
+  readCookie
+};
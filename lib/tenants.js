@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseAllowedOrigins } = require('./allowed-origins');
+const { parseWebhookAllowlist } = require('./webhooks');
+
+// Scan result fields a tenant may receive; scannedAt (and uncertainFields/correctedFields, limited to these) is always included
+const TENANT_FIELDS = ['cardNumber', 'maskedCardNumber', 'cardholderName', 'expiryDate', 'cardType', 'cardInfo'];
+// Never granted by default: a tenant must list these in `fields` to use them
+const OPT_IN_TENANT_FIELDS = ['securityCode'];
+const DEFAULT_TENANT_ID = 'default';
+const DEFAULT_SESSION_TTL_SEC = 5 * 60;
+const MIN_SESSION_TTL_SEC = 60;
+const MAX_SESSION_TTL_SEC = 30 * 60;
+const EXPIRED_CARD_POLICIES = ['warn', 'block'];
+const DEFAULT_RATE_LIMITS = {
+  sessions: { limit: 60, windowSec: 10 * 60 },
+  scans: { limit: 180, windowSec: 60 },
+  progress: { limit: 120, windowSec: 60 }
+};
+
+// Config files hold SHA-256 hex digests of API keys, never the keys themselves
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey, 'utf8').digest('hex');
+}
+
+function normalizeRateLimit(value, defaults, label) {
+  const rateLimit = { ...defaults, ...(value || {}) };
+
+  if (!Number.isInteger(rateLimit.limit) || rateLimit.limit < 1) {
+    throw new Error(`${label}.limit must be a positive integer.`);
+  }
+
+  if (!Number.isInteger(rateLimit.windowSec) || rateLimit.windowSec < 1) {
+    throw new Error(`${label}.windowSec must be a positive integer.`);
+  }
+
+  return { limit: rateLimit.limit, windowMs: rateLimit.windowSec * 1000 };
+}
+
+// webhooks: { allowedUrls, secretEnv, fullCardNumber }; the signing secret itself stays in the environment
+function normalizeWebhooks(value, label, env) {
+  if (!value || !Array.isArray(value.allowedUrls) || !value.allowedUrls.length) {
+    throw new Error(`${label}: webhooks.allowedUrls must be a non-empty array of URLs.`);
+  }
+
+  let allowlist;
+  try {
+    allowlist = parseWebhookAllowlist(value.allowedUrls.join(','), 'webhooks.allowedUrls');
+  } catch (error) {
+    throw new Error(`${label}: ${error.message}`);
+  }
+
+  if (typeof value.secretEnv !== 'string' || !env[value.secretEnv]) {
+    throw new Error(`${label}: webhooks.secretEnv must name a set environment variable holding the signing secret.`);
+  }
+
+  if (value.fullCardNumber !== undefined && typeof value.fullCardNumber !== 'boolean') {
+    throw new Error(`${label}: webhooks.fullCardNumber must be true or false.`);
+  }
+
+  return { allowlist, secret: env[value.secretEnv], fullCardNumber: value.fullCardNumber === true };
+}
+
+function normalizeTenant(raw, source, env = process.env) {
+  const label = `Tenant config ${source}: tenant "${raw.id || '?'}"`;
+
+  if (typeof raw.id !== 'string' || !/^[a-z0-9][a-z0-9_-]{0,62}$/i.test(raw.id)) {
+    throw new Error(`Tenant config ${source}: every tenant needs an "id" of letters, digits, "-" or "_".`);
+  }
+
+  const apiKeyHashes = raw.apiKeyHashes || [];
+  if (!Array.isArray(apiKeyHashes) || apiKeyHashes.some((hash) => !/^[a-f0-9]{64}$/.test(hash))) {
+    throw new Error(`${label}: apiKeyHashes must be SHA-256 hex digests.`);
+  }
+
+  const publishableKeys = raw.publishableKeys || [];
+  if (!Array.isArray(publishableKeys) || publishableKeys.some((key) => typeof key !== 'string' || key.length < 16)) {
+    throw new Error(`${label}: publishableKeys must be strings of at least 16 characters.`);
+  }
+
+  const sessionTtlSec = raw.sessionTtlSec ?? DEFAULT_SESSION_TTL_SEC;
+  if (!Number.isInteger(sessionTtlSec) || sessionTtlSec < MIN_SESSION_TTL_SEC || sessionTtlSec > MAX_SESSION_TTL_SEC) {
+    throw new Error(`${label}: sessionTtlSec must be an integer between ${MIN_SESSION_TTL_SEC} and ${MAX_SESSION_TTL_SEC}.`);
+  }
+
+  const fields = raw.fields || TENANT_FIELDS;
+  const knownFields = [...TENANT_FIELDS, ...OPT_IN_TENANT_FIELDS];
+  const unknownFields = Array.isArray(fields) ? fields.filter((field) => !knownFields.includes(field)) : ['(not an array)'];
+  if (unknownFields.length || !fields.length) {
+    throw new Error(`${label}: fields must be a non-empty subset of ${knownFields.join(', ')}.`);
+  }
+
+  // Unset: the server-wide EXPIRED_CARDS policy applies
+  if (raw.expiredCards !== undefined && !EXPIRED_CARD_POLICIES.includes(raw.expiredCards)) {
+    throw new Error(`${label}: expiredCards must be one of ${EXPIRED_CARD_POLICIES.join(', ')}.`);
+  }
+
+  let allowedOrigins;
+  try {
+    allowedOrigins = parseAllowedOrigins((raw.allowedOrigins || []).join(','));
+  } catch (error) {
+    throw new Error(`${label}: ${error.message}`);
+  }
+
+  return {
+    id: raw.id,
+    name: raw.name || raw.id,
+    apiKeyHashes,
+    publishableKeys,
+    allowedOrigins,
+    sessionTtlMs: sessionTtlSec * 1000,
+    fields,
+    expiredCards: raw.expiredCards,
+    // Unset: the tenant's sessions cannot have a callbackUrl
+    webhooks: raw.webhooks === undefined ? null : normalizeWebhooks(raw.webhooks, label, env),
+    rateLimits: {
+      sessions: normalizeRateLimit(raw.rateLimits?.sessions, DEFAULT_RATE_LIMITS.sessions, `${label}: rateLimits.sessions`),
+      scans: normalizeRateLimit(raw.rateLimits?.scans, DEFAULT_RATE_LIMITS.scans, `${label}: rateLimits.scans`),
+      progress: normalizeRateLimit(raw.rateLimits?.progress, DEFAULT_RATE_LIMITS.progress, `${label}: rateLimits.progress`)
+    }
+  };
+}
+
+// Single-tenant mode: everything anonymous requests get, with the widget origins from WIDGET_ALLOWED_ORIGINS
+function createDefaultTenant({ allowedOrigins = [], allowSecurityCode = false, webhooks = null } = {}) {
+  const tenant = normalizeTenant({ id: DEFAULT_TENANT_ID }, '(built-in)');
+  tenant.allowedOrigins = allowedOrigins;
+  tenant.webhooks = webhooks;
+  if (allowSecurityCode) tenant.fields = [...tenant.fields, 'securityCode'];
+  return tenant;
+}
+
+function loadTenants(filePath, env = process.env) {
+  const source = path.resolve(filePath);
+  const config = JSON.parse(fs.readFileSync(source, 'utf8'));
+
+  if (!Array.isArray(config.tenants) || !config.tenants.length) {
+    throw new Error(`Tenant config ${source} needs a non-empty "tenants" array.`);
+  }
+
+  return config.tenants.map((tenant) => normalizeTenant(tenant, source, env));
+}
+
+function createTenantRegistry(tenants) {
+  const byId = new Map();
+  const byApiKeyHash = new Map();
+  const byPublishableKey = new Map();
+
+  function register(map, key, tenant, kind) {
+    if (map.has(key)) {
+      throw new Error(`Duplicate tenant ${kind} for tenants "${map.get(key).id}" and "${tenant.id}".`);
+    }
+    map.set(key, tenant);
+  }
+
+  tenants.forEach((tenant) => {
+    register(byId, tenant.id, tenant, 'id');
+    tenant.apiKeyHashes.forEach((hash) => register(byApiKeyHash, hash, tenant, 'API key'));
+    tenant.publishableKeys.forEach((key) => register(byPublishableKey, key, tenant, 'publishable key'));
+  });
+
+  return {
+    tenants,
+
+    get(tenantId) {
+      return byId.get(tenantId) || null;
+    },
+
+    findByApiKey(apiKey) {
+      return apiKey ? byApiKeyHash.get(hashApiKey(apiKey)) || null : null;
+    },
+
+    findByPublishableKey(publishableKey) {
+      return publishableKey ? byPublishableKey.get(publishableKey) || null : null;
+    }
+  };
+}
+
+function filterScanResult(tenant, scanResult) {
+  const filtered = {};
+  tenant.fields.forEach((field) => {
+    filtered[field] = scanResult[field];
+  });
+  // Lists about the result only name fields the tenant receives
+  ['uncertainFields', 'correctedFields'].forEach((list) => {
+    if (scanResult[list]) filtered[list] = scanResult[list].filter((field) => tenant.fields.includes(field));
+  });
+  // Whether the card has expired tells as much as the date itself
+  if (scanResult.expiryStatus && tenant.fields.includes('expiryDate')) filtered.expiryStatus = scanResult.expiryStatus;
+  if (scanResult.fieldConfidence) {
+    filtered.fieldConfidence = Object.fromEntries(
+      Object.entries(scanResult.fieldConfidence).filter(([field]) => tenant.fields.includes(field))
+    );
+  }
+  filtered.scannedAt = scanResult.scannedAt;
+  return filtered;
+}
+
+module.exports = {
+  TENANT_FIELDS,
+  OPT_IN_TENANT_FIELDS,
+  DEFAULT_TENANT_ID,
+  hashApiKey,
+  createDefaultTenant,
+  loadTenants,
+  createTenantRegistry,
+  filterScanResult
+};
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'X-CardScan-Signature';
+const DEFAULT_SIGNATURE_TOLERANCE_SEC = 300;
+
+// WEBHOOK_ALLOWED_URLS="https://api.example.com/hooks/,https://ops.example.com/card-scan"
+// A callback URL is allowed when it has the same origin as an entry and its path starts with the entry's path
+function parseWebhookAllowlist(value, name = 'WEBHOOK_ALLOWED_URLS') {
+  return (value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      let url;
+      try {
+        url = new URL(entry);
+      } catch (_error) {
+        throw new Error(`${name} entry "${entry}" is not a valid URL.`);
+      }
+
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error(`${name} entry "${entry}" must use http or https.`);
+      }
+
+      return { origin: url.origin, pathPrefix: url.pathname };
+    });
+}
+
+function matchesPathPrefix(pathname, prefix) {
+  return pathname === prefix || pathname.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`);
+}
+
+function isCallbackUrlAllowed(callbackUrl, allowlist, { requireHttps = false } = {}) {
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch (_error) {
+    return false;
+  }
+
+  if (url.username || url.password) return false;
+  if (requireHttps && url.protocol !== 'https:') return false;
+
+  return allowlist.some((entry) => url.origin === entry.origin && matchesPathPrefix(url.pathname, entry.pathPrefix));
+}
+
+// Stripe-style: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function verifyWebhookSignature(secret, header, body, { toleranceSec = DEFAULT_SIGNATURE_TOLERANCE_SEC, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(
+    (header || '').split(',').map((part) => {
+      const separator = part.indexOf('=');
+      return [part.slice(0, separator).trim(), part.slice(separator + 1).trim()];
+    })
+  );
+
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSec) return false;
+
+  const expected = Buffer.from(signWebhookPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function createWebhookSender({
+  secret,
+  maxAttempts = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 30_000,
+  timeoutMs = 5000,
+  fetchImpl = fetch,
+  logger = console
+}) {
+  if (!secret) {
+    throw new Error('A webhook signing secret is required.');
+  }
+
+  // Backoff waits, so close() can cut pending retries short: timer -> resolve
+  const pendingWaits = new Map();
+  let closed = false;
+
+  function wait(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        pendingWaits.delete(timer);
+        resolve();
+      }, ms);
+      pendingWaits.set(timer, resolve);
+    });
+  }
+
+  async function attemptDelivery(url, event, deliveryId, body) {
+    try {
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'card-scanner-webhook/1',
+          'X-CardScan-Event': event,
+          'X-CardScan-Delivery': deliveryId,
+          [SIGNATURE_HEADER]: signWebhookPayload(secret, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      return { ok: response.ok, retryable: !response.ok && isRetryableStatus(response.status), status: response.status };
+    } catch (error) {
+      return { ok: false, retryable: true, error: error.message };
+    }
+  }
+
+  // Resolves with the outcome; never rejects so callers can fire and forget
+  async function send(url, event, data) {
+    const deliveryId = crypto.randomUUID();
+    const body = JSON.stringify({
+      id: deliveryId,
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    });
+
+    let attempt = 0;
+    while (!closed) {
+      attempt += 1;
+      const result = await attemptDelivery(url, event, deliveryId, body);
+      if (result.ok) return { delivered: true, attempts: attempt, deliveryId };
+
+      const reason = result.status ? `HTTP ${result.status}` : result.error;
+      if (!result.retryable || attempt >= maxAttempts) {
+        logger.error(`Webhook ${event} ${deliveryId} failed after ${attempt} attempt(s): ${reason}`);
+        return { delivered: false, attempts: attempt, deliveryId };
+      }
+
+      await wait(Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+    }
+
+    return { delivered: false, attempts: attempt, deliveryId };
+  }
+
+  return {
+    send,
+
+    close() {
+      closed = true;
+      pendingWaits.forEach((resolve, timer) => {
+        clearTimeout(timer);
+        resolve();
+      });
+      pendingWaits.clear();
+    }
+  };
+}
+
+// Single-tenant webhooks: { allowlist, secret, fullCardNumber }, or null when WEBHOOK_ALLOWED_URLS is unset
+function readWebhookConfigFromEnv(env = process.env) {
+  const allowlist = parseWebhookAllowlist(env.WEBHOOK_ALLOWED_URLS);
+  if (!allowlist.length) return null;
+
+  if (!env.WEBHOOK_SECRET) {
+    throw new Error('WEBHOOK_SECRET must be set when WEBHOOK_ALLOWED_URLS is configured.');
+  }
+
+  return { allowlist, secret: env.WEBHOOK_SECRET, fullCardNumber: env.WEBHOOK_FULL_CARD_NUMBER === 'true' };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  parseWebhookAllowlist,
+  isCallbackUrlAllowed,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  createWebhookSender,
+  readWebhookConfigFromEnv
+};
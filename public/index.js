@@ -1,5 +1,8 @@
     let activeSessionId = null;
     let pollHandle = null;
+    let eventSource = null;
+    let sessionPrivateKey = null;
+    const SESSION_KEY_STORAGE_PREFIX = 'cardScanKey:';
 
     function isMobileDevice() {
       const userAgent = navigator.userAgent || navigator.vendor || window.opera || '';
@@ -21,12 +24,59 @@
       $('#desktopSuccessTick').addClass('hidden');
     }
 
+    const FIELD_LABELS = {
+      cardNumber: 'card number',
+      expiryDate: 'expiry',
+      cardholderName: 'name'
+    };
+
+    function describeProgress(progress) {
+      if (!progress) return { text: 'Waiting for mobile scan...' };
+
+      if (progress.stage === 'link_opened') return { text: 'Scanner opened on phone. Waiting for camera access...' };
+      if (progress.stage === 'camera_ready') return { text: 'Phone camera ready. Waiting for scan to start...' };
+      if (progress.stage === 'camera_error') return { text: 'Phone camera unavailable. Ask the customer to allow camera access.', isError: true };
+      if (progress.stage === 'paused') return { text: 'Scan paused on phone.' };
+      if (progress.stage === 'card_expired') return { text: 'The card has expired. Ask the customer to scan a different card.', isError: true };
+      if (progress.stage === 'review') return { text: 'Card read. Waiting for the customer to confirm the details on the phone...' };
+      if (progress.stage === 'security_code') {
+        return { text: 'Card front read. Waiting for the security code' + (progress.failedAttempts ? ' (' + progress.failedAttempts + ' unreadable frame(s))...' : '...') };
+      }
+
+      if (progress.stage === 'scanning') {
+        const uncertain = (progress.uncertainFields || []).map((field) => FIELD_LABELS[field] || field);
+        if (uncertain.length) return { text: 'Card detected on phone. Confirming ' + uncertain.join(' and ') + '...' };
+        if (!progress.failedAttempts) return { text: 'Scanning card on phone...' };
+
+        const found = (progress.partialFields || []).map((field) => FIELD_LABELS[field] || field);
+        const foundText = found.length ? ' Found ' + found.join(' and ') + ', but not the card number.' : '';
+        return {
+          text: 'Scanning... ' + progress.failedAttempts + ' unreadable frame(s).' + foundText + ' Ask the customer to hold the card closer and steady.'
+        };
+      }
+
+      return { text: 'Waiting for mobile scan...' };
+    }
+
+    function showProgress(progress) {
+      const description = describeProgress(progress);
+      setStatus(description.text, Boolean(description.isError));
+    }
+
     function normalizeCardNumber(value) {
-      return (value || '').replace(/\D/g, '').slice(0, 16);
+      const digits = (value || '').replace(/\D/g, '');
+      return digits.slice(0, CardParser.getMaxCardLength(digits));
     }
 
     function formatCardNumber(number) {
-      return normalizeCardNumber(number).replace(/(.{4})/g, '$1 ').trim();
+      return CardParser.formatCardNumber(normalizeCardNumber(number));
+    }
+
+    function updateCardNumberMaxLength(number) {
+      const digits = normalizeCardNumber(number);
+      const maxDigits = CardParser.getMaxCardLength(digits);
+      const maxFormatted = CardParser.formatCardNumber(digits.padEnd(maxDigits, '0'));
+      $('#cardNumber').attr('maxlength', maxFormatted.length);
     }
 
     function applyCardType(type) {
@@ -34,7 +84,8 @@
       const badge = $('#cardTypeBadge');
       const icon = $('#cardTypeIcon');
       const text = $('#cardTypeText');
-      badge.removeClass('visa mastercard rupay amex discover unknown');
+      const badgeClasses = ['visa', 'mastercard', 'maestro', 'unionpay', 'rupay', 'amex', 'discover', 'jcb', 'diners', 'mir', 'unknown'];
+      badge.removeClass(badgeClasses.join(' '));
 
       const iconMap = {
         VISA: '/assets/visa.svg',
@@ -42,19 +93,16 @@
         RUPAY: '/assets/rupay.svg'
       };
 
-      if (normalized === 'VISA') badge.addClass('visa');
-      else if (normalized === 'MASTERCARD') badge.addClass('mastercard');
-      else if (normalized === 'RUPAY') badge.addClass('rupay');
-      else if (normalized === 'AMEX') badge.addClass('amex');
-      else if (normalized === 'DISCOVER') badge.addClass('discover');
-      else badge.addClass('unknown');
+      const badgeClass = normalized.toLowerCase();
+      badge.addClass(badgeClasses.includes(badgeClass) ? badgeClass : 'unknown');
 
       if (iconMap[normalized]) {
         icon.attr('src', iconMap[normalized]).removeClass('hidden');
         text.addClass('hidden').text('');
       } else {
+        const hasName = normalized !== 'UNKNOWN';
         icon.attr('src', '').addClass('hidden');
-        text.addClass('hidden').text('');
+        text.toggleClass('hidden', !hasName).text(hasName ? normalized : '');
       }
     }
 
@@ -65,10 +113,30 @@
       const maskedNumber = data.maskedCardNumber || '';
       const displayNumber = rawNumber ? formatCardNumber(rawNumber) : maskedNumber;
 
+      updateCardNumberMaxLength(rawNumber);
       $('#cardNumber').val(displayNumber || '');
       $('#cardholderName').val(data.cardholderName || '');
       $('#expiryDate').val(data.expiryDate || '');
+      $('#securityCode').val(data.securityCode || '');
       applyCardType(data.cardType);
+
+      // Values the customer typed or rescanned on the phone's review screen, and weak reads, stay marked until edited here
+      $('.field-corrected, .field-low-confidence, .field-expired').removeClass('field-corrected field-low-confidence field-expired').removeAttr('title');
+      getCheckFields(data).forEach((field) => {
+        const confidence = data.fieldConfidence && data.fieldConfidence[field];
+        $('#' + field).addClass('field-low-confidence')
+          .attr('title', confidence ? 'Low confidence read (' + Math.round(confidence.confidence * 100) + '%). Please check.' : 'Not confirmed by the scan. Please check.');
+      });
+      (data.correctedFields || []).forEach((field) => {
+        $('#' + field).addClass('field-corrected').attr('title', 'Corrected on the phone');
+      });
+      if (data.expiryStatus === 'expired') $('#expiryDate').addClass('field-expired').attr('title', 'This card has expired');
+    }
+
+    // Fields that did not settle across frames, or settled on weak reads
+    function getCheckFields(data) {
+      const lowConfidence = Object.keys(data.fieldConfidence || {}).filter((field) => data.fieldConfidence[field].lowConfidence);
+      return [...new Set([...(data.uncertainFields || []), ...lowConfidence])];
     }
 
     function stopPolling() {
@@ -78,6 +146,77 @@
       }
     }
 
+    function closeEventStream() {
+      if (eventSource) {
+        eventSource.close();
+        eventSource = null;
+      }
+    }
+
+    function stopWatching() {
+      stopPolling();
+      closeEventStream();
+    }
+
+    // Ephemeral ECDH key pair per session; the server encrypts the scan result to its public key
+    async function createSessionKeys(extractable) {
+      if (!window.CardScanE2E || !CardScanE2E.isSupported()) return null;
+
+      const keyPair = await CardScanE2E.generateKeyPair(extractable);
+      return {
+        privateKey: keyPair.privateKey,
+        publicKey: await CardScanE2E.exportPublicKey(keyPair.publicKey)
+      };
+    }
+
+    // Same-device flow navigates this tab to the scanner and back, so the key rides along in sessionStorage
+    async function storePrivateKeyForReturn(sessionId, privateKey) {
+      const jwk = await CardScanE2E.exportPrivateKey(privateKey);
+      sessionStorage.setItem(SESSION_KEY_STORAGE_PREFIX + sessionId, JSON.stringify(jwk));
+    }
+
+    async function restorePrivateKey(sessionId) {
+      const storageKey = SESSION_KEY_STORAGE_PREFIX + sessionId;
+      const stored = sessionStorage.getItem(storageKey);
+      sessionStorage.removeItem(storageKey);
+
+      if (!stored || !window.CardScanE2E || !CardScanE2E.isSupported()) return null;
+
+      try {
+        return await CardScanE2E.importPrivateKey(JSON.parse(stored));
+      } catch (_error) {
+        return null;
+      }
+    }
+
+    function readCardData(sessionId, res) {
+      if (!res.encryptedData) return Promise.resolve(res.data);
+      if (!sessionPrivateKey) return Promise.reject(new Error('Missing session key'));
+      return CardScanE2E.open(sessionPrivateKey, sessionId, res.encryptedData);
+    }
+
+    function endSession() {
+      stopWatching();
+      activeSessionId = null;
+      sessionPrivateKey = null;
+    }
+
+    function acknowledgeDelivery(sessionId) {
+      return $.ajax({
+        url: '/api/session/' + encodeURIComponent(sessionId) + '/ack',
+        method: 'POST',
+        timeout: 7000
+      });
+    }
+
+    function cancelSession(sessionId) {
+      return $.ajax({
+        url: '/api/session/' + encodeURIComponent(sessionId),
+        method: 'DELETE',
+        timeout: 7000
+      });
+    }
+
     function pollOnce(sessionId) {
       return $.ajax({
         url: '/api/get-data',
@@ -89,25 +228,47 @@
         if (!res.ok) return;
 
         if (res.status === 'pending') {
-          setStatus('Waiting for mobile scan...');
+          showProgress(res.progress);
           return;
         }
 
-        if (res.status === 'ready' && res.data) {
-          applyCardData(res.data);
-          setStatus('Card details autofilled successfully.');
-          showDesktopSuccessTick();
+        if (res.status === 'ready' && (res.data || res.encryptedData)) {
+          stopWatching();
+
+          readCardData(sessionId, res).then(function(data) {
+            applyCardData(data);
+            if (res.deliveryMode === 'ack') acknowledgeDelivery(sessionId);
+
+            const uncertain = getCheckFields(data).map((field) => FIELD_LABELS[field] || field);
+            const corrected = (data.correctedFields || []).map((field) => FIELD_LABELS[field] || field);
+            const correctedText = corrected.length ? ' The customer corrected the ' + corrected.join(' and ') + ' on the phone.' : '';
+
+            if (data.expiryStatus === 'expired') {
+              setStatus('Card expired in ' + data.expiryDate + '. Ask the customer for a different card.' + correctedText, true);
+            } else {
+              setStatus((uncertain.length
+                ? 'Card details autofilled. Please check the ' + uncertain.join(' and ') + '.'
+                : 'Card details autofilled successfully.') + correctedText);
+              showDesktopSuccessTick();
+            }
 
-          $('#qrModal').addClass('hidden');
-          stopPolling();
-          activeSessionId = null;
+            $('#qrModal').addClass('hidden');
+            endSession();
+          }).catch(function() {
+            setStatus('Scanned card data can only be opened in the browser tab that started the scan.', true);
+            $('#qrModal').addClass('hidden');
+            endSession();
+          });
         }
       }).fail(function(xhr) {
         const code = xhr.status;
-        if (code === 404 || code === 410) {
-          setStatus('Session expired. Please scan again.', true);
-          stopPolling();
-          activeSessionId = null;
+        if (code === 403) {
+          setStatus('This browser did not start the scan session. Please scan again.', true);
+          endSession();
+        } else if (code === 404 || code === 410) {
+          const closedStatus = xhr.responseJSON && xhr.responseJSON.status;
+          setStatus(closedStatus ? xhr.responseJSON.error + '. Please scan again.' : 'Session expired. Please scan again.', true);
+          endSession();
         }
       });
     }
@@ -120,39 +281,102 @@
       }, 1500);
     }
 
-    function initAutopollFromQuery() {
+    // Prefer server push; fall back to interval polling when the stream can't be opened or drops
+    function watchSession(sessionId) {
+      stopWatching();
+
+      if (!window.EventSource) {
+        startPolling(sessionId);
+        return;
+      }
+
+      const source = new EventSource('/api/events?sessionId=' + encodeURIComponent(sessionId));
+      eventSource = source;
+
+      source.addEventListener('status', function(event) {
+        const payload = JSON.parse(event.data);
+
+        if (payload.status === 'ready') {
+          pollOnce(sessionId);
+        } else if (payload.status === 'expired') {
+          setStatus('Session expired. Please scan again.', true);
+          endSession();
+        } else if (payload.status === 'cancelled') {
+          setStatus('Scan session was cancelled.', true);
+          endSession();
+        } else if (payload.status === 'consumed') {
+          // Our own /api/get-data read closes the session; that response handles the result
+          closeEventStream();
+        } else {
+          showProgress(payload.progress);
+        }
+      });
+
+      source.onerror = function() {
+        if (eventSource !== source) return;
+        closeEventStream();
+        startPolling(sessionId);
+      };
+    }
+
+    async function initAutopollFromQuery() {
       const params = new URLSearchParams(window.location.search);
       const querySessionId = params.get('sessionId');
       const shouldAutopoll = params.get('autopoll') === '1';
 
       if (!querySessionId || !shouldAutopoll) return;
 
+      const cleanUrl = window.location.pathname;
+      window.history.replaceState({}, document.title, cleanUrl);
+
       activeSessionId = querySessionId;
+      sessionPrivateKey = await restorePrivateKey(querySessionId);
       hideDesktopSuccessTick();
       $('#qrModal').addClass('hidden');
       setStatus('Checking scanned card data...');
-      startPolling(querySessionId);
-
-      const cleanUrl = window.location.pathname;
-      window.history.replaceState({}, document.title, cleanUrl);
+      watchSession(querySessionId);
     }
 
-    $('#openScannerBtn').on('click', function() {
+    $('#openScannerBtn').on('click', async function() {
       setStatus('Creating secure scan session...');
       hideDesktopSuccessTick();
 
+      const sameDeviceFlow = isMobileDevice();
+      const scanSecurityCode = $('#scanSecurityCode').is(':checked');
+      let sessionKeys = null;
+
+      try {
+        sessionKeys = await createSessionKeys(sameDeviceFlow);
+      } catch (_error) {
+        sessionKeys = null;
+      }
+
+      // The server only hands out the security code end-to-end encrypted
+      if (scanSecurityCode && !sessionKeys) {
+        setStatus('This browser cannot scan the security code securely. Enter it manually.', true);
+        return;
+      }
+
+      const sessionRequest = sessionKeys ? { publicKey: sessionKeys.publicKey } : {};
+      if (scanSecurityCode) sessionRequest.securityCode = true;
+      if ($('#onDeviceOcr').is(':checked')) sessionRequest.ocrMode = 'device';
+
       $.ajax({
         url: '/api/session',
-        method: 'POST'
-      }).done(function(res) {
+        method: 'POST',
+        contentType: 'application/json',
+        data: JSON.stringify(sessionRequest)
+      }).done(async function(res) {
         if (!res.ok) {
           setStatus('Failed to create scan session.', true);
           return;
         }
 
         activeSessionId = res.sessionId;
+        sessionPrivateKey = sessionKeys ? sessionKeys.privateKey : null;
 
-        if (isMobileDevice()) {
+        if (sameDeviceFlow) {
+          if (sessionKeys) await storePrivateKeyForReturn(res.sessionId, sessionKeys.privateKey);
           setStatus('Opening mobile camera scanner...');
           window.location.href = res.mobileUrl;
           return;
@@ -162,22 +386,30 @@
         $('#sessionLabel').text('Session: ' + activeSessionId.slice(0, 8) + '...');
         $('#qrModal').removeClass('hidden');
         setStatus('Scan QR from your mobile to continue.');
-        startPolling(activeSessionId);
-      }).fail(function() {
-        setStatus('Could not connect to server.', true);
+        watchSession(activeSessionId);
+      }).fail(function(xhr) {
+        const message = xhr.responseJSON && xhr.responseJSON.error;
+        setStatus(message ? message + '.' : 'Could not connect to server.', true);
       });
     });
 
     $('#closeModalBtn').on('click', function() {
+      if (activeSessionId) cancelSession(activeSessionId);
+
       $('#qrModal').addClass('hidden');
       setStatus('Scanner closed.');
       hideDesktopSuccessTick();
-      stopPolling();
-      activeSessionId = null;
+      endSession();
     });
 
     $('#cardNumber').on('input', function() {
-      $(this).val(formatCardNumber($(this).val()));
+      const formatted = formatCardNumber($(this).val());
+      updateCardNumberMaxLength(formatted);
+      $(this).val(formatted);
+    });
+
+    $('#cardNumber, #cardholderName, #expiryDate').on('input', function() {
+      $(this).removeClass('field-corrected field-low-confidence field-expired').removeAttr('title');
     });
 
     initAutopollFromQuery();
@@ -5,12 +5,56 @@
     let uploadInFlight = false;
     let scanIntervalRef = null;
     let hasCompleted = false;
+    // Set once the front is read on sessions that also need the security code: { side, length }
+    let securityCodeStep = null;
+    let pausedUntil = 0;
+    let skippedFrames = 0;
+    let qualityCanvas = null;
+    let detectCanvas = null;
+    let sourceCanvas = null;
+    let trackingIntervalRef = null;
+    let lastCorners = null;
+    let steadyDetections = 0;
+    let lastUploadAt = 0;
+    // Set when the user stops scanning, so an aligned card doesn't restart it
+    let userPaused = false;
+    // Review screen: the summary the server sent, and values typed over it (kept across a rescan of another field)
+    let reviewData = null;
+    let reviewEdits = {};
     const params = new URLSearchParams(window.location.search);
     const sessionId = params.get('sessionId');
     const returnToRaw = params.get('returnTo');
+    // Desktop's public key and this phone's upload token travel in the fragment, which browsers never send in requests
+    const fragmentParams = new URLSearchParams(window.location.hash.slice(1));
+    const desktopPublicKey = fragmentParams.get('k');
+    const uploadToken = fragmentParams.get('t') || '';
+    // On-device OCR sessions read the card here and upload only the parsed fields, never frames
+    const onDeviceOcr = params.get('ocr') === 'device';
+    let deviceOcrWorker = null;
+    // Last card number read on the phone, to find the security code next to its last 4 digits
+    let deviceCardNumber = '';
     const SCAN_INTERVAL_MS = 650;
     const CARD_ASPECT_RATIO = 1.58;
+    // Share of the frame width covered by the on-screen guide (.scan-frame)
+    const GUIDE_WIDTH_RATIO = 0.86;
     const MAX_CAPTURE_WIDTH = 960;
+    // Time to turn the card over before frames count as the back
+    const FLIP_PAUSE_MS = 2500;
+    // Quality checks run on a small copy of the frame
+    const QUALITY_SAMPLE_WIDTH = 240;
+    // After this many rejected frames one is uploaded anyway, so a badly tuned check can't block scanning
+    const MAX_SKIPPED_FRAMES = 6;
+    // Card edges are searched for in a small copy of the area around the guide
+    const DETECT_WIDTH = 320;
+    const SEARCH_AREA_SCALE = 1.3;
+    const DETECT_INTERVAL_MS = 150;
+    // Consecutive aligned detections, each moving less than STEADY_TOLERANCE of the frame width, before auto-capture
+    const AUTO_CAPTURE_STEADY_DETECTIONS = 3;
+    const STEADY_TOLERANCE = 0.015;
+    // Auto-capture can upload sooner than SCAN_INTERVAL_MS, but stays under the scan rate limit
+    const MIN_UPLOAD_GAP_MS = 400;
+    // Strip of background kept around the flattened card so its edges stay visible
+    const WARP_MARGIN = 0.04;
 
     function getSafeReturnUrl() {
       if (!returnToRaw) return '';
@@ -30,17 +74,33 @@
       $('#scannerStatus').text(text).toggleClass('error', isError);
     }
 
+    // Best-effort lifecycle updates shown live on the desktop; failures never block scanning
+    function reportProgress(stage) {
+      if (!sessionId) return;
+
+      $.ajax({
+        url: '/api/progress',
+        method: 'POST',
+        contentType: 'application/json',
+        data: JSON.stringify({ sessionId, uploadToken, stage }),
+        timeout: 5000
+      });
+    }
+
     async function openCamera() {
-      if (!sessionId) {
+      if (!sessionId || !uploadToken) {
         setScannerStatus('Invalid scanner session link.', true);
         $('#scanBtn').prop('disabled', true);
         return;
       }
 
+      reportProgress('link_opened');
+
       if (!window.isSecureContext) {
         canUseLiveCamera = false;
         setScannerStatus('Real-time camera requires HTTPS on mobile. Use secure tunnel URL.', true);
         $('#scanBtn').prop('disabled', true);
+        reportProgress('camera_error');
         return;
       }
 
@@ -48,6 +108,7 @@
         canUseLiveCamera = false;
         setScannerStatus('Live camera API not supported on this device.', true);
         $('#scanBtn').prop('disabled', true);
+        reportProgress('camera_error');
         return;
       }
 
@@ -64,65 +125,319 @@
 
         const video = document.getElementById('video');
         video.srcObject = streamRef;
+
+        if (onDeviceOcr && !(await prepareDeviceOcr())) {
+          $('#scanBtn').prop('disabled', true);
+          return;
+        }
+
         canUseLiveCamera = true;
-        setScannerStatus('Camera ready. Tap Start Real-Time Scan.');
+        setScannerStatus(window.CardDetect
+          ? 'Camera ready. Hold the card inside the frame to scan automatically.'
+          : 'Camera ready. Tap Start Real-Time Scan.');
+        reportProgress('camera_ready');
+        startEdgeTracking();
       } catch (error) {
         canUseLiveCamera = false;
         setScannerStatus('Camera permission denied or unavailable.', true);
         $('#scanBtn').prop('disabled', true);
+        reportProgress('camera_error');
       }
     }
 
-    function captureFrameBlob() {
-      return new Promise((resolve) => {
-        const video = document.getElementById('video');
-        const canvas = document.getElementById('captureCanvas');
-        const frameWidth = video.videoWidth;
-        const frameHeight = video.videoHeight;
+    // Blur, exposure/glare and card-edge checks (/frame-quality.js); frames pass when the module is unavailable
+    function assessFrameQuality(canvas) {
+      if (!window.FrameQuality) return { ok: true, issues: [], hint: '' };
 
-        if (!frameWidth || !frameHeight) {
-          resolve(null);
-          return;
-        }
+      if (!qualityCanvas) qualityCanvas = document.createElement('canvas');
+      qualityCanvas.width = QUALITY_SAMPLE_WIDTH;
+      qualityCanvas.height = Math.round(QUALITY_SAMPLE_WIDTH / CARD_ASPECT_RATIO);
 
-        const overlayWidthRatio = 0.86;
-        const sourceWidth = Math.floor(frameWidth * overlayWidthRatio);
-        const sourceHeight = Math.floor(sourceWidth / CARD_ASPECT_RATIO);
-        const safeSourceHeight = Math.min(sourceHeight, frameHeight);
-        const safeSourceWidth = Math.min(sourceWidth, Math.floor(safeSourceHeight * CARD_ASPECT_RATIO));
-        const sourceX = Math.max(0, Math.floor((frameWidth - safeSourceWidth) / 2));
-        const sourceY = Math.max(0, Math.floor((frameHeight - safeSourceHeight) / 2));
-
-        const targetWidth = Math.min(MAX_CAPTURE_WIDTH, safeSourceWidth);
-        const targetHeight = Math.floor(targetWidth / CARD_ASPECT_RATIO);
-
-        canvas.width = targetWidth;
-        canvas.height = targetHeight;
-
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(
-          video,
-          sourceX,
-          sourceY,
-          safeSourceWidth,
-          safeSourceHeight,
-          0,
-          0,
-          canvas.width,
-          canvas.height
-        );
+      const ctx = qualityCanvas.getContext('2d', { willReadFrequently: true });
+      ctx.drawImage(canvas, 0, 0, qualityCanvas.width, qualityCanvas.height);
+      return FrameQuality.assessFrame(ctx.getImageData(0, 0, qualityCanvas.width, qualityCanvas.height));
+    }
 
+    function canvasToBlob(canvas) {
+      return new Promise((resolve) => {
         canvas.toBlob((blob) => resolve(blob), 'image/jpeg', 0.78);
       });
     }
 
+    // Where the on-screen guide sits in the video frame: centred, card-shaped, GUIDE_WIDTH_RATIO of the width
+    function getGuideRect(frameWidth, frameHeight) {
+      const sourceWidth = Math.floor(frameWidth * GUIDE_WIDTH_RATIO);
+      const sourceHeight = Math.floor(sourceWidth / CARD_ASPECT_RATIO);
+      const height = Math.min(sourceHeight, frameHeight);
+      const width = Math.min(sourceWidth, Math.floor(height * CARD_ASPECT_RATIO));
+      const left = Math.max(0, Math.floor((frameWidth - width) / 2));
+      const top = Math.max(0, Math.floor((frameHeight - height) / 2));
+
+      return { left, top, right: left + width, bottom: top + height };
+    }
+
+    // Card outline (video pixels) and how well it fits the guide, or null when /card-detect.js is unavailable or finds no card
+    function detectCardInFrame(video) {
+      const frameWidth = video.videoWidth;
+      const frameHeight = video.videoHeight;
+      if (!window.CardDetect || !frameWidth || !frameHeight) return null;
+
+      const guide = getGuideRect(frameWidth, frameHeight);
+      const areaWidth = Math.min(frameWidth, Math.round((guide.right - guide.left) * SEARCH_AREA_SCALE));
+      const areaHeight = Math.min(frameHeight, Math.round((guide.bottom - guide.top) * SEARCH_AREA_SCALE));
+      const areaLeft = Math.floor((frameWidth - areaWidth) / 2);
+      const areaTop = Math.floor((frameHeight - areaHeight) / 2);
+      const scale = DETECT_WIDTH / areaWidth;
+
+      if (!detectCanvas) detectCanvas = document.createElement('canvas');
+      detectCanvas.width = DETECT_WIDTH;
+      detectCanvas.height = Math.round(areaHeight * scale);
+
+      const ctx = detectCanvas.getContext('2d', { willReadFrequently: true });
+      ctx.drawImage(video, areaLeft, areaTop, areaWidth, areaHeight, 0, 0, detectCanvas.width, detectCanvas.height);
+
+      const card = CardDetect.detectCard(ctx.getImageData(0, 0, detectCanvas.width, detectCanvas.height));
+      if (!card) return null;
+
+      const corners = card.corners.map((corner) => ({ x: areaLeft + corner.x / scale, y: areaTop + corner.y / scale }));
+      return { corners, alignment: CardDetect.checkAlignment(corners, guide) };
+    }
+
+    // Fixed centred crop at the guide, used when no card outline is found
+    function drawGuideCrop(video, canvas) {
+      const guide = getGuideRect(video.videoWidth, video.videoHeight);
+      const guideWidth = guide.right - guide.left;
+      const guideHeight = guide.bottom - guide.top;
+
+      canvas.width = Math.min(MAX_CAPTURE_WIDTH, guideWidth);
+      canvas.height = Math.floor(canvas.width / CARD_ASPECT_RATIO);
+
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(video, guide.left, guide.top, guideWidth, guideHeight, 0, 0, canvas.width, canvas.height);
+    }
+
+    // Flattens the detected card into an upright, card-shaped image
+    function drawWarpedCard(video, corners, canvas) {
+      const distance = (p, q) => Math.hypot(q.x - p.x, q.y - p.y);
+      const cardWidth = Math.max(distance(corners[0], corners[1]), distance(corners[3], corners[2]));
+      const pad = cardWidth * WARP_MARGIN * 2;
+      const xs = corners.map((corner) => corner.x);
+      const ys = corners.map((corner) => corner.y);
+      const left = Math.max(0, Math.floor(Math.min(...xs) - pad));
+      const top = Math.max(0, Math.floor(Math.min(...ys) - pad));
+      const right = Math.min(video.videoWidth, Math.ceil(Math.max(...xs) + pad));
+      const bottom = Math.min(video.videoHeight, Math.ceil(Math.max(...ys) + pad));
+
+      // Only the card's bounding box is read back from the GPU
+      if (!sourceCanvas) sourceCanvas = document.createElement('canvas');
+      sourceCanvas.width = right - left;
+      sourceCanvas.height = bottom - top;
+      const sourceCtx = sourceCanvas.getContext('2d', { willReadFrequently: true });
+      sourceCtx.drawImage(video, left, top, sourceCanvas.width, sourceCanvas.height, 0, 0, sourceCanvas.width, sourceCanvas.height);
+
+      const targetWidth = Math.min(MAX_CAPTURE_WIDTH, Math.round(cardWidth * (1 + 2 * WARP_MARGIN)));
+      const targetHeight = Math.floor(targetWidth / CARD_ASPECT_RATIO);
+      const warped = CardDetect.warpPerspective(
+        sourceCtx.getImageData(0, 0, sourceCanvas.width, sourceCanvas.height),
+        corners.map((corner) => ({ x: corner.x - left, y: corner.y - top })),
+        targetWidth,
+        targetHeight,
+        { margin: WARP_MARGIN }
+      );
+      if (!warped) return false;
+
+      canvas.width = targetWidth;
+      canvas.height = targetHeight;
+      canvas.getContext('2d').putImageData(new ImageData(warped.data, targetWidth, targetHeight), 0, 0);
+      return true;
+    }
+
+    // { canvas, hint } where hint says why the frame isn't worth uploading ('' when it is), or null without a video frame
+    function captureFrame() {
+      const video = document.getElementById('video');
+      const canvas = document.getElementById('captureCanvas');
+
+      if (!video.videoWidth || !video.videoHeight) return null;
+
+      const detection = detectCardInFrame(video);
+      if (detection && !detection.alignment.aligned) {
+        drawGuideCrop(video, canvas);
+        return { canvas, hint: detection.alignment.hint };
+      }
+
+      if (!detection || !drawWarpedCard(video, detection.corners, canvas)) drawGuideCrop(video, canvas);
+      return { canvas, hint: assessFrameQuality(canvas).hint };
+    }
+
+    function clearEdgeOverlay() {
+      const overlay = document.getElementById('edgeOverlay');
+      overlay.getContext('2d').clearRect(0, 0, overlay.width, overlay.height);
+      $('.scan-frame').removeClass('card-detected');
+    }
+
+    // Outlines the detected card over the preview: green when aligned, amber otherwise
+    function drawEdgeOverlay(video, detection) {
+      const overlay = document.getElementById('edgeOverlay');
+      const width = overlay.clientWidth;
+      const height = overlay.clientHeight;
+      if (overlay.width !== width) overlay.width = width;
+      if (overlay.height !== height) overlay.height = height;
+
+      clearEdgeOverlay();
+      if (!detection) return;
+
+      // The preview uses object-fit: cover, so the video is scaled to fill and cropped evenly on both sides
+      const scale = Math.max(width / video.videoWidth, height / video.videoHeight);
+      const offsetX = (width - video.videoWidth * scale) / 2;
+      const offsetY = (height - video.videoHeight * scale) / 2;
+      const ctx = overlay.getContext('2d');
+
+      ctx.beginPath();
+      detection.corners.forEach((corner, index) => {
+        const x = offsetX + corner.x * scale;
+        const y = offsetY + corner.y * scale;
+        if (index === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.closePath();
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = detection.alignment.aligned ? '#22c55e' : '#f59e0b';
+      ctx.stroke();
+      $('.scan-frame').addClass('card-detected');
+    }
+
+    function isSteady(corners) {
+      if (!lastCorners) return false;
+      const video = document.getElementById('video');
+      const tolerance = video.videoWidth * STEADY_TOLERANCE;
+      return corners.every((corner, index) => Math.hypot(corner.x - lastCorners[index].x, corner.y - lastCorners[index].y) <= tolerance);
+    }
+
+    // Runs while the camera is open: tracks the card for the overlay and captures once it is aligned and steady
+    function trackCard() {
+      const video = document.getElementById('video');
+      if (!streamRef || hasCompleted || reviewData) return;
+
+      const detection = detectCardInFrame(video);
+      drawEdgeOverlay(video, detection);
+
+      const steady = detection && detection.alignment.aligned && isSteady(detection.corners);
+      steadyDetections = steady ? steadyDetections + 1 : 0;
+      lastCorners = detection ? detection.corners : null;
+
+      if (steadyDetections < AUTO_CAPTURE_STEADY_DETECTIONS) return;
+      if (!scanningActive) {
+        if (!userPaused) startRealtimeScan();
+        return;
+      }
+      scanOnce();
+    }
+
+    function startEdgeTracking() {
+      if (!window.CardDetect || trackingIntervalRef) return;
+      trackingIntervalRef = setInterval(trackCard, DETECT_INTERVAL_MS);
+    }
+
+    function stopEdgeTracking() {
+      if (trackingIntervalRef) {
+        clearInterval(trackingIntervalRef);
+        trackingIntervalRef = null;
+      }
+      lastCorners = null;
+      steadyDetections = 0;
+      clearEdgeOverlay();
+    }
+
+    function loadScript(src) {
+      return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error('Could not load ' + src));
+        document.body.appendChild(script);
+      });
+    }
+
+    // tesseract.js (WASM) and the card parser, loaded only for on-device sessions
+    function getDeviceOcrWorker() {
+      if (!deviceOcrWorker) {
+        deviceOcrWorker = loadScript('/bin-table.js')
+          .then(() => loadScript('/name-rules.js'))
+          .then(() => loadScript('/card-parser.js'))
+          .then(() => loadScript('/vendor/tesseract/tesseract.min.js'))
+          .then(() => Tesseract.createWorker('eng', 1, {
+            workerPath: '/vendor/tesseract/worker.min.js',
+            corePath: '/vendor/tesseract-core',
+            // OEM 1 (LSTM only) reads the best_int model; without langPath it would come from a CDN
+            langPath: '/vendor/tesseract-data/eng/4.0.0_best_int',
+            workerBlobURL: false
+          }))
+          .catch((error) => {
+            deviceOcrWorker = null;
+            throw error;
+          });
+      }
+
+      return deviceOcrWorker;
+    }
+
+    async function prepareDeviceOcr() {
+      setScannerStatus('Loading on-device card reader...');
+
+      try {
+        await getDeviceOcrWorker();
+        return true;
+      } catch (_error) {
+        setScannerStatus('On-device card reader could not be loaded. Check your connection and reload this page.', true);
+        return false;
+      }
+    }
+
+    // Only values and confidences leave the phone: no image and no raw OCR text
+    async function readFieldsOnDevice(canvas) {
+      const worker = await getDeviceOcrWorker();
+      const { data } = await worker.recognize(canvas);
+      const text = data?.text || '';
+
+      if (securityCodeStep) {
+        return {
+          securityCode: CardParser.parseSecurityCode(text, {
+            length: securityCodeStep.length,
+            side: securityCodeStep.side,
+            cardNumber: deviceCardNumber
+          }).value
+        };
+      }
+
+      const parsed = CardParser.parseCardText(text);
+      if (parsed.cardNumber.value) deviceCardNumber = parsed.cardNumber.value;
+
+      const fields = {};
+      ['cardNumber', 'expiryDate', 'cardholderName'].forEach((field) => {
+        fields[field] = { value: parsed[field].value, confidence: parsed[field].confidence };
+      });
+      return { fields };
+    }
+
+    function uploadFields(payload) {
+      return $.ajax({
+        url: '/api/scan/fields',
+        method: 'POST',
+        contentType: 'application/json',
+        data: JSON.stringify({ sessionId, uploadToken, publicKey: desktopPublicKey || undefined, ...payload }),
+        timeout: 15000
+      });
+    }
+
     function uploadBlob(blob) {
       return $.ajax({
-        url: '/api/scan',
+        // The session id goes in the query so the server can rate limit before reading the image
+        url: '/api/scan?sessionId=' + encodeURIComponent(sessionId),
         method: 'POST',
         data: (function() {
           const formData = new FormData();
-          formData.append('sessionId', sessionId);
+          formData.append('uploadToken', uploadToken);
+          if (desktopPublicKey) formData.append('publicKey', desktopPublicKey);
           formData.append('cardImage', blob, 'card-scan.jpg');
           return formData;
         })(),
@@ -133,6 +448,7 @@
     }
 
     function stopCameraStream() {
+      stopEdgeTracking();
       if (streamRef) {
         streamRef.getTracks().forEach((track) => track.stop());
         streamRef = null;
@@ -150,6 +466,31 @@
       $('#scanBtn').text('Start Real-Time Scan').prop('disabled', !canUseLiveCamera);
     }
 
+    const FIELD_LABELS = {
+      cardNumber: 'card number',
+      expiryDate: 'expiry',
+      cardholderName: 'name'
+    };
+
+    // The server waits for several frames to agree before accepting a scan
+    function describeCollecting(res) {
+      const fields = (res.uncertainFields || []).map((field) => FIELD_LABELS[field] || field);
+      return fields.length ? 'Hold steady... confirming ' + fields.join(' and ') + '.' : 'Hold steady... confirming card details.';
+    }
+
+    function describeSecurityCodeStep(prefix) {
+      return prefix + (securityCodeStep.side === 'front'
+        ? ' Hold the card closer so the ' + securityCodeStep.length + '-digit code above the number is sharp.'
+        : ' Flip the card and show the back with the ' + securityCodeStep.length + '-digit security code.');
+    }
+
+    function startSecurityCodeStep(res) {
+      securityCodeStep = { side: res.side, length: res.length };
+      if (res.side === 'back') pausedUntil = Date.now() + FLIP_PAUSE_MS;
+      $('.scan-hint').text(res.side === 'back' ? 'Show the back of the card' : 'Show the front of the card');
+      setScannerStatus(describeSecurityCodeStep('Front read.'));
+    }
+
     function handleSuccessfulScan() {
       hasCompleted = true;
       stopRealtimeScan();
@@ -168,21 +509,183 @@
       }, 1800);
     }
 
+    const REVIEW_INPUTS = {
+      cardholderName: '#reviewName',
+      expiryDate: '#reviewExpiry'
+    };
+
+    function hideReview() {
+      reviewData = null;
+      $('#reviewPanel').addClass('hidden');
+      $('.scanner-actions').removeClass('hidden');
+    }
+
+    // Nothing reaches the desktop until the user confirms; the camera stays open for rescans
+    function showReview(res) {
+      reviewData = res.data || {};
+      const fieldConfidence = reviewData.fieldConfidence || {};
+      const lowConfidence = Object.keys(fieldConfidence).filter((field) => fieldConfidence[field].lowConfidence);
+      const uncertainFields = [...new Set([...(res.uncertainFields || []), ...lowConfidence])];
+      stopRealtimeScan();
+      clearEdgeOverlay();
+      $('.scanner-actions').addClass('hidden');
+
+      $('#reviewCardNumber').text(reviewData.maskedCardNumber || '');
+      $('#reviewBrand').text(reviewData.cardType || '');
+      Object.keys(REVIEW_INPUTS).forEach((field) => {
+        $(REVIEW_INPUTS[field]).val(field in reviewEdits ? reviewEdits[field] : reviewData[field] || '');
+      });
+
+      // Fields the site does not collect are not sent to the phone, so there is nothing to show
+      $('#reviewPanel .review-row').each(function() {
+        const field = $(this).data('field');
+        const key = field === 'cardNumber' ? 'maskedCardNumber' : field;
+        $(this).toggleClass('hidden', reviewData[key] === undefined).toggleClass('uncertain', uncertainFields.includes(field));
+      });
+
+      $('#confirmReviewBtn').prop('disabled', false);
+      $('#reviewPanel').removeClass('hidden');
+      const expired = reviewData.expiryStatus === 'expired';
+      $('#reviewPanel .review-row[data-field="expiryDate"]').toggleClass('expired', expired);
+      const unsure = uncertainFields.map((field) => FIELD_LABELS[field] || field);
+      if (expired) {
+        setScannerStatus('This card expired in ' + reviewData.expiryDate + '. Fix the date if it was misread.', true);
+      } else {
+        setScannerStatus(unsure.length ? 'Please check the ' + unsure.join(' and ') + '.' : 'Check the details, then confirm.');
+      }
+    }
+
+    // Refused by the site's expired card policy: the server starts over, the user has to present another card
+    function showCardExpired(message) {
+      hideReview();
+      userPaused = true;
+      stopRealtimeScan();
+      setScannerStatus((message || 'This card has expired.') + ' Tap Start to scan another card.', true);
+    }
+
+    function sendReview(body) {
+      return $.ajax({
+        url: '/api/scan/review',
+        method: 'POST',
+        contentType: 'application/json',
+        data: JSON.stringify({ sessionId, uploadToken, publicKey: desktopPublicKey || undefined, ...body }),
+        timeout: 15000
+      });
+    }
+
+    function handleReviewError(error) {
+      const status = error?.status;
+      const message = error?.responseJSON?.error;
+      $('#confirmReviewBtn').prop('disabled', false);
+
+      if (status === 422 && error.responseJSON?.status === 'card_expired') {
+        showCardExpired(message);
+        return;
+      }
+
+      if ([403, 404, 409, 410].includes(status)) {
+        hideReview();
+        $('.scanner-actions').addClass('hidden');
+        setScannerStatus((message || 'This scan session is closed') + '. Please rescan QR from desktop.', true);
+        stopCameraStream();
+        return;
+      }
+
+      setScannerStatus(message || 'Could not send. Please try again.', true);
+    }
+
+    async function requestRescan(field) {
+      try {
+        await sendReview({ action: 'rescan', field });
+        delete reviewEdits[field];
+        hideReview();
+        userPaused = false;
+        startRealtimeScan();
+        setScannerStatus('Rescanning the ' + (FIELD_LABELS[field] || field) + '... hold card inside frame.');
+      } catch (error) {
+        handleReviewError(error);
+      }
+    }
+
+    async function confirmReview() {
+      // Only fields on screen are sent; the server counts the ones that differ from the scan as corrected
+      const corrections = {};
+      Object.keys(REVIEW_INPUTS).forEach((field) => {
+        if (reviewData[field] !== undefined) corrections[field] = String($(REVIEW_INPUTS[field]).val());
+      });
+
+      $('#confirmReviewBtn').prop('disabled', true);
+      try {
+        const res = await sendReview({ action: 'confirm', corrections });
+        reviewEdits = {};
+        hideReview();
+
+        if (res?.status === 'security_code') {
+          startSecurityCodeStep(res);
+          startRealtimeScan();
+          setScannerStatus(describeSecurityCodeStep('Details confirmed.'));
+          return;
+        }
+
+        handleSuccessfulScan();
+      } catch (error) {
+        handleReviewError(error);
+      }
+    }
+
     async function scanOnce() {
-      if (!scanningActive || uploadInFlight || hasCompleted) return;
+      if (!scanningActive || uploadInFlight || hasCompleted || reviewData) return;
       if (!streamRef || !canUseLiveCamera) return;
+      if (Date.now() < pausedUntil) return;
+      if (Date.now() - lastUploadAt < MIN_UPLOAD_GAP_MS) return;
 
       uploadInFlight = true;
       $('#scanLoader').removeClass('hidden');
 
       try {
-        const blob = await captureFrameBlob();
-        if (!blob) {
+        const frame = captureFrame();
+        if (!frame) {
           setScannerStatus('Could not read camera frame. Keep card steady.', true);
           return;
         }
 
-        const res = await uploadBlob(blob);
+        // Misaligned or bad frames are not worth an OCR call; the hint says what to fix
+        if (frame.hint && skippedFrames < MAX_SKIPPED_FRAMES) {
+          skippedFrames += 1;
+          setScannerStatus(frame.hint);
+          return;
+        }
+        skippedFrames = 0;
+        lastUploadAt = Date.now();
+
+        let res;
+        if (onDeviceOcr) {
+          res = await uploadFields(await readFieldsOnDevice(frame.canvas));
+        } else {
+          const blob = await canvasToBlob(frame.canvas);
+          if (!blob) {
+            setScannerStatus('Could not read camera frame. Keep card steady.', true);
+            return;
+          }
+
+          res = await uploadBlob(blob);
+        }
+
+        if (res?.ok && res.status === 'collecting') {
+          setScannerStatus(describeCollecting(res));
+          return;
+        }
+
+        if (res?.ok && res.status === 'review') {
+          showReview(res);
+          return;
+        }
+
+        if (res?.ok && res.status === 'security_code') {
+          startSecurityCodeStep(res);
+          return;
+        }
+
         if (res?.ok) {
           handleSuccessfulScan();
           return;
@@ -191,11 +694,33 @@
         const status = error?.status;
         const message = error?.responseJSON?.error;
 
-        if (status === 422) {
+        // A reloaded page finds the review still open on the server
+        if (status === 400 && error.responseJSON?.status === 'review') {
+          showReview(error.responseJSON);
+          return;
+        }
+
+        if (status === 422 && error.responseJSON?.status === 'card_expired') {
+          showCardExpired(message);
+          return;
+        } else if (status === 422 && securityCodeStep) {
+          setScannerStatus(describeSecurityCodeStep('Reading security code...'));
+        } else if (status === 422) {
           setScannerStatus('Reading card... adjust angle and lighting.');
         } else if (status === 404 || status === 410) {
           setScannerStatus('Session expired. Please rescan QR from desktop.', true);
           stopRealtimeScan();
+          stopEdgeTracking();
+          return;
+        } else if (status === 403) {
+          setScannerStatus('This scanner link is not valid. Please rescan QR from desktop.', true);
+          stopRealtimeScan();
+          stopEdgeTracking();
+          return;
+        } else if (status === 409) {
+          setScannerStatus((message || 'This scan session is closed') + '. Please rescan QR from desktop.', true);
+          stopRealtimeScan();
+          stopEdgeTracking();
           return;
         } else {
           setScannerStatus(message || 'Scan in progress... keep card inside frame.');
@@ -219,6 +744,7 @@
       $('#scanSuccess').addClass('hidden');
       $('#scanBtn').text('Stop Scan').prop('disabled', false);
       setScannerStatus('Scanning continuously... hold card inside frame.');
+      reportProgress('scanning');
 
       scanIntervalRef = setInterval(scanOnce, SCAN_INTERVAL_MS);
       scanOnce();
@@ -226,17 +752,32 @@
 
     $('#scanBtn').on('click', function() {
       if (scanningActive) {
+        userPaused = true;
         stopRealtimeScan();
         setScannerStatus('Real-time scan paused.');
+        reportProgress('paused');
         return;
       }
 
+      userPaused = false;
       startRealtimeScan();
     });
 
+    $('.review-input').on('input', function() {
+      const field = Object.keys(REVIEW_INPUTS).find((key) => REVIEW_INPUTS[key] === '#' + this.id);
+      reviewEdits[field] = $(this).val();
+    });
+
+    $('.review-rescan').on('click', function() {
+      requestRescan($(this).data('field'));
+    });
+
+    $('#confirmReviewBtn').on('click', confirmReview);
+
     window.addEventListener('beforeunload', function() {
       stopRealtimeScan();
       stopCameraStream();
     });
 
+    if (onDeviceOcr) $('#scannerSubtitle').text('Your card is read on this phone. No images are uploaded.');
     openCamera();
\ No newline at end of file
@@ -1,22 +1,134 @@
 const express = require('express');
 const path = require('path');
-const os = require('os');
 const fs = require('fs');
+const os = require('os');
 const multer = require('multer');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
 const QRCode = require('qrcode');
 const localtunnel = require('localtunnel');
-const vision = require('@google-cloud/vision');
+const { createOcrProvider, getOcrLayout } = require('./lib/ocr');
+const {
+  parseCardText,
+  isValidCardLength,
+  maskCardNumber,
+  detectCardType,
+  parseSecurityCode,
+  lookupBin,
+  setBinTable,
+  getBinTable,
+  setNameRules,
+  getNameRules,
+  setMaxExpiryYears,
+  checkExpiry
+} = require('./lib/card-parser');
+const { loadBinTable } = require('./lib/bin-table');
+const { loadNameRules, readNameLocalesFromEnv } = require('./lib/name-rules');
+const { createSessionStore } = require('./lib/session-store');
+const { createSessionCipherFromEnv } = require('./lib/session-crypto');
+const e2eCrypto = require('./lib/e2e-crypto');
+const { parseAllowedOrigins, isOriginAllowed } = require('./lib/allowed-origins');
+const { isCallbackUrlAllowed, createWebhookSender, readWebhookConfigFromEnv } = require('./lib/webhooks');
+const { readDeviceFields, readDeviceSecurityCode } = require('./lib/device-fields');
+const { RESCAN_FIELDS, applyCorrections, mergeRescan } = require('./lib/scan-review');
+const {
+  createConsensusState,
+  addFrame,
+  evaluateConsensus,
+  getFieldConfidence,
+  readConsensusOptionsFromEnv
+} = require('./lib/scan-consensus');
+const {
+  createDefaultTenant,
+  loadTenants,
+  createTenantRegistry,
+  filterScanResult
+} = require('./lib/tenants');
+const {
+  createSessionToken,
+  hashSessionToken,
+  verifySessionToken,
+  readCookie
+} = require('./lib/session-tokens');
 
 const app = express();
 const PUBLIC_DIR = path.join(__dirname, 'public');
 const PORT = process.env.PORT || 3000;
-const SESSION_TTL_MS = 5 * 60 * 1000;
-const MAX_CARD_DIGITS = 16;
+const EVENT_STREAM_HEARTBEAT_MS = 25 * 1000;
+const STREAM_END_STATUSES = new Set(['expired', 'consumed', 'cancelled']);
+const DESKTOP_TOKEN_HEADER = 'X-Desktop-Token';
+const API_KEY_HEADER = 'X-API-Key';
+const PUBLISHABLE_KEY_HEADER = 'X-Publishable-Key';
 const IS_PRODUCTION = process.env.NODE_ENV === 'production';
-const LOCAL_VISION_KEY_PATH = path.join(__dirname, 'vision-key.json');
+const REQUIRE_E2E_ENCRYPTION = process.env.REQUIRE_E2E_ENCRYPTION === 'true';
+// once: data is purged on first /api/get-data read; ack: purged when the desktop acknowledges receipt
+const DELIVERY_MODES = new Set(['once', 'ack']);
+const DELIVERY_MODE = (process.env.SESSION_DELIVERY_MODE || 'once').trim().toLowerCase();
+
+if (!DELIVERY_MODES.has(DELIVERY_MODE)) {
+  throw new Error(`Unknown SESSION_DELIVERY_MODE "${process.env.SESSION_DELIVERY_MODE}". Expected one of: ${[...DELIVERY_MODES].join(', ')}.`);
+}
+
+// server: the phone uploads frames for OCR here, unless a session asks for ocrMode "device";
+// device: every session reads the card on the phone and only structured fields are accepted
+const OCR_MODES = new Set(['server', 'device']);
+const OCR_MODE = (process.env.OCR_MODE || 'server').trim().toLowerCase();
+
+if (!OCR_MODES.has(OCR_MODE)) {
+  throw new Error(`Unknown OCR_MODE "${process.env.OCR_MODE}". Expected one of: ${[...OCR_MODES].join(', ')}.`);
+}
+
+// Expired cards: warn (the result says expiryStatus "expired") or block (the scan is refused); tenants may override
+const EXPIRED_CARD_POLICIES = new Set(['warn', 'block']);
+const EXPIRED_CARDS = (process.env.EXPIRED_CARDS || 'warn').trim().toLowerCase();
+
+if (!EXPIRED_CARD_POLICIES.has(EXPIRED_CARDS)) {
+  throw new Error(`Unknown EXPIRED_CARDS "${process.env.EXPIRED_CARDS}". Expected one of: ${[...EXPIRED_CARD_POLICIES].join(', ')}.`);
+}
+
+// Expiry dates further ahead than this are treated as misreads
+const EXPIRY_MAX_YEARS = Number(process.env.EXPIRY_MAX_YEARS || 20);
+
+if (!Number.isInteger(EXPIRY_MAX_YEARS) || EXPIRY_MAX_YEARS < 1) {
+  throw new Error('EXPIRY_MAX_YEARS must be a positive integer.');
+}
+
+// Third-party checkout pages allowed to embed the widget SDK (/sdk/card-scan.js) and call the API cross-origin
+const WIDGET_ALLOWED_ORIGINS = parseAllowedOrigins(process.env.WIDGET_ALLOWED_ORIGINS);
+
+// Multi-tenant mode (TENANTS_PATH): API keys, widget origins, rate limits, session TTL and returned fields per tenant.
+// Without it every request uses the built-in default tenant (WIDGET_ALLOWED_ORIGINS, 5 minute TTL, all fields).
+const tenantRegistry = process.env.TENANTS_PATH ? createTenantRegistry(loadTenants(process.env.TENANTS_PATH)) : null;
+// Signed webhooks: WEBHOOK_ALLOWED_URLS + WEBHOOK_SECRET on a single-tenant server, each tenant's `webhooks` otherwise
+const envWebhooks = readWebhookConfigFromEnv();
+
+if (tenantRegistry && envWebhooks) {
+  throw new Error('WEBHOOK_ALLOWED_URLS only applies without TENANTS_PATH. Configure "webhooks" for each tenant instead.');
+}
+
+const defaultTenant = createDefaultTenant({
+  allowedOrigins: WIDGET_ALLOWED_ORIGINS,
+  allowSecurityCode: process.env.ALLOW_SECURITY_CODE_SCAN === 'true',
+  webhooks: envWebhooks
+});
+// The bundled desktop page has no API key; PAGE_TENANT_ID lets it create sessions for one tenant
+const pageTenant = tenantRegistry && process.env.PAGE_TENANT_ID ? tenantRegistry.get(process.env.PAGE_TENANT_ID) : null;
+
+if (tenantRegistry && process.env.PAGE_TENANT_ID && !pageTenant) {
+  throw new Error(`PAGE_TENANT_ID "${process.env.PAGE_TENANT_ID}" is not defined in ${process.env.TENANTS_PATH}.`);
+}
+
+const TENANTS = tenantRegistry ? [...tenantRegistry.tenants, defaultTenant] : [defaultTenant];
+const WIDGET_ORIGINS = [...new Set(TENANTS.flatMap((tenant) => tenant.allowedOrigins))];
+
+function getTenant(tenantId) {
+  return (tenantRegistry && tenantRegistry.get(tenantId)) || defaultTenant;
+}
+// The widget SDK bundles the E2E helper so host pages only need one script tag
+const WIDGET_SDK_SOURCE = ['e2e-crypto.js', 'card-scan-sdk.js']
+  .map((file) => fs.readFileSync(path.join(__dirname, 'lib', file), 'utf8'))
+  .join('\n');
 
 app.set('trust proxy', true);
 app.disable('x-powered-by');
@@ -35,21 +147,27 @@ app.use((req, res, next) => {
   return next();
 });
 
+const CSP_DIRECTIVES = {
+  defaultSrc: ["'self'"],
+  scriptSrc: ["'self'", 'https://code.jquery.com'],
+  styleSrc: ["'self'"],
+  imgSrc: ["'self'", 'data:', 'blob:', 'https:'],
+  connectSrc: ["'self'", 'https:'],
+  fontSrc: ["'self'", 'https:'],
+  objectSrc: ["'none'"],
+  frameAncestors: ["'none'"],
+  baseUri: ["'self'"],
+  formAction: ["'self'"]
+};
+
+// On-device OCR compiles WebAssembly, so only the scanner page and its OCR worker (which runs
+// under its own script's policy) may; every other page keeps the stricter policy above.
+const scannerCsp = helmet.contentSecurityPolicy({
+  directives: { ...CSP_DIRECTIVES, scriptSrc: [...CSP_DIRECTIVES.scriptSrc, "'wasm-unsafe-eval'"] }
+});
+
 app.use(helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      scriptSrc: ["'self'", 'https://code.jquery.com'],
-      styleSrc: ["'self'"],
-      imgSrc: ["'self'", 'data:', 'blob:', 'https:'],
-      connectSrc: ["'self'", 'https:'],
-      fontSrc: ["'self'", 'https:'],
-      objectSrc: ["'none'"],
-      frameAncestors: ["'none'"],
-      baseUri: ["'self'"],
-      formAction: ["'self'"]
-    }
-  },
+  contentSecurityPolicy: { directives: CSP_DIRECTIVES },
   referrerPolicy: { policy: 'no-referrer' },
   hsts: IS_PRODUCTION
     ? { maxAge: 15552000, includeSubDomains: true, preload: true }
@@ -59,21 +177,40 @@ app.use(helmet({
 app.use(express.json({ limit: '2mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-const sessionRateLimiter = rateLimit({
-  windowMs: 10 * 60 * 1000,
-  max: 60,
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: { ok: false, error: 'Too many session requests. Try again shortly.' }
-});
+// Each tenant gets its own limiter instances (and counters), sized from its rateLimits settings
+function createTenantRateLimiters(tenant) {
+  return {
+    sessions: rateLimit({
+      windowMs: tenant.rateLimits.sessions.windowMs,
+      max: tenant.rateLimits.sessions.limit,
+      standardHeaders: true,
+      legacyHeaders: false,
+      message: { ok: false, error: 'Too many session requests. Try again shortly.' }
+    }),
+    scans: rateLimit({
+      windowMs: tenant.rateLimits.scans.windowMs,
+      max: tenant.rateLimits.scans.limit,
+      standardHeaders: true,
+      legacyHeaders: false,
+      message: { ok: false, error: 'Too many scan requests. Slow down and retry.' }
+    }),
+    // Progress pings have their own budget so they never use up the scans quota
+    progress: rateLimit({
+      windowMs: tenant.rateLimits.progress.windowMs,
+      max: tenant.rateLimits.progress.limit,
+      standardHeaders: true,
+      legacyHeaders: false,
+      message: { ok: false, error: 'Too many progress updates. Try again shortly.' }
+    })
+  };
+}
 
-const scanRateLimiter = rateLimit({
-  windowMs: 60 * 1000,
-  max: 180,
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: { ok: false, error: 'Too many scan requests. Slow down and retry.' }
-});
+const tenantRateLimiters = new Map(TENANTS.map((tenant) => [tenant.id, createTenantRateLimiters(tenant)]));
+
+// Expects res.locals.tenant from resolveRequestTenant or resolveSessionTenant
+function tenantRateLimit(kind) {
+  return (req, res, next) => tenantRateLimiters.get(res.locals.tenant.id)[kind](req, res, next);
+}
 
 const pollingRateLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -88,6 +225,45 @@ app.use('/api', (_req, res, next) => {
   next();
 });
 
+function toOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (_error) {
+    return null;
+  }
+}
+
+function isOwnOrigin(req, origin) {
+  const ownOrigins = [`${req.protocol}://${req.get('host')}`, process.env.PUBLIC_BASE_URL, runtimeTunnelUrl]
+    .filter(Boolean)
+    .map(toOrigin)
+    .filter(Boolean);
+  return isOriginAllowed(origin, ownOrigins);
+}
+
+// CORS for widget hosts; other cross-origin callers are refused outright rather than relying on the browser
+app.use('/api', (req, res, next) => {
+  const origin = req.get('origin');
+  if (!origin || isOwnOrigin(req, origin)) return next();
+
+  if (!isOriginAllowed(origin, WIDGET_ORIGINS)) {
+    return res.status(403).json({ ok: false, error: 'Origin not allowed' });
+  }
+
+  res.vary('Origin');
+  res.set({
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE',
+    'Access-Control-Allow-Headers': `Content-Type, Authorization, ${DESKTOP_TOKEN_HEADER}, ${API_KEY_HEADER}, ${PUBLISHABLE_KEY_HEADER}`,
+    'Access-Control-Max-Age': '600'
+  });
+  res.locals.widgetOrigin = origin;
+
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
+  return next();
+});
+
+app.get(['/scanner', '/scanner.html'], scannerCsp);
 app.use(express.static(PUBLIC_DIR));
 
 app.get('/', (_req, res) => {
@@ -102,6 +278,43 @@ app.get('/scanner.html', (_req, res) => {
   res.sendFile(path.join(PUBLIC_DIR, 'scanner.html'));
 });
 
+app.get('/card-parser.js', (_req, res) => {
+  res.sendFile(path.join(__dirname, 'lib', 'card-parser.js'));
+});
+
+app.get('/e2e-crypto.js', (_req, res) => {
+  res.sendFile(path.join(__dirname, 'lib', 'e2e-crypto.js'));
+});
+
+app.get('/frame-quality.js', (_req, res) => {
+  res.sendFile(path.join(__dirname, 'lib', 'frame-quality.js'));
+});
+
+app.get('/card-detect.js', (_req, res) => {
+  res.sendFile(path.join(__dirname, 'lib', 'card-detect.js'));
+});
+
+// Browser build of tesseract.js, its WASM core and the English model, for scanners in on-device OCR mode
+app.use('/vendor/tesseract', scannerCsp, express.static(path.dirname(require.resolve('tesseract.js/dist/tesseract.min.js'))));
+app.use('/vendor/tesseract-core', express.static(path.dirname(require.resolve('tesseract.js-core/package.json'))));
+app.use('/vendor/tesseract-data/eng', express.static(path.dirname(require.resolve('@tesseract.js-data/eng/package.json'))));
+
+app.get('/sdk/card-scan.js', (_req, res) => {
+  res.type('application/javascript');
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.send(WIDGET_SDK_SOURCE);
+});
+
+app.get('/bin-table.js', (_req, res) => {
+  res.type('application/javascript');
+  res.send(`window.CARD_BIN_TABLE = ${JSON.stringify(getBinTable())};\n`);
+});
+
+app.get('/name-rules.js', (_req, res) => {
+  res.type('application/javascript');
+  res.send(`window.CARD_NAME_RULES = ${JSON.stringify(getNameRules())};\n`);
+});
+
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 10 * 1024 * 1024 },
@@ -116,26 +329,36 @@ const upload = multer({
   }
 });
 
-// Configure Vision client (production requires explicit credential configuration)
-const hasGoogleAppCredentials = Boolean(process.env.GOOGLE_APPLICATION_CREDENTIALS);
-const hasLocalVisionKey = fs.existsSync(LOCAL_VISION_KEY_PATH);
-
-if (IS_PRODUCTION && !hasGoogleAppCredentials) {
-  throw new Error('GOOGLE_APPLICATION_CREDENTIALS must be set in production.');
-}
-
-if (!hasGoogleAppCredentials && !hasLocalVisionKey) {
-  throw new Error('Google Vision credential not found. Set GOOGLE_APPLICATION_CREDENTIALS or provide local vision-key.json for development.');
-}
-
-const client = new vision.ImageAnnotatorClient(
-  hasGoogleAppCredentials
-    ? {}
-    : { keyFilename: LOCAL_VISION_KEY_PATH }
-);
+// Configure OCR provider (OCR_PROVIDER=vision|tesseract, defaults to Google Vision)
+const ocrProvider = createOcrProvider(process.env.OCR_PROVIDER, {
+  rootDir: __dirname,
+  isProduction: IS_PRODUCTION
+});
 
-// In-memory session store: sessionId -> { createdAt, expiresAt, status, data }
-const scanSessions = new Map();
+// Multi-frame consensus: a scan is only finalised once its fields agree across frames
+const CONSENSUS_OPTIONS = readConsensusOptionsFromEnv();
+// The phone shows what was read for the user to confirm, correct or rescan before the session becomes ready
+const SCAN_REVIEW = process.env.SCAN_REVIEW !== 'false';
+
+// BIN ranges: bundled data/bin-ranges.json plus optional ops-maintained BIN_TABLE_PATH (JSON or CSV)
+setBinTable(loadBinTable(process.env.BIN_TABLE_PATH));
+// Cardholder name rules: data/name-rules/base.json, the NAME_LOCALES packs, then optional NAME_RULES_PATH
+const NAME_LOCALES = readNameLocalesFromEnv();
+setNameRules(loadNameRules({ locales: NAME_LOCALES, overridePath: process.env.NAME_RULES_PATH }));
+setMaxExpiryYears(EXPIRY_MAX_YEARS);
+
+// Session store (SESSION_STORE=memory|redis): sessionId -> { createdAt, expiresAt, status, progress, data, deliveredAt }
+// status: pending -> ready -> consumed, or cancelled by the desktop; the record is kept until TTL so late scans are refused
+// Also carries status changes for /api/events subscribers: sessionId -> { status, progress }
+const sessionStore = createSessionStore(process.env.SESSION_STORE);
+// Scan results are stored encrypted (`data` holds the sealed envelope) and only opened by /api/get-data
+const sessionCipher = createSessionCipherFromEnv({ requireConfiguredKeys: sessionStore.name !== 'memory' });
+// One sender per tenant with webhooks, each signing with that tenant's secret
+const webhookSenders = new Map(TENANTS
+  .filter((tenant) => tenant.webhooks)
+  .map((tenant) => [tenant.id, createWebhookSender({ secret: tenant.webhooks.secret })]));
+// sessionId -> stop() for sessions this instance will report as scan.expired
+const webhookExpiryWatches = new Map();
 let runtimeTunnelUrl = '';
 let tunnelInstance = null;
 
@@ -228,537 +451,909 @@ async function closeTunnel() {
   }
 }
 
-function cleanupExpiredSessions() {
-  const now = Date.now();
-  for (const [sessionId, session] of scanSessions.entries()) {
-    if (session.expiresAt <= now) {
-      scanSessions.delete(sessionId);
-    }
-  }
+// Stages the phone reports through /api/progress; 'waiting' and 'ready' are set by the server
+const PHONE_PROGRESS_STAGES = new Set(['link_opened', 'camera_ready', 'camera_error', 'scanning', 'paused']);
+
+function createProgress() {
+  return {
+    stage: 'waiting',
+    attempts: 0,
+    failedAttempts: 0,
+    partialFields: [],
+    uncertainFields: [],
+    updatedAt: new Date().toISOString()
+  };
 }
 
-setInterval(cleanupExpiredSessions, 30_000);
+function getSessionEvent(session) {
+  return {
+    status: session.status,
+    progress: session.progress
+  };
+}
 
-function normalizeDigitLikeText(text) {
-  return text
-    .toUpperCase()
-    .replace(/[OQD]/g, '0')
-    .replace(/[IL|]/g, '1')
-    .replace(/S/g, '5')
-    .replace(/B/g, '8')
-    .replace(/Z/g, '2')
-    .replace(/G/g, '6');
+async function updateProgress(sessionId, session, changes) {
+  Object.assign(session.progress, changes, { updatedAt: new Date().toISOString() });
+  await sessionStore.set(sessionId, session);
+  await sessionStore.publish(sessionId, getSessionEvent(session));
 }
 
-function luhnCheck(cardNumber) {
-  let sum = 0;
-  let shouldDouble = false;
+function recordFailedAttempt(sessionId, session, parsed) {
+  return updateProgress(sessionId, session, {
+    stage: 'scanning',
+    failedAttempts: session.progress.failedAttempts + 1,
+    partialFields: ['expiryDate', 'cardholderName'].filter((field) => parsed[field].value)
+  });
+}
 
-  for (let index = cardNumber.length - 1; index >= 0; index -= 1) {
-    let digit = Number(cardNumber[index]);
+async function expireSession(sessionId) {
+  await sessionStore.delete(sessionId);
+  await sessionStore.publish(sessionId, { status: 'expired' });
+}
 
-    if (shouldDouble) {
-      digit *= 2;
-      if (digit > 9) digit -= 9;
-    }
+async function cleanupExpiredSessions() {
+  const expiredIds = await sessionStore.cleanup();
+  await Promise.all(expiredIds.map((sessionId) => sessionStore.publish(sessionId, { status: 'expired' })));
+}
+
+async function getActiveSession(sessionId) {
+  const session = await sessionStore.get(sessionId);
+  if (!session) return { status: 404, error: 'Session not found/expired' };
 
-    sum += digit;
-    shouldDouble = !shouldDouble;
+  if (session.expiresAt <= Date.now()) {
+    await expireSession(sessionId);
+    return { status: 410, error: 'Session expired' };
   }
 
-  return sum % 10 === 0;
+  return { session };
 }
 
-function detectCardType(cardNumber) {
-  const bin = cardNumber.replace(/\D/g, '');
+// Desktop routes need the secret issued to the creating browser (cookie, or header for API clients);
+// the phone's routes need the upload token from the QR link fragment
+function getDesktopCookieName(sessionId) {
+  return `cardscan_desktop_${sessionId}`;
+}
 
-  if (/^4/.test(bin)) return 'VISA';
-  if (/^(5[1-5]|2(2[2-9]|[3-6]\d|7[01]|720))/.test(bin)) return 'MASTERCARD';
-  if (/^(60|65|81|82|508)/.test(bin)) return 'RUPAY';
-  if (/^3[47]/.test(bin)) return 'AMEX';
-  if (/^6(?:011|5)/.test(bin)) return 'DISCOVER';
+function getDesktopToken(req, sessionId) {
+  return req.get(DESKTOP_TOKEN_HEADER) || readCookie(req.headers.cookie, getDesktopCookieName(sessionId));
+}
 
-  return 'UNKNOWN';
+function clearDesktopCookie(res, sessionId) {
+  res.clearCookie(getDesktopCookieName(sessionId), { path: '/api' });
 }
 
-function extractCardNumber(rawText) {
-  const compactText = normalizeDigitLikeText(rawText);
-  const candidateGroups = compactText.match(/(?:\d[ -]?){13,16}/g) || [];
+async function getAuthorizedSession(req, sessionId, role) {
+  const result = await getActiveSession(sessionId);
+  if (!result.session) return result;
 
-  for (const group of candidateGroups) {
-    const digits = group.replace(/\D/g, '');
-    if (digits.length >= 13 && digits.length <= MAX_CARD_DIGITS && luhnCheck(digits)) {
-      return digits;
-    }
-  }
+  const authorized = role === 'desktop'
+    ? verifySessionToken(getDesktopToken(req, sessionId), result.session.desktopTokenHash)
+    : verifySessionToken(req.body?.uploadToken, result.session.uploadTokenHash);
 
-  const allDigits = compactText.replace(/\D/g, '');
-  for (let start = 0; start <= allDigits.length - 13; start += 1) {
-    const maxLength = Math.min(MAX_CARD_DIGITS, allDigits.length - start);
-    for (let len = maxLength; len >= 13; len -= 1) {
-      const candidate = allDigits.slice(start, start + len);
-      if (luhnCheck(candidate)) return candidate;
-    }
-  }
-
-  return '';
+  return authorized ? result : { status: 403, error: 'Not authorized for this session' };
 }
 
-function extractExpiry(rawText) {
-  const lines = (rawText || '')
-    .toUpperCase()
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter(Boolean);
+function getApiKey(req) {
+  const authorization = req.get('authorization') || '';
+  return req.get(API_KEY_HEADER) || (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : '');
+}
 
-  const dateRegex = /([0O][1-9]|1[0-2])\s*[-\/]\s*([0-9OQDIL|SBZG]{2,4})/g;
-  const thruKeywordRegex = /(VALID\s*THRU|VALIDTHRU|THRU|THROUGH|\bEXP\b|EXPIRY|EXPIRES?|MM\s*\/?\s*YY|MONTH\s*\/?\s*YEAR)/;
-  const fromKeywordRegex = /(VALID\s*FROM|VALIDFROM|\bFROM\b|ISSUED?|SINCE|START)/;
-
-  function normalizeDateDigits(value) {
-    return (value || '')
-      .replace(/[OQD]/g, '0')
-      .replace(/[IL|]/g, '1')
-      .replace(/S/g, '5')
-      .replace(/B/g, '8')
-      .replace(/Z/g, '2')
-      .replace(/G/g, '6');
-  }
-
-  function toExpiry(monthRaw, yearRaw) {
-    const month = normalizeDateDigits(monthRaw);
-    const yearClean = normalizeDateDigits(yearRaw);
-    if (!/^(0[1-9]|1[0-2])$/.test(month)) return '';
-    if (!/^\d{2,4}$/.test(yearClean)) return '';
-    const year = yearClean.length === 4 ? yearClean.slice(-2) : yearClean;
-    return `${month}/${year}`;
-  }
-
-  function collectDateMatches(line) {
-    const matches = [];
-    let match = dateRegex.exec(line);
-    while (match) {
-      const expiry = toExpiry(match[1], match[2]);
-      if (expiry) {
-        matches.push({
-          expiry,
-          index: match.index
-        });
-      }
-      match = dateRegex.exec(line);
-    }
-    dateRegex.lastIndex = 0;
-    return matches;
+// Secret API keys authenticate tenant backends; publishable keys identify the tenant of a widget host,
+// so they are only accepted from that tenant's allowed origins
+function resolveRequestTenant(req, res, next) {
+  if (!tenantRegistry) {
+    res.locals.tenant = defaultTenant;
+    return next();
   }
 
-  function getPositions(line, regex) {
-    const matches = [];
-    const flags = regex.flags.includes('g') ? regex.flags : `${regex.flags}g`;
-    const instance = new RegExp(regex.source, flags);
-    let match = instance.exec(line);
+  const apiKey = getApiKey(req);
+  const publishableKey = req.get(PUBLISHABLE_KEY_HEADER);
+  const { widgetOrigin } = res.locals;
+  let tenant = null;
+
+  if (apiKey) {
+    tenant = tenantRegistry.findByApiKey(apiKey);
+    res.locals.tenantAuth = 'api_key';
+  } else if (publishableKey) {
+    tenant = widgetOrigin ? tenantRegistry.findByPublishableKey(publishableKey) : null;
+    res.locals.tenantAuth = 'publishable_key';
+  } else if (!widgetOrigin) {
+    tenant = pageTenant;
+    res.locals.tenantAuth = 'page';
+  }
 
-    while (match) {
-      matches.push(match.index);
-      match = instance.exec(line);
-    }
+  if (!tenant) return res.status(401).json({ ok: false, error: 'Missing or invalid API key' });
 
-    return matches;
+  if (widgetOrigin && !isOriginAllowed(widgetOrigin, tenant.allowedOrigins)) {
+    return res.status(403).json({ ok: false, error: 'Origin not allowed for this tenant' });
   }
 
-  function nearestDistance(target, positions) {
-    if (!positions.length) return Number.POSITIVE_INFINITY;
-    return Math.min(...positions.map((position) => Math.abs(target - position)));
+  res.locals.tenant = tenant;
+  return next();
+}
+
+// Phone routes carry no key; their tenant is the one that created the session.
+// /api/scan names its session in the query: its multipart body is only parsed after the rate limit.
+async function resolveSessionTenant(req, res, next) {
+  try {
+    const sessionId = req.body?.sessionId || req.query.sessionId;
+    const session = typeof sessionId === 'string' ? await sessionStore.get(sessionId) : null;
+    res.locals.tenant = getTenant(session && session.tenantId);
+    next();
+  } catch (error) {
+    next(error);
   }
+}
 
-  function compareExpiry(a, b) {
-    const [aMonth, aYear] = a.expiry.split('/').map(Number);
-    const [bMonth, bYear] = b.expiry.split('/').map(Number);
+const CLOSED_SESSION_ERRORS = {
+  consumed: 'Card data for this session was already delivered',
+  cancelled: 'Scan session was cancelled'
+};
 
-    if (aYear !== bYear) return bYear - aYear;
-    return bMonth - aMonth;
-  }
+function getClosedSessionError(session) {
+  return CLOSED_SESSION_ERRORS[session.status] || null;
+}
 
-  for (let index = 0; index < lines.length; index += 1) {
-    const line = lines[index];
-    const sameLineDates = collectDateMatches(line);
-    const hasFrom = fromKeywordRegex.test(line);
-    const hasThru = thruKeywordRegex.test(line);
+async function closeSession(sessionId, session, status) {
+  session.status = status;
+  session.data = null;
+  session.consensus = null;
+  session.front = null;
+  session.closedAt = new Date().toISOString();
+  await sessionStore.set(sessionId, session);
+  await sessionStore.publish(sessionId, { status });
+}
 
-    if (hasFrom && hasThru && sameLineDates.length >= 2) {
-      return sameLineDates[sameLineDates.length - 1].expiry;
-    }
+// Fire and forget: the sender retries with backoff and logs deliveries that finally fail.
+// `tenantId` lets receivers shared by several tenants tell whose session a payload is about.
+function sendWebhook(tenant, callbackUrl, event, data) {
+  const sender = webhookSenders.get(tenant.id);
+  if (!sender || !callbackUrl) return;
+  sender.send(callbackUrl, event, { tenantId: tenant.id, ...data });
+}
 
-    const nextLine = index + 1 < lines.length ? lines[index + 1] : '';
-    const nextLineDates = nextLine ? collectDateMatches(nextLine) : [];
-    if (hasFrom && hasThru && !sameLineDates.length && nextLineDates.length >= 2) {
-      return nextLineDates[nextLineDates.length - 1].expiry;
-    }
+// Webhooks get the masked number unless the tenant opted in to the full one, and never the security code
+function getWebhookResult(tenant, result) {
+  const { securityCode, cardNumber, ...webhookResult } = result;
+  if (cardNumber === undefined) return webhookResult;
+  if (tenant.webhooks.fullCardNumber) return { cardNumber, ...webhookResult };
+  return { ...webhookResult, maskedCardNumber: maskCardNumber(cardNumber) };
+}
+
+// The creating instance reports scan.expired unless any instance publishes a final status first
+async function watchSessionForExpiryWebhook(tenant, sessionId, expiresAt, callbackUrl) {
+  let unsubscribe = null;
+
+  function stop() {
+    clearTimeout(timer);
+    webhookExpiryWatches.delete(sessionId);
+    if (unsubscribe) unsubscribe().catch(() => {});
   }
 
-  const candidates = [];
+  const timer = setTimeout(() => {
+    stop();
+    sendWebhook(tenant, callbackUrl, 'scan.expired', { sessionId, expiredAt: new Date(expiresAt).toISOString() });
+  }, Math.max(0, expiresAt - Date.now()));
+  timer.unref();
+  webhookExpiryWatches.set(sessionId, stop);
 
-  lines.forEach((line, lineIndex) => {
-    const thruPositions = getPositions(line, thruKeywordRegex);
-    const fromPositions = getPositions(line, fromKeywordRegex);
-    const prevLine = lineIndex > 0 ? lines[lineIndex - 1] : '';
-    const nextLine = lineIndex + 1 < lines.length ? lines[lineIndex + 1] : '';
+  unsubscribe = await sessionStore.subscribe(sessionId, (event) => {
+    if (event.status === 'ready' || event.status === 'consumed' || event.status === 'cancelled') stop();
+  });
 
-    let match = dateRegex.exec(line);
-    while (match) {
-      const expiry = toExpiry(match[1], match[2]);
-      if (!expiry) {
-        match = dateRegex.exec(line);
-        continue;
-      }
+  if (!webhookExpiryWatches.has(sessionId)) unsubscribe().catch(() => {});
+}
 
-      const position = match.index;
+setInterval(() => {
+  cleanupExpiredSessions().catch((error) => {
+    console.error(`Session cleanup failed: ${error.message}`);
+  });
+}, 30_000).unref();
 
-      let score = 0;
+function getCardInfo(cardNumber) {
+  const info = lookupBin(cardNumber);
+  if (!info) return null;
 
-      const thruDistance = nearestDistance(position, thruPositions);
-      const fromDistance = nearestDistance(position, fromPositions);
+  const { gaps, ...cardInfo } = info;
+  return cardInfo;
+}
 
-      if (Number.isFinite(thruDistance)) {
-        score += Math.max(0, 80 - thruDistance);
-      }
+// Text plus word geometry (Vision only) so the parser can place the name and expiry on the card
+async function runOCR(imageBuffer, options) {
+  const result = await ocrProvider.recognize(imageBuffer, options);
+  return {
+    text: result.text || '',
+    layout: getOcrLayout(result)
+  };
+}
 
-      if (Number.isFinite(fromDistance)) {
-        score -= Math.max(0, 90 - fromDistance);
+app.post('/api/session', resolveRequestTenant, tenantRateLimit('sessions'), async (req, res) => {
+  try {
+    await cleanupExpiredSessions();
+
+    // Desktop's ephemeral ECDH public key; results are then encrypted so only that tab can read them
+    const publicKey = typeof req.body?.publicKey === 'string' ? req.body.publicKey : '';
+    if (publicKey) {
+      try {
+        await e2eCrypto.importPublicKey(publicKey);
+      } catch (_error) {
+        return res.status(400).json({ ok: false, error: 'Invalid publicKey' });
       }
+    } else if (REQUIRE_E2E_ENCRYPTION) {
+      return res.status(400).json({ ok: false, error: 'publicKey is required for end-to-end encryption' });
+    }
 
-      if (thruPositions.length && position >= Math.min(...thruPositions)) {
-        score += 16;
-      }
+    const callbackUrl = typeof req.body?.callbackUrl === 'string' ? req.body.callbackUrl.trim() : '';
+    // Webhook bodies are readable by the receiver, so they would break the promise that only the desktop can read the card
+    if (callbackUrl && publicKey) {
+      return res.status(400).json({ ok: false, error: 'callbackUrl cannot be used with end-to-end encryption' });
+    }
 
-      if (fromPositions.length && position >= Math.min(...fromPositions)) {
-        score -= 24;
-      }
+    const { tenant } = res.locals;
+    if (callbackUrl && !tenant.webhooks) {
+      return res.status(400).json({ ok: false, error: 'Webhook callbacks are not enabled for this tenant' });
+    }
+    if (callbackUrl && !isCallbackUrlAllowed(callbackUrl, tenant.webhooks.allowlist, { requireHttps: IS_PRODUCTION })) {
+      return res.status(400).json({ ok: false, error: 'callbackUrl is not in the webhook allowlist' });
+    }
 
-      if (prevLine) {
-        if (thruKeywordRegex.test(prevLine)) score += 22;
-        if (fromKeywordRegex.test(prevLine)) score -= 18;
-      }
+    // Opt-in CVV/CID step; the code is only ever delivered end-to-end encrypted and once
+    const captureSecurityCode = req.body?.securityCode === true;
+    if (captureSecurityCode && !tenant.fields.includes('securityCode')) {
+      return res.status(403).json({ ok: false, error: 'Security code scanning is not enabled' });
+    }
+    if (captureSecurityCode && !publicKey) {
+      return res.status(400).json({ ok: false, error: 'publicKey is required to scan the security code' });
+    }
 
-      if (nextLine) {
-        if (thruKeywordRegex.test(nextLine)) score += 8;
-        if (fromKeywordRegex.test(nextLine)) score -= 8;
-      }
+    // On-device OCR: card images never leave the phone, which only uploads the fields it read
+    const requestedOcrMode = req.body?.ocrMode;
+    if (requestedOcrMode !== undefined && !OCR_MODES.has(requestedOcrMode)) {
+      return res.status(400).json({ ok: false, error: `ocrMode must be one of: ${[...OCR_MODES].join(', ')}` });
+    }
+    if (OCR_MODE === 'device' && requestedOcrMode === 'server') {
+      return res.status(400).json({ ok: false, error: 'Server-side OCR is disabled on this server' });
+    }
+    const ocrMode = OCR_MODE === 'device' ? 'device' : requestedOcrMode || 'server';
 
-      candidates.push({
-        expiry,
-        score,
-        lineIndex,
-        position
+    // Checked before anything is stored, so a failed request leaves no session or expiry webhook behind
+    const baseUrl = getPublicBaseUrl(req);
+    if (!baseUrl) {
+      return res.status(500).json({
+        ok: false,
+        error: 'PUBLIC_BASE_URL must be configured for secure hosted deployment.'
       });
+    }
+
+    const sessionId = uuidv4();
+    const createdAt = Date.now();
+    const expiresAt = createdAt + tenant.sessionTtlMs;
+    const desktopToken = createSessionToken();
+    const uploadToken = createSessionToken();
+
+    await sessionStore.set(sessionId, {
+      tenantId: tenant.id,
+      createdAt,
+      expiresAt,
+      status: 'pending',
+      progress: createProgress(),
+      publicKey: publicKey || null,
+      desktopTokenHash: hashSessionToken(desktopToken),
+      uploadTokenHash: hashSessionToken(uploadToken),
+      callbackUrl: callbackUrl || null,
+      captureSecurityCode,
+      ocrMode,
+      deliveryMode: captureSecurityCode ? 'once' : DELIVERY_MODE,
+      scanStep: 'front',
+      front: null,
+      rescanField: null,
+      consensus: null,
+      data: null,
+      deliveredAt: null
+    });
 
-      match = dateRegex.exec(line);
+    if (callbackUrl) await watchSessionForExpiryWebhook(tenant, sessionId, expiresAt, callbackUrl);
+
+    // Widget and tenant-backend sessions live on the tenant's page, so the phone has no desktop page to return to
+    const embedded = Boolean(res.locals.widgetOrigin) || res.locals.tenantAuth === 'api_key';
+    const desktopUrl = embedded ? null : `${baseUrl}/?sessionId=${encodeURIComponent(sessionId)}&autopoll=1`;
+    const returnTo = desktopUrl ? `&returnTo=${encodeURIComponent(desktopUrl)}` : '';
+    // Secrets for the phone go in the fragment, which browsers never send to the server or in Referer
+    const fragment = new URLSearchParams({ t: uploadToken });
+    if (publicKey) fragment.set('k', publicKey);
+    const ocrQuery = ocrMode === 'device' ? '&ocr=device' : '';
+    const mobileUrl = `${baseUrl}/scanner.html?sessionId=${encodeURIComponent(sessionId)}${ocrQuery}${returnTo}#${fragment}`;
+    const qrDataUrl = await QRCode.toDataURL(mobileUrl, {
+      errorCorrectionLevel: 'M',
+      margin: 1,
+      width: 260
+    });
+
+    if (!embedded) {
+      res.cookie(getDesktopCookieName(sessionId), desktopToken, {
+        httpOnly: true,
+        secure: IS_PRODUCTION,
+        sameSite: 'strict',
+        path: '/api',
+        maxAge: tenant.sessionTtlMs
+      });
     }
 
-    dateRegex.lastIndex = 0;
-  });
+    res.json({
+      ok: true,
+      sessionId,
+      desktopToken,
+      mobileUrl,
+      desktopUrl,
+      qrCode: qrDataUrl,
+      encrypted: Boolean(publicKey),
+      securityCode: captureSecurityCode,
+      ocrMode,
+      expiresInSec: Math.floor(tenant.sessionTtlMs / 1000)
+    });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
 
-  if (!candidates.length) return '';
+// Seals the result for the desktop and marks the session ready; the phone only gets masked fields back
+async function completeScan(res, sessionId, session, scanResult) {
+  // Tenants only ever receive their configured fields, on every channel
+  const result = filterScanResult(res.locals.tenant, scanResult);
+  const deliverable = session.publicKey
+    ? await e2eCrypto.seal(session.publicKey, sessionId, result)
+    : result;
+
+  session.status = 'ready';
+  session.data = sessionCipher.seal(sessionId, deliverable);
+  session.consensus = null;
+  session.front = null;
+
+  await updateProgress(sessionId, session, {
+    stage: 'ready',
+    partialFields: [],
+    uncertainFields: result.uncertainFields
+  });
 
-  if (candidates.length > 1) {
-    const latest = [...candidates].sort(compareExpiry)[0];
-    return latest.expiry;
+  if (session.callbackUrl) {
+    const { tenant } = res.locals;
+    sendWebhook(tenant, session.callbackUrl, 'scan.completed', { sessionId, ...getWebhookResult(tenant, result) });
   }
 
-  candidates.sort((a, b) => {
-    if (b.score !== a.score) return b.score - a.score;
-    if (b.lineIndex !== a.lineIndex) return b.lineIndex - a.lineIndex;
-    return b.position - a.position;
+  return res.json({
+    ok: true,
+    status: 'ready',
+    message: 'Card scanned successfully',
+    uncertainFields: result.uncertainFields,
+    securityCodeCaptured: Boolean(result.securityCode),
+    data: getPhoneSummary(result)
   });
+}
 
-  return candidates[0].expiry;
-}
-
-function extractCardholderName(rawText) {
-  const blockedWords = new Set([
-    'VALID','THRU','THROUGH','FROM','MONTH','YEAR','EXP','EXPIRES',
-    'CARD','DEBIT','CREDIT','BANK','VISA','MASTERCARD','RUPAY',
-    'AMEX',
-    'DISCOVER',
-    'PLATINUM',
-    'SIGNATURE',
-    'CLASSIC',
-    'GOLD',
-    'WORLD',
-    'ELECTRON',
-    'PAY',
-    'MEMBER',
-    'SINCE',
-    'CORP',
-    'LIMITED',
-    'LTD',
-    'PRIVATE',
-    'BUSINESS',
-    'AZADI',
-    'AMRIT',
-    'MAHOTSAV',
-    'INDIA'
-  ]);
-
-  const removablePrefixes = new Set(['MR', 'MRS', 'MS', 'MISS', 'DR', 'SHRI', 'SMT']);
-  const lines = rawText
-    .toUpperCase()
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter(Boolean);
+// What the phone may show of a (tenant-filtered) result: never the full number or the security code
+function getPhoneSummary(result) {
+  return {
+    maskedCardNumber: result.maskedCardNumber,
+    cardholderName: result.cardholderName,
+    expiryDate: result.expiryDate,
+    cardType: result.cardType,
+    cardInfo: result.cardInfo,
+    expiryStatus: result.expiryStatus,
+    fieldConfidence: result.fieldConfidence
+  };
+}
 
-  const anchorIndices = [];
-  const anchorPattern = /(VALID|THRU|THROUGH|EXP|MONTH|YEAR|MM\/?YY|DEBIT|CREDIT|CARD)/;
-  const cardNumberIndices = [];
-  const expiryIndices = [];
+// Review screen contents: the tenant-filtered front result, safe to show on the phone
+function getReviewSummary(tenant, scanResult) {
+  const result = filterScanResult(tenant, scanResult);
+  return { uncertainFields: result.uncertainFields, data: getPhoneSummary(result) };
+}
 
-  lines.forEach((line, index) => {
-    if (anchorPattern.test(line) || /(0[1-9]|1[0-2])\s*[\/-]\s*(\d{2}|\d{4})/.test(line)) {
-      anchorIndices.push(index);
-    }
+// Holds the front result sealed until the user confirms it on the phone
+async function startReview(res, sessionId, session, scanResult) {
+  const summary = getReviewSummary(res.locals.tenant, scanResult);
+  session.scanStep = 'review';
+  session.front = sessionCipher.seal(sessionId, scanResult);
+  session.consensus = null;
+  session.rescanField = null;
+
+  await updateProgress(sessionId, session, {
+    stage: 'review',
+    partialFields: [],
+    uncertainFields: summary.uncertainFields
+  });
 
-    const digitsOnly = line.replace(/\D/g, '');
-    if (digitsOnly.length >= 13 && digitsOnly.length <= MAX_CARD_DIGITS) {
-      cardNumberIndices.push(index);
-    }
+  return res.status(202).json({ ok: true, status: 'review', ...summary });
+}
 
-    if (/(0[1-9]|1[0-2])\s*[\/-]\s*(\d{2}|\d{4})/.test(line)) {
-      expiryIndices.push(index);
-    }
+// Frames sent while the review screen is open are dropped; the summary lets a reloaded phone show it again
+function rejectDuringReview(res, sessionId, session) {
+  return res.status(400).json({
+    ok: false,
+    status: 'review',
+    error: 'Confirm or rescan the card details on the phone first',
+    ...getReviewSummary(res.locals.tenant, sessionCipher.open(sessionId, session.front))
   });
+}
 
-  function normalizeNameLine(line) {
-    return line
-      .replace(/[0]/g, 'O')
-      .replace(/[1]/g, 'I')
-      .replace(/[5]/g, 'S')
-      .replace(/[8]/g, 'B')
-      .replace(/[^A-Z\s]/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
+// The front is settled (and confirmed, with review on): refuse an expired card, complete, or go on to the security code
+async function finishFront(res, sessionId, session, scanResult) {
+  if (scanResult.expiryStatus === 'expired' && (res.locals.tenant.expiredCards || EXPIRED_CARDS) === 'block') {
+    return rejectExpiredCard(res, sessionId, session, scanResult);
   }
 
-  let bestCandidate = '';
-  let bestScore = Number.NEGATIVE_INFINITY;
+  if (!session.captureSecurityCode) {
+    return completeScan(res, sessionId, session, scanResult);
+  }
 
-  lines.forEach((line, index) => {
-    const normalized = normalizeNameLine(line);
-    if (!normalized || normalized.length < 5 || normalized.length > 40) return;
+  // Amex prints a 4-digit CID on the front; every other network a 3-digit code on the back
+  const securityCodeLength = scanResult.cardInfo?.cvvLength || 3;
+  session.scanStep = 'security_code';
+  session.securityCodeLength = securityCodeLength;
+  session.securityCodeSide = securityCodeLength === 4 ? 'front' : 'back';
+  session.front = sessionCipher.seal(sessionId, scanResult);
+  session.consensus = null;
+
+  await updateProgress(sessionId, session, {
+    stage: 'security_code',
+    failedAttempts: 0,
+    partialFields: [],
+    uncertainFields: []
+  });
 
-    let words = normalized.split(' ').filter(Boolean);
-    if (!words.length) return;
+  return res.status(202).json({
+    ok: true,
+    status: 'security_code',
+    side: session.securityCodeSide,
+    length: securityCodeLength
+  });
+}
 
-    if (removablePrefixes.has(words[0])) {
-      words = words.slice(1);
-    }
+// The scan starts over so the customer can present another card; the desktop sees the card_expired stage
+async function rejectExpiredCard(res, sessionId, session, scanResult) {
+  session.scanStep = 'front';
+  session.front = null;
+  session.consensus = null;
+  session.rescanField = null;
+
+  await updateProgress(sessionId, session, {
+    stage: 'card_expired',
+    failedAttempts: 0,
+    partialFields: [],
+    uncertainFields: []
+  });
+
+  return res.status(422).json({
+    ok: false,
+    status: 'card_expired',
+    error: `This card expired in ${scanResult.expiryDate}. Please use a different card.`
+  });
+}
+
+// Second step of security code sessions: the front result waits sealed in `session.front` until the code is read.
+// readCode(front) returns the code from this frame, or '' when it was not read.
+async function handleSecurityCodeFrame(res, sessionId, session, readCode) {
+  const front = sessionCipher.open(sessionId, session.front);
+  const securityCode = readCode(front);
+
+  if (!securityCode) {
+    await updateProgress(sessionId, session, {
+      stage: 'security_code',
+      failedAttempts: session.progress.failedAttempts + 1
+    });
+
+    return res.status(422).json({
+      ok: false,
+      status: 'security_code',
+      error: 'Security code not detected. Hold the card steady with the code in good light.'
+    });
+  }
+
+  return completeScan(res, sessionId, session, { ...front, securityCode });
+}
 
-    if (words.length < 2 || words.length > 4) return;
-    if (words.some((word) => word.length < 2 || word.length > 14)) return;
-    if (words.some((word) => blockedWords.has(word))) return;
+// Front of the card: adds the frame's fields to the consensus and completes (or moves on to the security code)
+// once they agree. `parsed` is parseCardText output, from server OCR or validated on-device fields.
+async function handleCardFrame(res, sessionId, session, parsed) {
+  const cardNumber = parsed.cardNumber.value;
+  const validNumber = Boolean(cardNumber) && isValidCardLength(cardNumber);
+
+  // Candidates are kept sealed like the result itself; a number of the wrong length never becomes one
+  const previousConsensus = session.consensus ? sessionCipher.open(sessionId, session.consensus) : createConsensusState();
+  const consensusState = addFrame(previousConsensus, validNumber ? parsed : { ...parsed, cardNumber: null });
+  session.consensus = sessionCipher.seal(sessionId, consensusState);
+
+  if (!cardNumber) {
+    await recordFailedAttempt(sessionId, session, parsed);
+    return res.status(422).json({
+      ok: false,
+      error: 'Card number not detected. Please capture again with better lighting.'
+    });
+  }
 
-    const hasVowels = words.every((word) => /[AEIOU]/.test(word));
-    if (!hasVowels) return;
+  if (!validNumber) {
+    await recordFailedAttempt(sessionId, session, parsed);
+    return res.status(422).json({
+      ok: false,
+      error: `Card number length is not valid for ${parsed.cardType.value}.`
+    });
+  }
 
-    let score = 0;
-    const fullName = words.join(' ');
+  const consensus = evaluateConsensus(consensusState, { ...CONSENSUS_OPTIONS, fields: res.locals.tenant.fields });
 
-    if (words.length === 2 || words.length === 3) score += 5;
-    if (words.length === 4) score += 2;
+  if (!consensus.complete) {
+    await updateProgress(sessionId, session, {
+      stage: 'scanning',
+      partialFields: [],
+      uncertainFields: consensus.uncertainFields
+    });
 
-    const avgLen = fullName.replace(/\s/g, '').length / words.length;
-    if (avgLen >= 3 && avgLen <= 8) score += 3;
+    return res.status(202).json({
+      ok: true,
+      status: 'collecting',
+      frames: consensus.frames,
+      uncertainFields: consensus.uncertainFields
+    });
+  }
 
-    if (/^[A-Z\s]+$/.test(fullName)) score += 2;
+  const agreedNumber = consensus.fields.cardNumber.value;
+  const scanResult = {
+    cardNumber: agreedNumber,
+    maskedCardNumber: maskCardNumber(agreedNumber),
+    cardholderName: consensus.fields.cardholderName ? consensus.fields.cardholderName.value : '',
+    expiryDate: consensus.fields.expiryDate ? consensus.fields.expiryDate.value : '',
+    cardType: detectCardType(agreedNumber),
+    cardInfo: getCardInfo(agreedNumber),
+    expiryStatus: checkExpiry(consensus.fields.expiryDate ? consensus.fields.expiryDate.value : ''),
+    uncertainFields: consensus.uncertainFields,
+    correctedFields: [],
+    fieldConfidence: getFieldConfidence(consensus),
+    scannedAt: new Date().toISOString()
+  };
 
-    if (anchorIndices.length) {
-      const minDistance = Math.min(...anchorIndices.map((anchorIndex) => Math.abs(anchorIndex - index)));
-      if (minDistance <= 2) score += 3;
-      else if (minDistance <= 4) score += 1;
+  // "Rescan this field" from the review screen: the other fields keep their reviewed values
+  const frontResult = session.rescanField
+    ? mergeRescan(sessionCipher.open(sessionId, session.front), scanResult, session.rescanField)
+    : scanResult;
+
+  if (SCAN_REVIEW) return startReview(res, sessionId, session, frontResult);
+  return finishFront(res, sessionId, session, frontResult);
+}
+
+// Checks shared by both phone upload routes; returns the session, or null once an error response was sent
+async function getScanSession(req, res, sessionId) {
+  const initial = await getAuthorizedSession(req, sessionId, 'upload');
+  if (!initial.session) {
+    res.status(initial.status).json({ ok: false, error: initial.error });
+    return null;
+  }
+
+  const closedError = getClosedSessionError(initial.session);
+  if (closedError) {
+    res.status(409).json({ ok: false, status: initial.session.status, error: closedError });
+    return null;
+  }
+
+  // The phone forwards the key from its QR link fragment; it must be the key the desktop registered
+  if (initial.session.publicKey && req.body.publicKey !== initial.session.publicKey) {
+    res.status(400).json({ ok: false, error: 'Scanner link does not match this session. Rescan the QR code.' });
+    return null;
+  }
+
+  return initial.session;
+}
+
+// Rejects uploads without ?sessionId= before multer buffers the image
+function requireQuerySessionId(req, res, next) {
+  if (typeof req.query.sessionId !== 'string' || !req.query.sessionId) {
+    return res.status(400).json({ ok: false, error: 'Missing sessionId query parameter' });
+  }
+  return next();
+}
+
+app.post('/api/scan', requireQuerySessionId, resolveSessionTenant, tenantRateLimit('scans'), upload.single('cardImage'), async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    if (req.body.sessionId && req.body.sessionId !== sessionId) {
+      return res.status(400).json({ ok: false, error: 'sessionId in the form does not match the query' });
     }
 
-    if (cardNumberIndices.length) {
-      const nearestCardIndex = cardNumberIndices.reduce((closest, current) => (
-        Math.abs(current - index) < Math.abs(closest - index) ? current : closest
-      ));
+    const initialSession = await getScanSession(req, res, sessionId);
+    if (!initialSession) return;
+
+    if (initialSession.scanStep === 'review') return rejectDuringReview(res, sessionId, initialSession);
 
-      if (index > nearestCardIndex && index - nearestCardIndex <= 6) score += 4;
-      if (index < nearestCardIndex) score -= 2;
+    // The upload is dropped unread: on-device sessions promise that card images are never processed here
+    if (initialSession.ocrMode === 'device') {
+      return res.status(400).json({ ok: false, error: 'This session reads the card on the phone. Send fields to /api/scan/fields.' });
     }
 
-    if (expiryIndices.length) {
-      const nearestExpiryIndex = expiryIndices.reduce((closest, current) => (
-        Math.abs(current - index) < Math.abs(closest - index) ? current : closest
-      ));
+    if (!req.file?.buffer) {
+      return res.status(400).json({ ok: false, error: 'No image uploaded' });
+    }
+
+    // Frames that may show the security code are never written to OCR recordings
+    const ocr = await runOCR(req.file.buffer, { record: !initialSession.captureSecurityCode });
+
+    // Re-read after OCR so progress updates made meanwhile (or expiry) are not overwritten
+    const { session, status, error } = await getActiveSession(sessionId);
+    if (!session) return res.status(status).json({ ok: false, error });
+
+    const closedAfterOcr = getClosedSessionError(session);
+    if (closedAfterOcr) return res.status(409).json({ ok: false, status: session.status, error: closedAfterOcr });
 
-      if (index > nearestExpiryIndex && index - nearestExpiryIndex <= 4) score += 3;
+    session.progress.attempts += 1;
+
+    if (session.scanStep === 'security_code') {
+      return await handleSecurityCodeFrame(res, sessionId, session, (front) => parseSecurityCode(ocr.text, {
+        length: session.securityCodeLength,
+        side: session.securityCodeSide,
+        cardNumber: front.cardNumber
+      }).value);
     }
 
-    if (/([A-Z])\1{2,}/.test(fullName)) score -= 3;
+    return await handleCardFrame(res, sessionId, session, parseCardText(ocr.text, { layout: ocr.layout }));
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message || 'Scan failed' });
+  }
+});
+
+// On-device OCR: the phone sends the fields it read ({ value, confidence } per field, or securityCode on that step).
+// They are re-validated (Luhn, BIN length, expiry, name rules) and go through the same consensus as server OCR.
+app.post('/api/scan/fields', resolveSessionTenant, tenantRateLimit('scans'), async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    if (!sessionId) return res.status(400).json({ ok: false, error: 'Missing sessionId' });
 
-    if (score > bestScore) {
-      bestScore = score;
-      bestCandidate = fullName;
+    const session = await getScanSession(req, res, sessionId);
+    if (!session) return;
+
+    if (session.ocrMode !== 'device') {
+      return res.status(400).json({ ok: false, error: 'This session expects card images on /api/scan' });
     }
-  });
 
-  return bestScore > 0 ? bestCandidate : '';
-}
+    if (session.scanStep === 'review') return rejectDuringReview(res, sessionId, session);
 
-async function runVisionOCR(imageBuffer) {
-  const [result] = await client.documentTextDetection({
-    image: { content: imageBuffer.toString('base64') }
-  });
+    if (session.scanStep === 'security_code') {
+      session.progress.attempts += 1;
+      return await handleSecurityCodeFrame(res, sessionId, session, () => readDeviceSecurityCode(req.body.securityCode, session.securityCodeLength));
+    }
 
-  return result.fullTextAnnotation?.text || '';
-}
+    const { parsed, rejectedFields, error } = readDeviceFields(req.body.fields);
+    if (error) return res.status(400).json({ ok: false, error });
 
-function maskCardNumber(cardNumber) {
-  if (!cardNumber || cardNumber.length < 4) return '';
-  return `•••• •••• •••• ${cardNumber.slice(-4)}`;
-}
+    session.progress.attempts += 1;
+
+    if (rejectedFields.includes('cardNumber')) {
+      await recordFailedAttempt(sessionId, session, parsed);
+      return res.status(422).json({ ok: false, error: 'Card number failed validation. Please capture again.' });
+    }
+
+    return await handleCardFrame(res, sessionId, session, parsed);
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message || 'Scan failed' });
+  }
+});
 
-app.post('/api/session', sessionRateLimiter, async (req, res) => {
+// Review screen on the phone: confirm (with typed corrections to name/expiry) or rescan one field
+app.post('/api/scan/review', resolveSessionTenant, tenantRateLimit('scans'), async (req, res) => {
   try {
-    cleanupExpiredSessions();
+    const { sessionId, action, field } = req.body;
+    if (!sessionId) return res.status(400).json({ ok: false, error: 'Missing sessionId' });
 
-    const sessionId = uuidv4();
-    const createdAt = Date.now();
-    const expiresAt = createdAt + SESSION_TTL_MS;
+    const session = await getScanSession(req, res, sessionId);
+    if (!session) return;
 
-    scanSessions.set(sessionId, {
-      createdAt,
-      expiresAt,
-      status: 'pending',
-      data: null
-    });
+    if (session.scanStep !== 'review') {
+      return res.status(400).json({ ok: false, error: 'There is nothing to review in this session' });
+    }
 
-    const baseUrl = getPublicBaseUrl(req);
-    if (!baseUrl) {
-      return res.status(500).json({
-        ok: false,
-        error: 'PUBLIC_BASE_URL must be configured for secure hosted deployment.'
-      });
+    const { tenant } = res.locals;
+
+    if (action === 'rescan') {
+      if (!RESCAN_FIELDS.includes(field) || (field !== 'cardNumber' && !tenant.fields.includes(field))) {
+        return res.status(400).json({ ok: false, error: 'Invalid field to rescan' });
+      }
+
+      session.scanStep = 'front';
+      session.rescanField = field;
+      session.consensus = null;
+      await updateProgress(sessionId, session, { stage: 'scanning', failedAttempts: 0, partialFields: [], uncertainFields: [] });
+
+      return res.json({ ok: true, status: 'collecting', rescanField: field });
     }
 
-    const desktopUrl = `${baseUrl}/?sessionId=${encodeURIComponent(sessionId)}&autopoll=1`;
-    const mobileUrl = `${baseUrl}/scanner.html?sessionId=${encodeURIComponent(sessionId)}&returnTo=${encodeURIComponent(desktopUrl)}`;
-    const qrDataUrl = await QRCode.toDataURL(mobileUrl, {
-      errorCorrectionLevel: 'M',
-      margin: 1,
-      width: 260
-    });
+    if (action !== 'confirm') {
+      return res.status(400).json({ ok: false, error: 'action must be confirm or rescan' });
+    }
 
-    res.json({
-      ok: true,
-      sessionId,
-      mobileUrl,
-      desktopUrl,
-      qrCode: qrDataUrl,
-      expiresInSec: Math.floor(SESSION_TTL_MS / 1000)
-    });
+    const { result, error } = applyCorrections(sessionCipher.open(sessionId, session.front), req.body.corrections, tenant.fields);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    return await finishFront(res, sessionId, session, result);
   } catch (error) {
-    res.status(500).json({ ok: false, error: error.message });
+    res.status(500).json({ ok: false, error: error.message || 'Review failed' });
   }
 });
 
-app.post('/api/scan', scanRateLimiter, upload.single('cardImage'), async (req, res) => {
+app.post('/api/progress', resolveSessionTenant, tenantRateLimit('progress'), async (req, res) => {
   try {
-    const { sessionId } = req.body;
+    const { sessionId, stage } = req.body;
     if (!sessionId) return res.status(400).json({ ok: false, error: 'Missing sessionId' });
+    if (!PHONE_PROGRESS_STAGES.has(stage)) return res.status(400).json({ ok: false, error: 'Invalid stage' });
+
+    const { session, status, error } = await getAuthorizedSession(req, sessionId, 'upload');
+    if (!session) return res.status(status).json({ ok: false, error });
 
-    const session = scanSessions.get(sessionId);
-    if (!session) return res.status(404).json({ ok: false, error: 'Session not found/expired' });
-    if (session.expiresAt <= Date.now()) {
-      scanSessions.delete(sessionId);
-      return res.status(410).json({ ok: false, error: 'Session expired' });
+    if (session.status === 'pending') {
+      // Resuming on the phone must not hide that the front is done and the code or review is still pending
+      const changes = { stage: stage === 'scanning' && ['security_code', 'review'].includes(session.scanStep) ? session.scanStep : stage };
+      if (stage === 'link_opened' && !session.progress.linkOpenedAt) changes.linkOpenedAt = new Date().toISOString();
+      if (stage === 'camera_ready' && !session.progress.cameraReadyAt) changes.cameraReadyAt = new Date().toISOString();
+      await updateProgress(sessionId, session, changes);
     }
 
-    if (!req.file?.buffer) {
-      return res.status(400).json({ ok: false, error: 'No image uploaded' });
+    return res.json({ ok: true });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+app.get('/api/get-data', pollingRateLimiter, async (req, res) => {
+  try {
+    await cleanupExpiredSessions();
+
+    const { sessionId } = req.query;
+    if (!sessionId) return res.status(400).json({ ok: false, error: 'Missing sessionId' });
+
+    const { session, status, error } = await getAuthorizedSession(req, sessionId, 'desktop');
+    if (!session) return res.status(status).json({ ok: false, error });
+
+    const closedError = getClosedSessionError(session);
+    if (closedError) return res.status(410).json({ ok: false, status: session.status, error: closedError });
+
+    if (session.status !== 'ready' || !session.data) {
+      return res.json({ ok: true, status: 'pending', progress: session.progress });
     }
 
-    const ocrText = await runVisionOCR(req.file.buffer);
-    const cardNumber = extractCardNumber(ocrText);
-    const expiryDate = extractExpiry(ocrText);
-    const cardholderName = extractCardholderName(ocrText);
+    // Security code sessions are always 'once'; older records predate the per-session mode
+    const deliveryMode = session.deliveryMode || DELIVERY_MODE;
 
-    if (!cardNumber) {
-      return res.status(422).json({
-        ok: false,
-        error: 'Card number not detected. Please capture again with better lighting.'
-      });
+    // Only one reader may take the data in 'once' mode, even across instances
+    if (deliveryMode === 'once' && !(await sessionStore.claim(sessionId, 'delivery', session.expiresAt))) {
+      return res.status(410).json({ ok: false, status: 'consumed', error: CLOSED_SESSION_ERRORS.consumed });
     }
 
-    if (cardNumber.length > MAX_CARD_DIGITS) {
-      return res.status(422).json({
-        ok: false,
-        error: 'Card number must be 16 digits or less.'
-      });
+    const deliverable = sessionCipher.open(sessionId, session.data);
+    const deliveredAt = session.deliveredAt || new Date().toISOString();
+    const payload = session.publicKey
+      ? { ok: true, status: 'ready', encryptedData: deliverable, deliveredAt, deliveryMode }
+      : { ok: true, status: 'ready', data: { ...deliverable, deliveredAt }, deliveryMode };
+
+    session.deliveredAt = deliveredAt;
+    if (deliveryMode === 'once') {
+      await closeSession(sessionId, session, 'consumed');
+      clearDesktopCookie(res, sessionId);
+    } else {
+      await sessionStore.set(sessionId, session);
     }
 
-    const cardType = detectCardType(cardNumber);
+    return res.json(payload);
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+});
 
-    session.status = 'ready';
-    session.data = {
-      cardNumber,
-      maskedCardNumber: maskCardNumber(cardNumber),
-      cardholderName,
-      expiryDate,
-      cardType,
-      scannedAt: new Date().toISOString(),
-      deliveredAt: null
-    };
+// Desktop confirms it has the data; in 'ack' mode this is what purges it
+app.post('/api/session/:sessionId/ack', pollingRateLimiter, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { session, status, error } = await getAuthorizedSession(req, sessionId, 'desktop');
+    if (!session) return res.status(status).json({ ok: false, error });
+
+    if (session.status === 'consumed') return res.json({ ok: true, status: 'consumed' });
+    if (session.status === 'cancelled') return res.status(410).json({ ok: false, status: 'cancelled', error: CLOSED_SESSION_ERRORS.cancelled });
+    if (session.status !== 'ready' || !session.deliveredAt) {
+      return res.status(409).json({ ok: false, error: 'Card data has not been delivered yet' });
+    }
 
-    res.json({
-      ok: true,
-      message: 'Card scanned successfully',
-      data: {
-        maskedCardNumber: session.data.maskedCardNumber,
-        cardholderName: session.data.cardholderName,
-        expiryDate: session.data.expiryDate,
-        cardType: session.data.cardType
-      }
-    });
+    await closeSession(sessionId, session, 'consumed');
+    clearDesktopCookie(res, sessionId);
+    return res.json({ ok: true, status: 'consumed' });
   } catch (error) {
-    res.status(500).json({ ok: false, error: error.message || 'Scan failed' });
+    return res.status(500).json({ ok: false, error: error.message });
   }
 });
 
-app.get('/api/get-data', pollingRateLimiter, (req, res) => {
-  cleanupExpiredSessions();
+app.delete('/api/session/:sessionId', pollingRateLimiter, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { session, status, error } = await getAuthorizedSession(req, sessionId, 'desktop');
+    if (!session) return res.status(status).json({ ok: false, error });
+
+    if (session.status !== 'consumed' && session.status !== 'cancelled') {
+      await closeSession(sessionId, session, 'cancelled');
+    }
+
+    clearDesktopCookie(res, sessionId);
+
+    return res.json({ ok: true, status: session.status });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+});
 
+app.get('/api/events', pollingRateLimiter, async (req, res) => {
   const { sessionId } = req.query;
   if (!sessionId) return res.status(400).json({ ok: false, error: 'Missing sessionId' });
 
-  const session = scanSessions.get(sessionId);
-  if (!session) return res.status(404).json({ ok: false, error: 'Session not found/expired' });
+  let session;
+  try {
+    await cleanupExpiredSessions();
+    session = await sessionStore.get(sessionId);
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: error.message });
+  }
 
-  if (session.expiresAt <= Date.now()) {
-    scanSessions.delete(sessionId);
-    return res.status(410).json({ ok: false, error: 'Session expired' });
+  if (!session) return res.status(404).json({ ok: false, error: 'Session not found/expired' });
+  if (!verifySessionToken(getDesktopToken(req, sessionId), session.desktopTokenHash)) {
+    return res.status(403).json({ ok: false, error: 'Not authorized for this session' });
   }
 
-  if (session.status !== 'ready' || !session.data) {
-    return res.json({ ok: true, status: 'pending' });
+  res.set({
+    'Content-Type': 'text/event-stream',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  function sendStatus(event) {
+    res.write(`event: status\ndata: ${JSON.stringify(event)}\n\n`);
+    if (STREAM_END_STATUSES.has(event.status)) res.end();
   }
 
-  const payload = {
-    ok: true,
-    status: 'ready',
-    data: session.data
-  };
+  // Data itself is still fetched from /api/get-data; the stream only signals when to fetch
+  let unsubscribe = null;
+  let closed = false;
+
+  const heartbeat = setInterval(async () => {
+    res.write(': ping\n\n');
 
-  if (session.data && !session.data.deliveredAt) {
-    session.data.deliveredAt = new Date().toISOString();
+    // Stores with native TTL (Redis) expire silently, so check on each heartbeat
+    try {
+      const current = await sessionStore.get(sessionId);
+      if (!current && !closed) sendStatus({ status: 'expired' });
+    } catch (error) {
+      console.error(`Session event heartbeat failed: ${error.message}`);
+    }
+  }, EVENT_STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe().catch(() => {});
+  });
+
+  try {
+    unsubscribe = await sessionStore.subscribe(sessionId, sendStatus);
+    if (closed) unsubscribe().catch(() => {});
+  } catch (error) {
+    console.error(`Session event subscribe failed: ${error.message}`);
+    return res.end();
   }
 
-  return res.json(payload);
+  return sendStatus(getSessionEvent(session));
 });
 
-app.get('/api/health', (_req, res) => {
+app.get('/api/health', async (_req, res) => {
   res.json({
     ok: true,
     service: 'card-scanner',
-    activeSessions: scanSessions.size,
+    activeSessions: await sessionStore.count().catch(() => null),
+    sessionStore: sessionStore.name,
+    tenants: tenantRegistry ? tenantRegistry.tenants.length : null,
+    ocrProvider: ocrProvider.name,
+    ocrMode: OCR_MODE,
     secureTunnelUrl: runtimeTunnelUrl || process.env.PUBLIC_BASE_URL || null
   });
 });
@@ -787,24 +1382,66 @@ app.use((error, _req, res, _next) => {
   res.status(500).json({ ok: false, error: message });
 });
 
-const server = app.listen(PORT, async () => {
-  const localIp = getLocalIPv4();
-  console.log(`Card scanner server running at http://localhost:${PORT}`);
-  if (localIp) {
-    console.log(`Mobile access URL: http://${localIp}:${PORT}`);
+async function closeOcrProvider() {
+  try {
+    await ocrProvider.close();
+  } catch (error) {
+    console.error(`Error while closing OCR provider: ${error.message}`);
   }
-  if (process.env.PUBLIC_BASE_URL) {
-    console.log(`Using PUBLIC_BASE_URL for QR: ${process.env.PUBLIC_BASE_URL}`);
+}
+
+function closeWebhooks() {
+  webhookExpiryWatches.forEach((stop) => stop());
+  webhookSenders.forEach((sender) => sender.close());
+}
+
+async function closeSessionStore() {
+  try {
+    await sessionStore.close();
+  } catch (error) {
+    console.error(`Error while closing session store: ${error.message}`);
   }
-  await startAutoTunnelIfEnabled();
-});
+}
 
-process.on('SIGINT', async () => {
-  await closeTunnel();
-  server.close(() => process.exit(0));
-});
+function startServer() {
+  const server = app.listen(PORT, async () => {
+    const localIp = getLocalIPv4();
+    console.log(`Card scanner server running at http://localhost:${PORT}`);
+    console.log(`OCR provider: ${ocrProvider.name}`);
+    console.log(`Name locales: ${NAME_LOCALES.length ? NAME_LOCALES.join(', ') : 'base only'}`);
+    if (OCR_MODE === 'device') console.log('OCR mode: device (card images are refused)');
+    console.log(`Session store: ${sessionStore.name}`);
+    if (localIp) {
+      console.log(`Mobile access URL: http://${localIp}:${PORT}`);
+    }
+    if (process.env.PUBLIC_BASE_URL) {
+      console.log(`Using PUBLIC_BASE_URL for QR: ${process.env.PUBLIC_BASE_URL}`);
+    }
+    await startAutoTunnelIfEnabled();
+  });
 
-process.on('SIGTERM', async () => {
-  await closeTunnel();
-  server.close(() => process.exit(0));
-});
+  process.on('SIGINT', async () => {
+    await closeTunnel();
+    await closeOcrProvider();
+    closeWebhooks();
+    await closeSessionStore();
+    server.close(() => process.exit(0));
+  });
+
+  process.on('SIGTERM', async () => {
+    await closeTunnel();
+    await closeOcrProvider();
+    closeWebhooks();
+    await closeSessionStore();
+    server.close(() => process.exit(0));
+  });
+
+  return server;
+}
+
+// `node server.js` serves; tests require the app without listening
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app };
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAllowedOrigins, isOriginAllowed } = require('../lib/allowed-origins');
+
+test('parseAllowedOrigins normalizes entries to origins', () => {
+  assert.deepEqual(
+    parseAllowedOrigins(' https://Shop.Example.com/checkout , http://localhost:8080/,'),
+    ['https://shop.example.com', 'http://localhost:8080']
+  );
+  assert.deepEqual(parseAllowedOrigins(undefined), []);
+});
+
+test('parseAllowedOrigins rejects invalid entries', () => {
+  assert.throws(() => parseAllowedOrigins('shop.example.com'), /not a valid URL/);
+  assert.throws(() => parseAllowedOrigins('ftp://files.example.com'), /must use http or https/);
+});
+
+test('isOriginAllowed only matches exact origins', () => {
+  const allowed = parseAllowedOrigins('https://shop.example.com');
+
+  assert.equal(isOriginAllowed('https://shop.example.com', allowed), true);
+  assert.equal(isOriginAllowed('https://shop.example.com:8443', allowed), false);
+  assert.equal(isOriginAllowed('http://shop.example.com', allowed), false);
+  assert.equal(isOriginAllowed('https://evil-shop.example.com', allowed), false);
+  assert.equal(isOriginAllowed('null', allowed), false);
+  assert.equal(isOriginAllowed(undefined, allowed), false);
+});
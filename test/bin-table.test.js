@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadBinTable, parseBinCsv } = require('../lib/bin-table');
+const { setBinTable, lookupBin, detectCardType } = require('../lib/card-parser');
+
+function writeTempFile(name, contents) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-table-'));
+  const filePath = path.join(directory, name);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+test.afterEach(() => {
+  setBinTable(loadBinTable());
+});
+
+test('overlapping ranges resolve to the most specific prefix', () => {
+  assert.equal(detectCardType('6011111111111117'), 'DISCOVER');
+  assert.equal(detectCardType('6500000000000002'), 'DISCOVER');
+  assert.equal(detectCardType('6521500000000006'), 'RUPAY');
+  assert.equal(detectCardType('5018000000000009'), 'MAESTRO');
+  assert.equal(detectCardType('5100000000000008'), 'MASTERCARD');
+});
+
+test('networks without a regex in the old detector are recognised', () => {
+  assert.equal(detectCardType('3530111333300000'), 'JCB');
+  assert.equal(detectCardType('30569309025904'), 'DINERS');
+  assert.equal(detectCardType('2200000000000004'), 'MIR');
+  assert.equal(detectCardType('9999999999999995'), 'UNKNOWN');
+});
+
+test('lookupBin returns network rules including CVV length', () => {
+  const info = lookupBin('371449635398431');
+
+  assert.equal(info.network, 'AMEX');
+  assert.deepEqual(info.lengths, [15]);
+  assert.equal(info.cvvLength, 4);
+});
+
+test('CSV override adds issuer metadata on top of the bundled ranges', () => {
+  const csvPath = writeTempFile('bins.csv', [
+    'from,to,network,issuer,country,level',
+    '453260,453260,,"HDFC Bank, Ltd.",IN,PLATINUM'
+  ].join('\n'));
+
+  setBinTable(loadBinTable(csvPath));
+  const info = lookupBin('4532601234567893');
+
+  assert.equal(info.network, 'VISA');
+  assert.equal(info.issuer, 'HDFC Bank, Ltd.');
+  assert.equal(info.country, 'IN');
+  assert.equal(info.level, 'PLATINUM');
+  assert.equal(lookupBin('4111111111111111').issuer, undefined);
+});
+
+test('JSON override can add networks and reassign ranges', () => {
+  const jsonPath = writeTempFile('bins.json', JSON.stringify({
+    networks: { TESTNET: { lengths: [16], cvvLength: 3 } },
+    ranges: [{ from: '9999', to: '9999', network: 'TESTNET' }]
+  }));
+
+  setBinTable(loadBinTable(jsonPath));
+
+  assert.equal(detectCardType('9999999999999995'), 'TESTNET');
+});
+
+test('invalid override files are rejected', () => {
+  const badRange = writeTempFile('bad.csv', 'from,to,network\n12,3,VISA');
+  const badNetwork = writeTempFile('bad.json', JSON.stringify({ ranges: [{ from: '1', to: '1', network: 'NOPE' }] }));
+  const badColumn = 'from,to,brand\n1,1,VISA';
+
+  assert.throws(() => loadBinTable(badRange), /same number of digits/);
+  assert.throws(() => loadBinTable(badNetwork), /unknown network NOPE/);
+  assert.throws(() => parseBinCsv(badColumn), /Unknown BIN table CSV column/);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectCard, checkAlignment, computeHomography, applyHomography, warpPerspective } = require('../lib/card-detect');
+
+const WIDTH = 320;
+const HEIGHT = 240;
+
+function insidePolygon(x, y, corners) {
+  let inside = false;
+  for (let index = 0, previous = corners.length - 1; index < corners.length; previous = index, index += 1) {
+    const a = corners[index];
+    const b = corners[previous];
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+// Card-shaped quad 200x126 centred on (cx, cy), rotated by `angle` degrees; `squeeze` narrows the far (top) side
+function cardCorners({ cx = 160, cy = 120, width = 200, angle = 0, squeeze = 0 } = {}) {
+  const height = width / 1.586;
+  const radians = (angle * Math.PI) / 180;
+  const topHalf = (width / 2) * (1 - squeeze);
+  return [
+    { x: -topHalf, y: -height / 2 },
+    { x: topHalf, y: -height / 2 },
+    { x: width / 2, y: height / 2 },
+    { x: -width / 2, y: height / 2 }
+  ].map((point) => ({
+    x: cx + point.x * Math.cos(radians) - point.y * Math.sin(radians),
+    y: cy + point.x * Math.sin(radians) + point.y * Math.cos(radians)
+  }));
+}
+
+// Dark background, a light card with a striped "digits" band, optional clutter outside the card
+function makeScene(corners, { clutter = false } = {}) {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  const matrix = corners && computeHomography(corners, [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }]);
+
+  for (let y = 0; y < HEIGHT; y += 1) {
+    for (let x = 0; x < WIDTH; x += 1) {
+      let value = 40;
+      if (clutter && ((x < 30 && y % 40 < 12) || (y > 228 && x % 80 < 15))) value = 200;
+
+      if (corners && insidePolygon(x + 0.5, y + 0.5, corners)) {
+        const card = applyHomography(matrix, { x: x + 0.5, y: y + 0.5 });
+        value = 170;
+        if (card.y > 0.5 && card.y < 0.65 && card.x > 0.1 && card.x < 0.9 && Math.floor(card.x * 60) % 2 === 0) value = 60;
+      }
+
+      const offset = (y * WIDTH + x) * 4;
+      data[offset] = value;
+      data[offset + 1] = value;
+      data[offset + 2] = value;
+      data[offset + 3] = 255;
+    }
+  }
+
+  return { data, width: WIDTH, height: HEIGHT };
+}
+
+function assertCornersNear(actual, expected, tolerance) {
+  actual.forEach((corner, index) => {
+    const gap = Math.hypot(corner.x - expected[index].x, corner.y - expected[index].y);
+    assert.ok(gap <= tolerance, `corner ${index}: ${JSON.stringify(corner)} vs ${JSON.stringify(expected[index])}`);
+  });
+}
+
+const GUIDE = { left: 60, top: 57, right: 260, bottom: 183 };
+
+test('detects an upright card and reports it aligned with the guide', () => {
+  const corners = cardCorners();
+  const card = detectCard(makeScene(corners));
+
+  assert.ok(card);
+  assertCornersNear(card.corners, corners, 2);
+  assert.deepEqual(checkAlignment(card.corners, GUIDE).issue, null);
+  assert.equal(checkAlignment(card.corners, GUIDE).aligned, true);
+});
+
+test('detects rotated, off-centre and foreshortened cards over a cluttered background', () => {
+  for (const options of [{ angle: 9, cx: 175 }, { squeeze: 0.12, cy: 110 }, { angle: -6, width: 170 }]) {
+    const corners = cardCorners(options);
+    const card = detectCard(makeScene(corners, { clutter: true }));
+
+    assert.ok(card, JSON.stringify(options));
+    assertCornersNear(card.corners, corners, 3);
+  }
+});
+
+test('returns null when there is no card-shaped outline', () => {
+  assert.equal(detectCard(makeScene(null)), null);
+  assert.equal(detectCard(makeScene(null, { clutter: true })), null);
+  // Square: right size, wrong shape
+  assert.equal(detectCard(makeScene([{ x: 90, y: 50 }, { x: 230, y: 50 }, { x: 230, y: 190 }, { x: 90, y: 190 }])), null);
+});
+
+test('checkAlignment explains what to fix', () => {
+  assert.equal(checkAlignment(cardCorners({ width: 120 }), GUIDE).hint, 'Move the card closer.');
+  assert.equal(checkAlignment(cardCorners({ width: 250 }), GUIDE).issue, 'too_close');
+  assert.equal(checkAlignment(cardCorners({ cx: 200 }), GUIDE).issue, 'off_centre');
+  assert.equal(checkAlignment(cardCorners({ angle: 25 }), GUIDE).issue, 'rotated');
+  assert.equal(checkAlignment(cardCorners({ squeeze: 0.45 }), GUIDE).issue, 'tilted');
+});
+
+test('computeHomography maps each corner onto its target', () => {
+  const from = cardCorners({ angle: 7, squeeze: 0.1 });
+  const to = [{ x: 0, y: 0 }, { x: 400, y: 0 }, { x: 400, y: 252 }, { x: 0, y: 252 }];
+  const matrix = computeHomography(from, to);
+
+  from.forEach((point, index) => {
+    const mapped = applyHomography(matrix, point);
+    assert.ok(Math.abs(mapped.x - to[index].x) < 1e-6 && Math.abs(mapped.y - to[index].y) < 1e-6);
+  });
+});
+
+test('warpPerspective flattens a tilted card into an upright rectangle', () => {
+  const corners = cardCorners({ angle: 10, squeeze: 0.1 });
+  const warped = warpPerspective(makeScene(corners), corners, 240, 152, { margin: 0.05 });
+  const valueAt = (x, y) => warped.data[(Math.round(y) * warped.width + Math.round(x)) * 4];
+
+  assert.equal(warped.data.length, 240 * 152 * 4);
+  // Margin shows the background, the card fills the rest
+  assert.equal(valueAt(3, 76), 40);
+  assert.equal(valueAt(120, 3), 40);
+  assert.equal(valueAt(120, 30), 170);
+  assert.equal(valueAt(220, 76), 170);
+  // Digits band stays horizontal after the warp
+  const digitsRow = 152 * (0.05 + 0.9 * 0.57);
+  const stripes = [...Array(180).keys()].map((offset) => valueAt(30 + offset, digitsRow) < 115).filter(Boolean).length;
+  assert.ok(stripes > 60 && stripes < 120, `stripes: ${stripes}`);
+});
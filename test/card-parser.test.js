@@ -0,0 +1,293 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  luhnCheck,
+  detectCardType,
+  isValidCardLength,
+  formatCardNumber,
+  extractCardNumber,
+  extractExpiry,
+  extractCardholderName,
+  maskCardNumber,
+  parseCardText,
+  parseSecurityCode,
+  checkExpiry,
+  setMaxExpiryYears
+} = require('../lib/card-parser');
+const { visionAnnotationToLayout } = require('../lib/ocr/layout');
+const { buildVisionAnnotation } = require('./helpers/vision-annotation');
+
+const TRANSCRIPTS_DIR = path.join(__dirname, 'fixtures', 'transcripts');
+
+function loadTranscripts() {
+  return fs.readdirSync(TRANSCRIPTS_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => ({
+      name: path.basename(file, '.json'),
+      ...JSON.parse(fs.readFileSync(path.join(TRANSCRIPTS_DIR, file), 'utf8'))
+    }));
+}
+
+test.describe('OCR transcript corpus', () => {
+  for (const transcript of loadTranscripts()) {
+    test(`${transcript.name}: ${transcript.description}`, () => {
+      const cardNumber = extractCardNumber(transcript.text);
+
+      assert.deepEqual({
+        cardNumber,
+        expiryDate: extractExpiry(transcript.text),
+        cardholderName: extractCardholderName(transcript.text),
+        cardType: detectCardType(cardNumber)
+      }, transcript.expected);
+    });
+  }
+});
+
+test('luhnCheck accepts valid numbers and rejects a single-digit change', () => {
+  assert.equal(luhnCheck('4111111111111111'), true);
+  assert.equal(luhnCheck('4111111111111112'), false);
+});
+
+test('extractCardNumber returns empty string when too few digits are visible', () => {
+  assert.equal(extractCardNumber('HDFC BANK\n4111 1111'), '');
+});
+
+test('extractExpiry returns empty string when no date is present', () => {
+  assert.equal(extractExpiry('HDFC BANK\n4111 1111 1111 1111'), '');
+});
+
+test('checkExpiry compares the expiry month with the current one', () => {
+  const now = new Date('2026-10-19T00:00:00Z');
+
+  assert.equal(checkExpiry('10/26', now), 'valid');
+  assert.equal(checkExpiry('09/26', now), 'expired');
+  assert.equal(checkExpiry('01/21', now), 'expired');
+  assert.equal(checkExpiry('10/46', now), 'valid');
+  assert.equal(checkExpiry('11/46', now), 'implausible');
+  assert.equal(checkExpiry('', now), 'unknown');
+  assert.equal(checkExpiry('13/29', now), 'unknown');
+});
+
+test('implausible years are not taken as the expiry', () => {
+  const now = new Date('2026-10-19T00:00:00Z');
+
+  // OCR noise read as 2089 used to win as the latest date
+  assert.equal(parseCardText('VALID THRU 08/29\nREF 02/89', { now }).expiryDate.value, '08/29');
+  assert.equal(parseCardText('VALID THRU 02/89', { now }).expiryDate.value, '');
+  // Expired dates are still read; flagging them is up to the caller
+  assert.equal(parseCardText('VALID THRU 08/21', { now }).expiryDate.value, '08/21');
+
+  setMaxExpiryYears(5);
+  try {
+    assert.equal(parseCardText('VALID THRU 08/35', { now }).expiryDate.value, '');
+    assert.equal(extractExpiry('VALID THRU 08/29'), '08/29');
+  } finally {
+    setMaxExpiryYears();
+  }
+});
+
+test('a year of three digits is not read as an expiry', () => {
+  const now = new Date('2026-10-19T00:00:00Z');
+
+  assert.equal(parseCardText('VALID THRU 08/202', { now }).expiryDate.value, '');
+  assert.equal(parseCardText('VALID THRU 08/20291', { now }).expiryDate.value, '');
+  assert.equal(parseCardText('VALID THRU 08/2029', { now }).expiryDate.value, '08/29');
+});
+
+test('extractCardholderName ignores issuer and network words', () => {
+  assert.equal(extractCardholderName('PLATINUM DEBIT\nVISA CLASSIC\nVALID THRU 08/29'), '');
+});
+
+test('extractCardholderName keeps initials, hyphens and apostrophes', () => {
+  assert.equal(extractCardholderName('VALID THRU 08/29\nA.K. SHARMA'), 'A K SHARMA');
+  assert.equal(extractCardholderName('VALID THRU 08/29\nMARY O\u2019BRIEN'), "MARY O'BRIEN");
+  assert.equal(extractCardholderName('VALID THRU 08/29\nJEAN-PAUL DUPONT'), 'JEAN-PAUL DUPONT');
+  // Initials alone are not a name
+  assert.equal(extractCardholderName('VALID THRU 08/29\nA K S'), '');
+});
+
+test('a single long surname is read with lower confidence', () => {
+  const { cardholderName } = parseCardText('4111 1111 1111 1111\nVALID THRU 08/29\nRAMASWAMY');
+
+  assert.equal(cardholderName.value, 'RAMASWAMY');
+  assert.ok(cardholderName.reasons.includes('name_single_word'));
+  assert.ok(cardholderName.confidence < parseCardText('4111 1111 1111 1111\nVALID THRU 08/29\nRAHUL SHARMA').cardholderName.confidence);
+  assert.equal(extractCardholderName('VALID THRU 08/29\nRAHUL'), '');
+});
+
+test('blocked words inside hyphenated words and letters outside the loaded packs rule a line out', () => {
+  assert.equal(extractCardholderName('VALID THRU 08/29\nVISA-CLASSIC REWARDS'), '');
+  assert.equal(extractCardholderName('VALID THRU 08/29\nJOS\u00c9 N\u00da\u00d1EZ'), '');
+});
+
+test('a card without a readable name line gets no name from its number or expiry', () => {
+  assert.equal(parseCardText('HDFC BANK\n4532 6012 3456 7893\nVALID THRU 08/29').cardholderName.value, '');
+  assert.equal(parseCardText('HDFC BANK\n4532 6012 3456 7893\nVALID THRU 08/29\nJOS\u00c9 GARC\u00cdA').cardholderName.value, '');
+  assert.equal(extractCardholderName('VALID THRU 08/29\nMEMBER 5810 2203'), '');
+  // Initials need a real word beside them
+  assert.equal(extractCardholderName('VALID THRU 08/29\nS OI S B'), '');
+  // Lookalike digits inside a word are still read as letters
+  assert.equal(extractCardholderName('4532 6012 3456 7893\nVALID THRU 08/29\nRAHUL 5HARMA'), 'RAHUL SHARMA');
+});
+
+test('maskCardNumber keeps only the last four digits', () => {
+  assert.equal(maskCardNumber('4111111111111111'), '•••• •••• •••• 1111');
+  assert.equal(maskCardNumber('123'), '');
+});
+
+test('parseCardText returns each field with confidence and source line', () => {
+  const text = 'HDFC BANK\nPlatinum\n4532 6012 3456 7893\nVALID\nTHRU 08/29\nRAHUL SHARMA\nVISA\n';
+  const result = parseCardText(text);
+
+  assert.deepEqual(Object.keys(result).sort(), ['cardNumber', 'cardType', 'cardholderName', 'expiryDate']);
+  assert.equal(result.cardNumber.value, '4532601234567893');
+  assert.equal(result.cardNumber.sourceLine, '4532 6012 3456 7893');
+  assert.equal(result.cardType.value, 'VISA');
+  assert.equal(result.expiryDate.value, '08/29');
+  assert.equal(result.expiryDate.sourceLine, 'THRU 08/29');
+  assert.equal(result.cardholderName.value, 'RAHUL SHARMA');
+  assert.equal(result.cardholderName.sourceLine, 'RAHUL SHARMA');
+
+  for (const field of Object.values(result)) {
+    assert.ok(field.confidence > 0 && field.confidence <= 1);
+  }
+});
+
+test('parseCardText gives a stitched fallback number lower confidence than a grouped one', () => {
+  const grouped = parseCardText('4111 1111 1111 1111');
+  const stitched = parseCardText('4111 1111\n1111 1111');
+
+  assert.equal(stitched.cardNumber.value, '4111111111111111');
+  assert.ok(stitched.cardNumber.confidence < grouped.cardNumber.confidence);
+  assert.deepEqual(grouped.cardNumber.reasons, ['number_grouped']);
+  assert.deepEqual(stitched.cardNumber.reasons, ['number_luhn_fallback_scan']);
+});
+
+test('parseCardText explains how each field was found', () => {
+  const result = parseCardText('HDFC BANK\n4532 6012 3456 7893\nVALID\nTHRU 08/29\nMR RAHUL SHARMA\nVISA');
+
+  assert.deepEqual(result.cardType.reasons, ['type_from_bin']);
+  assert.deepEqual(result.expiryDate.reasons, ['expiry_from_thru_label']);
+  assert.deepEqual(result.cardholderName.reasons, ['name_title_removed', 'name_near_card_label', 'name_below_number', 'name_near_expiry']);
+
+  assert.deepEqual(parseCardText('VALID FROM 01/24 THRU 01/29').expiryDate.reasons, ['expiry_valid_from_thru_pair']);
+  assert.deepEqual(parseCardText('OFFER 01/24\nREF 01/29').expiryDate.reasons, ['expiry_latest_of_several', 'expiry_unlabelled']);
+  assert.deepEqual(parseCardText('').cardholderName.reasons, []);
+});
+
+test('parseCardText only extracts requested fields and tolerates empty input', () => {
+  assert.deepEqual(Object.keys(parseCardText('08/29', { fields: ['expiryDate'] })), ['expiryDate']);
+  assert.deepEqual(parseCardText('').cardType, { value: 'UNKNOWN', confidence: 0, sourceLine: '', reasons: [] });
+});
+
+function parseWithLayout(lines) {
+  const annotation = buildVisionAnnotation(lines);
+  return {
+    textOnly: parseCardText(annotation.text),
+    withLayout: parseCardText(annotation.text, { layout: visionAnnotationToLayout(annotation) })
+  };
+}
+
+test('layout picks the lower-left name over a slogan that scores higher on line order', () => {
+  const { textOnly, withLayout } = parseWithLayout([
+    { text: 'HDFC BANK', x: 60, y: 40, height: 40 },
+    { text: 'RAHUL SHARMA', x: 60, y: 500, height: 34 },
+    { text: '4532 6012 3456 7893', x: 60, y: 300, height: 50 },
+    { text: 'VALID THRU 08/29', x: 400, y: 400, height: 26 },
+    { text: 'SMART SAVER CLUB', x: 560, y: 60, height: 30 }
+  ]);
+
+  assert.equal(textOnly.cardholderName.value, 'SMART SAVER CLUB');
+  assert.equal(withLayout.cardholderName.value, 'RAHUL SHARMA');
+  assert.equal(withLayout.cardNumber.value, '4532601234567893');
+  assert.equal(withLayout.expiryDate.value, '08/29');
+});
+
+test('layout takes the expiry boxed next to a stacked VALID THRU label', () => {
+  const { textOnly, withLayout } = parseWithLayout([
+    { text: '4532 6012 3456 7893', x: 60, y: 300, height: 50 },
+    { text: 'VALID', x: 380, y: 390, height: 16 },
+    { text: 'THRU', x: 380, y: 410, height: 16 },
+    { text: '05/27', x: 470, y: 395, height: 28 },
+    { text: 'RAHUL SHARMA', x: 60, y: 500, height: 34 },
+    { text: 'OFFER ENDS 09/30', x: 600, y: 40, height: 18 }
+  ]);
+
+  assert.equal(textOnly.expiryDate.value, '09/30');
+  assert.deepEqual(withLayout.expiryDate, { value: '05/27', confidence: 0.9, sourceLine: '05/27', reasons: ['expiry_thru_label_box'] });
+  assert.equal(withLayout.cardholderName.value, 'RAHUL SHARMA');
+});
+
+test('layout does not take a date labelled VALID FROM', () => {
+  const { withLayout } = parseWithLayout([
+    { text: '4532 6012 3456 7893', x: 60, y: 300, height: 50 },
+    { text: 'VALID FROM', x: 100, y: 380, height: 16 },
+    { text: '01/31', x: 100, y: 400, height: 28 },
+    { text: 'EXPIRES', x: 400, y: 380, height: 16 },
+    { text: '01/28', x: 400, y: 400, height: 28 }
+  ]);
+
+  assert.equal(withLayout.expiryDate.value, '01/28');
+});
+
+test('parseSecurityCode reads the code printed after the last 4 digits on the signature panel', () => {
+  const text = 'AUTHORIZED SIGNATURE\nRAHUL SHARMA 7893 123\nCUSTOMER CARE 1800 202 6161';
+
+  assert.deepEqual(parseSecurityCode(text, { cardNumber: '4532601234567893' }), {
+    value: '123',
+    confidence: 0.9,
+    sourceLine: 'RAHUL SHARMA 7893 123',
+    reasons: ['code_after_last4']
+  });
+  assert.equal(parseSecurityCode('7893 I23', { cardNumber: '4532601234567893' }).value, '123');
+});
+
+test('parseSecurityCode accepts a labelled or lone code and refuses ambiguous reads', () => {
+  assert.deepEqual(parseSecurityCode('CVV2 457'), { value: '457', confidence: 0.8, sourceLine: 'CVV2 457', reasons: ['code_labelled'] });
+  assert.equal(parseSecurityCode('SIGNATURE\n123\nCALL 1800 202 6161').value, '123');
+  assert.equal(parseSecurityCode('123\n456').value, '');
+  assert.equal(parseSecurityCode('VALID THRU 08/29 123').value, '');
+  assert.equal(parseSecurityCode('CUSTOMER CARE 1800 202 6161').value, '');
+});
+
+test('parseSecurityCode finds the Amex 4-digit CID on the front', () => {
+  const text = 'AMERICAN EXPRESS\n1234\n3714 496353 98431\nVALID THRU 05/27';
+
+  assert.equal(parseSecurityCode(text, { side: 'front', length: 4, cardNumber: '371449635398431' }).value, '1234');
+  assert.equal(parseSecurityCode('MEMBER SINCE 2019\n3714 496353 98431', { side: 'front', length: 4 }).value, '');
+});
+
+test('digits after the number on the same line are not read as part of it', () => {
+  const cases = [
+    ['4532 6012 3456 7893 08/29', '4532601234567893'],
+    ['5105 1051 0510 5100 1234', '5105105105105100'],
+    ['3782 822463 10005 0829', '378282246310005'],
+    ['CUSTOMER 12 4532 6012 3456 7893', '4532601234567893'],
+    ['4111 1111 1111 1111 110', '4111111111111111110']
+  ];
+
+  for (const [text, expected] of cases) {
+    const { cardNumber } = parseCardText(text);
+    assert.equal(cardNumber.value, expected, text);
+    assert.deepEqual(cardNumber.reasons, ['number_grouped'], text);
+  }
+});
+
+test('isValidCardLength applies brand-specific lengths', () => {
+  assert.equal(isValidCardLength('371449635398431'), true);
+  assert.equal(isValidCardLength('3714496353984310'), false);
+  assert.equal(isValidCardLength('4111111111111111110'), true);
+  assert.equal(isValidCardLength('411111111111111111'), false);
+  assert.equal(isValidCardLength('5555555555554444'), true);
+  assert.equal(isValidCardLength('5555555555554444000'), false);
+});
+
+test('formatCardNumber groups digits by brand', () => {
+  assert.equal(formatCardNumber('371449635398431'), '3714 496353 98431');
+  assert.equal(formatCardNumber('4111111111111111110'), '4111 1111 1111 1111 110');
+  assert.equal(formatCardNumber('55555555'), '5555 5555');
+  assert.equal(maskCardNumber('371449635398431'), '•••• •••••• •8431');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readDeviceFields, readDeviceSecurityCode } = require('../lib/device-fields');
+const { parseCardText } = require('../lib/card-parser');
+
+test('parser output from the phone is accepted in parseCardText shape', () => {
+  const onDevice = parseCardText('VISA\n4532 6012 3456 7893\nVALID THRU 08/29\nRAHUL SHARMA');
+  const { parsed, rejectedFields, error } = readDeviceFields({
+    cardNumber: onDevice.cardNumber,
+    expiryDate: onDevice.expiryDate,
+    cardholderName: onDevice.cardholderName
+  });
+
+  assert.equal(error, undefined);
+  assert.deepEqual(rejectedFields, []);
+  assert.equal(parsed.cardNumber.value, '4532601234567893');
+  assert.equal(parsed.cardNumber.confidence, onDevice.cardNumber.confidence);
+  assert.equal(parsed.expiryDate.value, '08/29');
+  assert.equal(parsed.cardholderName.value, 'RAHUL SHARMA');
+  assert.equal(parsed.cardType.value, 'VISA');
+  // Raw OCR lines and reason codes are never taken from the phone
+  assert.equal(parsed.cardNumber.sourceLine, '');
+  assert.deepEqual(parsed.cardNumber.reasons, ['read_on_device']);
+});
+
+test('values the server parser would not produce are dropped and reported', () => {
+  const { parsed, rejectedFields } = readDeviceFields({
+    cardNumber: { value: '4532 6012 3456 7890', confidence: 0.9 },
+    expiryDate: { value: '13/29', confidence: 0.9 },
+    cardholderName: { value: 'VALID THRU', confidence: 0.9 }
+  });
+
+  assert.deepEqual(rejectedFields, ['cardNumber', 'expiryDate', 'cardholderName']);
+  assert.equal(parsed.cardNumber.value, '');
+  assert.equal(parsed.expiryDate.value, '');
+  assert.equal(parsed.cardholderName.value, '');
+  assert.equal(parsed.cardType.value, 'UNKNOWN');
+});
+
+test('missing fields are unread, confidence is clamped and names are normalized', () => {
+  const { parsed, rejectedFields } = readDeviceFields({
+    cardNumber: { value: '4111-1111-1111-1111', confidence: 7 },
+    cardholderName: { value: '  rahul   sharma ' },
+    expiryDate: null
+  });
+
+  assert.deepEqual(rejectedFields, []);
+  assert.equal(parsed.cardNumber.value, '4111111111111111');
+  assert.equal(parsed.cardNumber.confidence, 1);
+  assert.equal(parsed.cardholderName.value, 'RAHUL SHARMA');
+  assert.equal(parsed.cardholderName.confidence, 0);
+  assert.equal(parsed.expiryDate.value, '');
+});
+
+test('malformed payloads are errors', () => {
+  for (const fields of [undefined, 'x', [], { cardNumber: '4111111111111111' }, { expiryDate: { value: 829 } }, { cardholderName: { value: 'A'.repeat(65) } }]) {
+    assert.ok(readDeviceFields(fields).error, JSON.stringify(fields));
+  }
+});
+
+test('readDeviceSecurityCode only accepts the expected number of digits', () => {
+  assert.equal(readDeviceSecurityCode('123', 3), '123');
+  assert.equal(readDeviceSecurityCode('1234', 4), '1234');
+  assert.equal(readDeviceSecurityCode('1234', 3), '');
+  assert.equal(readDeviceSecurityCode('12a', 3), '');
+  assert.equal(readDeviceSecurityCode(123, 3), '');
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const e2e = require('../lib/e2e-crypto');
+
+const cardData = {
+  cardNumber: '4532601234567893',
+  cardholderName: 'RAHUL SHARMA',
+  expiryDate: '08/29'
+};
+
+async function createRecipient() {
+  const keyPair = await e2e.generateKeyPair();
+  return {
+    keyPair,
+    publicKey: await e2e.exportPublicKey(keyPair.publicKey)
+  };
+}
+
+test('only the recipient key pair opens a sealed payload', async () => {
+  const desktop = await createRecipient();
+  const otherTab = await createRecipient();
+  const envelope = await e2e.seal(desktop.publicKey, 'session-1', cardData);
+
+  assert.equal(envelope.alg, e2e.ALGORITHM);
+  assert.ok(!JSON.stringify(envelope).includes('4532601234567893'));
+  assert.deepEqual(await e2e.open(desktop.keyPair.privateKey, 'session-1', envelope), cardData);
+  await assert.rejects(e2e.open(otherTab.keyPair.privateKey, 'session-1', envelope));
+});
+
+test('sealed payloads are bound to their session', async () => {
+  const desktop = await createRecipient();
+  const envelope = await e2e.seal(desktop.publicKey, 'session-1', cardData);
+
+  await assert.rejects(e2e.open(desktop.keyPair.privateKey, 'session-2', envelope));
+});
+
+test('public keys must be uncompressed P-256 points', async () => {
+  await assert.rejects(e2e.importPublicKey('bm90LWEta2V5'), /uncompressed P-256 point/);
+  await assert.rejects(e2e.seal('', 'session-1', cardData), /uncompressed P-256 point/);
+});
+
+test('extractable key pairs can be exported and restored as JWK', async () => {
+  const keyPair = await e2e.generateKeyPair(true);
+  const publicKey = await e2e.exportPublicKey(keyPair.publicKey);
+  const restored = await e2e.importPrivateKey(await e2e.exportPrivateKey(keyPair.privateKey));
+  const envelope = await e2e.seal(publicKey, 'session-1', cardData);
+
+  assert.deepEqual(await e2e.open(restored, 'session-1', envelope), cardData);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assessFrame, measureSharpness, toGrayscale } = require('../lib/frame-quality');
+
+const WIDTH = 240;
+const HEIGHT = 152;
+
+// Synthetic frame: dark background, a lighter card inset from the crop border, a striped "digits" band
+function makeFrame({ background = 30, card = 150, inset = 0.06, showCard = true, glare = false, scale = 1, noise = 0 } = {}) {
+  const pixels = new Float32Array(WIDTH * HEIGHT);
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  for (let y = 0; y < HEIGHT; y += 1) {
+    for (let x = 0; x < WIDTH; x += 1) {
+      const insideCard = showCard &&
+        x >= WIDTH * inset && x < WIDTH * (1 - inset) && y >= HEIGHT * inset && y < HEIGHT * (1 - inset);
+      const inDigits = insideCard && y >= HEIGHT * 0.45 && y < HEIGHT * 0.6 && x >= WIDTH * 0.15 && x < WIDTH * 0.85;
+      const inGlare = glare && y >= HEIGHT * 0.4 && y < HEIGHT * 0.7 && x >= WIDTH * 0.3 && x < WIDTH * 0.7;
+
+      let value = insideCard ? card : background + noise * random();
+      if (inDigits && Math.floor(x / 2) % 2 === 0) value = 40;
+      if (inGlare) value = 255;
+      pixels[y * WIDTH + x] = value * scale;
+    }
+  }
+
+  return toImageData(pixels);
+}
+
+function toImageData(pixels) {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  pixels.forEach((value, index) => {
+    data[index * 4] = value;
+    data[index * 4 + 1] = value;
+    data[index * 4 + 2] = value;
+    data[index * 4 + 3] = 255;
+  });
+  return { data, width: WIDTH, height: HEIGHT };
+}
+
+function boxBlur(imageData, radius) {
+  const gray = toGrayscale(imageData.data, WIDTH, HEIGHT);
+  const blurred = new Float32Array(gray.length);
+
+  for (let y = 0; y < HEIGHT; y += 1) {
+    for (let x = 0; x < WIDTH; x += 1) {
+      let sum = 0;
+      let count = 0;
+      for (let dy = -radius; dy <= radius; dy += 1) {
+        for (let dx = -radius; dx <= radius; dx += 1) {
+          const sampleX = Math.min(WIDTH - 1, Math.max(0, x + dx));
+          const sampleY = Math.min(HEIGHT - 1, Math.max(0, y + dy));
+          sum += gray[sampleY * WIDTH + sampleX];
+          count += 1;
+        }
+      }
+      blurred[y * WIDTH + x] = sum / count;
+    }
+  }
+
+  return toImageData(blurred);
+}
+
+test('a sharp, well-lit card inside the guide passes', () => {
+  const result = assessFrame(makeFrame());
+
+  assert.equal(result.ok, true, JSON.stringify(result));
+  assert.deepEqual(result.issues, []);
+  assert.equal(result.hint, '');
+  assert.equal(result.metrics.edgeSides, 4);
+});
+
+test('frames without a card are rejected, even over a textured background', () => {
+  assert.deepEqual(assessFrame(makeFrame({ showCard: false, background: 120 })).issues, ['no_card', 'blurry']);
+  assert.deepEqual(assessFrame(makeFrame({ showCard: false, background: 60, noise: 160 })).issues, ['no_card']);
+});
+
+test('dark and overexposed frames get an exposure hint first', () => {
+  const dark = assessFrame(makeFrame({ scale: 0.25 }));
+  assert.equal(dark.issues[0], 'too_dark');
+  assert.equal(dark.hint, 'Too dark. Move to better light.');
+
+  assert.equal(assessFrame(makeFrame({ background: 230, card: 250 })).issues[0], 'too_bright');
+});
+
+test('glare across the digit band is reported', () => {
+  const result = assessFrame(makeFrame({ glare: true }));
+
+  assert.deepEqual(result.issues, ['glare']);
+  assert.equal(result.hint, 'Glare on the digits. Tilt the card slightly.');
+});
+
+test('blurred frames ask the user to hold steady', () => {
+  const sharp = makeFrame();
+  const blurred = boxBlur(sharp, 3);
+
+  assert.ok(measureSharpness(toGrayscale(blurred.data, WIDTH, HEIGHT), WIDTH, HEIGHT) <
+    measureSharpness(toGrayscale(sharp.data, WIDTH, HEIGHT), WIDTH, HEIGHT));
+  assert.deepEqual(assessFrame(blurred).issues, ['blurry']);
+});
+
+test('thresholds can be overridden', () => {
+  assert.equal(assessFrame(makeFrame({ showCard: false, background: 120 }), { minEdgeSides: 0, minSharpness: 0 }).ok, true);
+});
@@ -0,0 +1,91 @@
+const { EventEmitter } = require('events');
+
+// In-memory stand-in for the ioredis commands used by lib/session-store/redis.js
+function createFakeRedisServer() {
+  const keys = new Map();
+  const connections = new Set();
+
+  function readKey(key) {
+    const entry = keys.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      keys.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  function createClient() {
+    const client = new EventEmitter();
+    const channels = new Set();
+    connections.add(client);
+
+    Object.assign(client, {
+      async get(key) {
+        return readKey(key);
+      },
+
+      async set(key, value, mode, ttlMs, condition) {
+        if (condition === 'NX' && readKey(key) !== null) return null;
+
+        keys.set(key, {
+          value: String(value),
+          expiresAt: mode === 'PX' ? Date.now() + Number(ttlMs) : null
+        });
+        return 'OK';
+      },
+
+      async del(key) {
+        return keys.delete(key) ? 1 : 0;
+      },
+
+      async pttl(key) {
+        if (readKey(key) === null) return -2;
+        const { expiresAt } = keys.get(key);
+        return expiresAt === null ? -1 : expiresAt - Date.now();
+      },
+
+      async publish(channel, message) {
+        let receivers = 0;
+        for (const connection of connections) {
+          if (connection.isSubscribedTo(channel)) {
+            receivers += 1;
+            connection.emit('message', channel, message);
+          }
+        }
+        return receivers;
+      },
+
+      async subscribe(channel) {
+        channels.add(channel);
+        return channels.size;
+      },
+
+      async unsubscribe(channel) {
+        channels.delete(channel);
+        return channels.size;
+      },
+
+      isSubscribedTo(channel) {
+        return channels.has(channel);
+      },
+
+      duplicate() {
+        return createClient();
+      },
+
+      async quit() {
+        connections.delete(client);
+        return 'OK';
+      }
+    });
+
+    return client;
+  }
+
+  return { keys, createClient };
+}
+
+module.exports = { createFakeRedisServer };
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { hashImage } = require('../../lib/ocr/replay');
+
+// Runs server.js's app on a free port with replay OCR. server.js reads its configuration from the
+// environment when it is first required, so each test file starts one server with one `env`.
+async function startTestServer(env = {}) {
+  const replayDir = fs.mkdtempSync(path.join(os.tmpdir(), 'card-scan-replay-'));
+  Object.assign(process.env, { OCR_PROVIDER: 'replay', OCR_REPLAY_DIR: replayDir, SCAN_CONSENSUS_FRAMES: '1' }, env);
+
+  const { app } = require('../../server');
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  function request(method, urlPath, { body, headers = {} } = {}) {
+    const json = body !== undefined && !(body instanceof FormData);
+    return fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: json ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: json ? JSON.stringify(body) : body
+    });
+  }
+
+  // Resolves to { status, body } so tests can assert on both
+  async function requestJson(method, urlPath, options) {
+    const response = await request(method, urlPath, options);
+    return { status: response.status, body: await response.json() };
+  }
+
+  // A new session as the desktop sees it, plus the upload token the phone reads from the QR fragment
+  async function createSession(body = {}, headers = {}) {
+    const { status, body: session } = await requestJson('POST', '/api/session', { body, headers });
+    if (status !== 200) return { status, ...session };
+
+    const fragment = new URLSearchParams(new URL(session.mobileUrl).hash.slice(1));
+    return { status, ...session, uploadToken: fragment.get('t') };
+  }
+
+  // An image the replay provider reads as `text`
+  function addFrame(text) {
+    const image = Buffer.from(crypto.randomUUID());
+    fs.writeFileSync(path.join(replayDir, `${hashImage(image)}.json`), JSON.stringify({ text }));
+    return image;
+  }
+
+  function uploadFrame(session, image, fields = {}) {
+    const form = new FormData();
+    form.append('uploadToken', session.uploadToken);
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    form.append('cardImage', new Blob([image], { type: 'image/png' }), 'card.png');
+    return requestJson('POST', `/api/scan?sessionId=${session.sessionId}`, { body: form });
+  }
+
+  function getData(session, desktopToken = session.desktopToken) {
+    return requestJson('GET', `/api/get-data?sessionId=${session.sessionId}`, { headers: { 'X-Desktop-Token': desktopToken } });
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(replayDir, { recursive: true, force: true });
+  }
+
+  return { baseUrl, request, requestJson, createSession, addFrame, uploadFrame, getData, close };
+}
+
+module.exports = { startTestServer };
@@ -0,0 +1,40 @@
+// Minimal Google Vision fullTextAnnotation: one block per line, words laid out left to right
+// lines: [{ text, x, y, height }] in pixels of a width x height frame
+function buildVisionAnnotation(lines, { width = 1000, height = 630 } = {}) {
+  function vertices(left, top, right, bottom) {
+    return [{ x: left, y: top }, { x: right, y: top }, { x: right, y: bottom }, { x: left, y: bottom }];
+  }
+
+  const blocks = lines.map((line) => {
+    const charWidth = line.height * 0.6;
+    const words = line.text.split(' ');
+    let x = line.x;
+
+    return {
+      paragraphs: [{
+        words: words.map((word, index) => {
+          const left = x;
+          const right = left + word.length * charWidth;
+          x = right + charWidth;
+
+          return {
+            boundingBox: { vertices: vertices(left, line.y, right, line.y + line.height) },
+            symbols: [...word].map((char, charIndex) => ({
+              text: char,
+              property: charIndex === word.length - 1
+                ? { detectedBreak: { type: index === words.length - 1 ? 'LINE_BREAK' : 'SPACE' } }
+                : undefined
+            }))
+          };
+        })
+      }]
+    };
+  });
+
+  return {
+    text: `${lines.map((line) => line.text).join('\n')}\n`,
+    pages: [{ width, height, blocks }]
+  };
+}
+
+module.exports = { buildVisionAnnotation };
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadNameRules, listNameLocales, readNameLocalesFromEnv } = require('../lib/name-rules');
+const { setNameRules, getNameRules, extractCardholderName } = require('../lib/card-parser');
+
+function writeTempFile(name, contents) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'name-rules-'));
+  const filePath = path.join(directory, name);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+function readName(line) {
+  return extractCardholderName(`VALID THRU 08/29\n${line}`);
+}
+
+test.afterEach(() => {
+  setNameRules(loadNameRules());
+});
+
+test('bundled locale packs are listed and the default adds en-IN to the base pack', () => {
+  assert.deepEqual(listNameLocales(), ['de', 'en-IN', 'es', 'fr']);
+
+  const rules = loadNameRules();
+  assert.ok(rules.honorifics.includes('MR'));
+  assert.ok(rules.honorifics.includes('SHRI'));
+  assert.ok(rules.blockedWords.includes('MAHOTSAV'));
+  assert.deepEqual(getNameRules().honorifics, rules.honorifics);
+});
+
+test('NAME_LOCALES selects packs, and an empty value keeps the base pack only', () => {
+  assert.deepEqual(readNameLocalesFromEnv({}), ['en-IN']);
+  assert.deepEqual(readNameLocalesFromEnv({ NAME_LOCALES: ' fr, de ' }), ['fr', 'de']);
+  assert.deepEqual(readNameLocalesFromEnv({ NAME_LOCALES: '' }), []);
+
+  setNameRules(loadNameRules({ locales: [] }));
+  assert.equal(readName('SHRI RAHUL SHARMA'), 'SHRI RAHUL SHARMA');
+});
+
+test('locale packs allow accented letters and remove their honorifics and bank words', () => {
+  setNameRules(loadNameRules({ locales: ['es', 'fr', 'de'] }));
+
+  assert.equal(readName('SRA. JOSÉ NÚÑEZ'), 'JOSÉ NÚÑEZ');
+  assert.equal(readName('Mme Hélène Lefèvre'), 'HÉLÈNE LEFÈVRE');
+  assert.equal(readName('MÜLLER-LÜDENSCHEIDT'), 'MÜLLER-LÜDENSCHEIDT');
+  assert.equal(readName('SPARKASSE KÖLNBONN'), '');
+  assert.equal(readName('BANCO SANTANDER'), '');
+});
+
+test('a first initial M is kept with the French pack loaded', () => {
+  setNameRules(loadNameRules({ locales: ['fr'] }));
+
+  assert.equal(readName('M K SHARMA'), 'M K SHARMA');
+  assert.equal(readName('M. DUPONT'), 'M DUPONT');
+  assert.equal(readName('MLLE CLAIRE DUPONT'), 'CLAIRE DUPONT');
+});
+
+test('an override file adds words and replaces rules on top of the packs', () => {
+  const overridePath = writeTempFile('name-rules.json', JSON.stringify({
+    letters: 'ÅØ',
+    blockedWords: ['NORDEA'],
+    rules: { singleWordMinLength: 10 }
+  }));
+  const rules = loadNameRules({ overridePath });
+
+  assert.equal(rules.letters, 'ÅØ');
+  assert.ok(rules.blockedWords.includes('NORDEA'));
+  assert.ok(rules.blockedWords.includes('AZADI'));
+  assert.deepEqual(rules.rules, { singleWordMinLength: 10 });
+
+  setNameRules(rules);
+  assert.equal(readName('NORDEA SVERIGE'), '');
+  assert.equal(readName('SØREN ÅBERG'), 'SØREN ÅBERG');
+  assert.equal(readName('RAMASWAMY'), '');
+});
+
+test('unknown locales and malformed packs are rejected', () => {
+  assert.throws(() => loadNameRules({ locales: ['xx'] }), /Unknown name locale\(s\): xx/);
+
+  for (const pack of [
+    { rules: { maxWord: 3 } },
+    { rules: { maxWords: 0 } },
+    { rules: { requireVowel: 'yes' } },
+    { letters: 'åø' },
+    { honorifics: 'MR' },
+    { blockedWords: ['Bank'] }
+  ]) {
+    const overridePath = writeTempFile('name-rules.json', JSON.stringify(pack));
+    assert.throws(() => loadNameRules({ overridePath }), /Name rules/, JSON.stringify(pack));
+  }
+});
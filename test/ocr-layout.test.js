@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { visionAnnotationToLayout, getOcrLayout } = require('../lib/ocr/layout');
+const { buildVisionAnnotation } = require('./helpers/vision-annotation');
+
+test('visionAnnotationToLayout groups words into lines with frame-relative boxes', () => {
+  const layout = visionAnnotationToLayout(buildVisionAnnotation([
+    { text: '4532 6012 3456 7893', x: 60, y: 300, height: 50 },
+    { text: 'VALID THRU 08/29', x: 400, y: 400, height: 25 }
+  ]));
+
+  assert.deepEqual(layout.lines.map((line) => line.text), ['4532 6012 3456 7893', 'VALID THRU 08/29']);
+
+  const [, expiryLine] = layout.lines;
+  assert.deepEqual(expiryLine.words.map((word) => [word.text, word.start]), [['VALID', 0], ['THRU', 6], ['08/29', 11]]);
+  assert.deepEqual(expiryLine.box, { left: 0.4, top: 0.6349, right: 0.64, bottom: 0.6746 });
+  assert.deepEqual(expiryLine.words[0].box, { left: 0.4, top: 0.6349, right: 0.475, bottom: 0.6746 });
+});
+
+test('visionAnnotationToLayout accepts numeric break types and omitted zero coordinates', () => {
+  const layout = visionAnnotationToLayout({
+    pages: [{
+      width: 100,
+      height: 50,
+      blocks: [{
+        paragraphs: [{
+          words: [
+            {
+              boundingBox: { vertices: [{}, { x: 20 }, { x: 20, y: 10 }, { y: 10 }] },
+              symbols: [{ text: 'A' }, { text: 'B', property: { detectedBreak: { type: 5 } } }]
+            },
+            {
+              boundingBox: { vertices: [{ y: 20 }, { x: 20, y: 20 }, { x: 20, y: 30 }, { y: 30 }] },
+              symbols: [{ text: 'C' }]
+            }
+          ]
+        }]
+      }]
+    }]
+  });
+
+  assert.deepEqual(layout.lines.map((line) => line.text), ['AB', 'C']);
+  assert.deepEqual(layout.lines[0].box, { left: 0, top: 0, right: 0.2, bottom: 0.2 });
+});
+
+test('providers without geometry have no layout', () => {
+  assert.equal(visionAnnotationToLayout({ pages: [] }), null);
+  assert.equal(getOcrLayout({ text: '4111 1111 1111 1111' }), null);
+  assert.equal(getOcrLayout({ text: '', annotation: null }), null);
+  assert.ok(getOcrLayout({ annotation: buildVisionAnnotation([{ text: 'RAHUL SHARMA', x: 60, y: 500, height: 34 }]) }));
+});
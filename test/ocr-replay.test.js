@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OCR_PROVIDERS, createOcrProvider } = require('../lib/ocr');
+const { hashImage } = require('../lib/ocr/replay');
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-replay-'));
+}
+
+function registerStubProvider(t, text) {
+  OCR_PROVIDERS.stub = () => ({
+    name: 'stub',
+    recognize: async () => ({ text, annotation: null }),
+    close: async () => {}
+  });
+  t.after(() => {
+    delete OCR_PROVIDERS.stub;
+  });
+}
+
+test('replay provider returns the recording stored under the image hash', async () => {
+  const replayDir = makeTempDir();
+  const image = Buffer.from('fake-card-image');
+  fs.writeFileSync(
+    path.join(replayDir, `${hashImage(image)}.json`),
+    JSON.stringify({ text: '4111 1111 1111 1111\nVALID THRU 08/29', annotation: { pages: [] } })
+  );
+
+  const provider = createOcrProvider('replay', { rootDir: __dirname, replayDir });
+  const result = await provider.recognize(image);
+
+  assert.equal(provider.name, 'replay');
+  assert.equal(result.text, '4111 1111 1111 1111\nVALID THRU 08/29');
+  assert.deepEqual(result.annotation, { pages: [] });
+});
+
+test('replay provider rejects images without a recording', async () => {
+  const provider = createOcrProvider('replay', { rootDir: __dirname, replayDir: makeTempDir() });
+
+  await assert.rejects(provider.recognize(Buffer.from('unknown')), /No OCR recording found/);
+});
+
+test('recorded results can be replayed by image hash', async (t) => {
+  const recordDir = makeTempDir();
+  const image = Buffer.from('recorded-card-image');
+  registerStubProvider(t, 'RAHUL SHARMA');
+
+  const recorder = createOcrProvider('stub', { rootDir: __dirname, recordDir });
+  await recorder.recognize(image);
+
+  const replay = createOcrProvider('replay', { rootDir: __dirname, replayDir: recordDir });
+  assert.equal((await replay.recognize(image)).text, 'RAHUL SHARMA');
+});
+
+test('frames recognized with record: false are not saved', async (t) => {
+  const recordDir = makeTempDir();
+  registerStubProvider(t, 'CVV 123');
+
+  const recorder = createOcrProvider('stub', { rootDir: __dirname, recordDir });
+  const result = await recorder.recognize(Buffer.from('card-back'), { record: false });
+
+  assert.equal(result.text, 'CVV 123');
+  assert.deepEqual(fs.readdirSync(recordDir), []);
+});
+
+test('recording is refused in production', (t) => {
+  registerStubProvider(t, '');
+  assert.throws(
+    () => createOcrProvider('stub', { rootDir: __dirname, recordDir: makeTempDir(), isProduction: true }),
+    /must not be set in production/
+  );
+});
+
+test('unknown providers are rejected', () => {
+  assert.throws(() => createOcrProvider('nope', { rootDir: __dirname }), /Unknown OCR_PROVIDER/);
+});
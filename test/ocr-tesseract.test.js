@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTesseractProvider } = require('../lib/ocr/tesseract');
+
+const TESSERACT_ENV = ['TESSERACT_LANG', 'TESSERACT_LANG_PATH', 'TESSERACT_CACHE_PATH'];
+
+function setEnv(t, env) {
+  const saved = Object.fromEntries(TESSERACT_ENV.map((name) => [name, process.env[name]]));
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  TESSERACT_ENV.forEach((name) => delete process.env[name]);
+  Object.assign(process.env, env);
+}
+
+// Records the createWorker call and answers recognize() with `data`
+function stubCreateWorker(data) {
+  const calls = [];
+  const worker = {
+    terminated: false,
+    recognize: async () => ({ data }),
+    terminate: async () => {
+      worker.terminated = true;
+    }
+  };
+
+  async function createWorker(...args) {
+    calls.push(args);
+    return worker;
+  }
+
+  return { createWorker, calls, worker };
+}
+
+test('the bundled English model is used unless TESSERACT_LANG_PATH is set', async (t) => {
+  setEnv(t, {});
+  const stub = stubCreateWorker({ text: '4111 1111 1111 1111' });
+  const provider = createTesseractProvider({ createWorker: stub.createWorker });
+
+  await provider.recognize(Buffer.from('image'));
+
+  const [[language, oem, { langPath, cachePath }]] = stub.calls;
+  assert.equal(language, 'eng');
+  assert.equal(oem, 1);
+  assert.ok(fs.existsSync(path.join(langPath, 'eng.traineddata.gz')));
+  assert.equal(cachePath, undefined);
+});
+
+test('TESSERACT_LANG_PATH and TESSERACT_CACHE_PATH are passed to the worker', async (t) => {
+  setEnv(t, { TESSERACT_LANG: 'fra', TESSERACT_LANG_PATH: '/opt/tessdata', TESSERACT_CACHE_PATH: '/tmp/tessdata-cache' });
+  const stub = stubCreateWorker({ text: '' });
+
+  await createTesseractProvider({ createWorker: stub.createWorker }).recognize(Buffer.from('image'));
+
+  assert.deepEqual(stub.calls, [['fra', 1, { langPath: '/opt/tessdata', cachePath: '/tmp/tessdata-cache' }]]);
+});
+
+test('languages other than English need TESSERACT_LANG_PATH', (t) => {
+  setEnv(t, { TESSERACT_LANG: 'hin' });
+
+  assert.throws(() => createTesseractProvider({ createWorker: stubCreateWorker({}).createWorker }), /TESSERACT_LANG_PATH/);
+});
+
+test('recognize returns the text, reuses one worker and close terminates it', async (t) => {
+  setEnv(t, {});
+  const stub = stubCreateWorker({ text: 'VALID THRU 08/29' });
+  const provider = createTesseractProvider({ createWorker: stub.createWorker });
+
+  assert.equal(provider.name, 'tesseract');
+  assert.deepEqual(await provider.recognize(Buffer.from('a')), { text: 'VALID THRU 08/29' });
+  await provider.recognize(Buffer.from('b'));
+  assert.equal(stub.calls.length, 1);
+
+  await provider.close();
+  assert.equal(stub.worker.terminated, true);
+});
+
+test('recognize returns empty text when tesseract reads nothing', async (t) => {
+  setEnv(t, {});
+  const provider = createTesseractProvider({ createWorker: stubCreateWorker(null).createWorker });
+
+  assert.deepEqual(await provider.recognize(Buffer.from('image')), { text: '' });
+});
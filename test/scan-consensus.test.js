@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_CONSENSUS_OPTIONS,
+  createConsensusState,
+  addFrame,
+  evaluateConsensus,
+  getFieldConfidence,
+  readConsensusOptionsFromEnv
+} = require('../lib/scan-consensus');
+
+function frame(cardNumber, expiryDate, cardholderName, confidence = 0.9) {
+  return {
+    cardNumber: { value: cardNumber, confidence },
+    expiryDate: { value: expiryDate, confidence: 0.85 },
+    cardholderName: { value: cardholderName, confidence: 0.8 }
+  };
+}
+
+function addFrames(frames) {
+  return frames.reduce((state, parsed) => addFrame(state, parsed), createConsensusState());
+}
+
+test('a single frame is never enough with the default options', () => {
+  const consensus = evaluateConsensus(addFrames([frame('4532601234567893', '08/29', 'RAHUL SHARMA')]));
+
+  assert.equal(consensus.complete, false);
+  assert.equal(consensus.frames, 1);
+  assert.deepEqual(consensus.uncertainFields, ['cardNumber', 'expiryDate', 'cardholderName']);
+});
+
+test('fields settle once they agree across frames', () => {
+  const consensus = evaluateConsensus(addFrames([
+    frame('4532601234567893', '08/29', 'RAHUL SHARMA'),
+    frame('4532601234567893', '08/29', 'RAHUL SHARMA'),
+    frame('4532601234567893', '08/29', 'RAHUL SHARMA')
+  ]));
+
+  assert.equal(consensus.complete, true);
+  assert.deepEqual(consensus.uncertainFields, []);
+  assert.deepEqual(consensus.fields.cardNumber, { value: '4532601234567893', votes: 3, confidence: 0.9, settled: true, reasons: ['consensus_votes'] });
+  assert.equal(consensus.fields.cardholderName.value, 'RAHUL SHARMA');
+});
+
+test('high-confidence readings settle before requiredFrames', () => {
+  const consensus = evaluateConsensus(addFrames([
+    frame('4532601234567893', '08/29', 'RAHUL SHARMA'),
+    frame('4532601234567893', '08/29', 'RAHUL SHARMA')
+  ]));
+
+  assert.equal(consensus.fields.cardNumber.settled, true);
+  assert.equal(consensus.fields.expiryDate.settled, true);
+  assert.deepEqual(consensus.uncertainFields, ['cardholderName']);
+  assert.equal(consensus.complete, false);
+});
+
+test('a Luhn-valid misread does not win against the agreeing frames', () => {
+  const state = addFrames([
+    frame('4532601234567893', '08/29', 'RAHUL SHARMA', 0.4),
+    frame('4532601234567810', '08/29', 'RAHUL SHARMA', 0.4),
+    frame('4532601234567893', '08/29', 'RAHUL SHARMA', 0.4)
+  ]);
+
+  assert.equal(evaluateConsensus(state).fields.cardNumber.settled, false);
+
+  const consensus = evaluateConsensus(addFrame(state, frame('4532601234567893', '08/29', 'RAHUL SHARMA', 0.4)));
+  assert.equal(consensus.complete, true);
+  assert.equal(consensus.fields.cardNumber.value, '4532601234567893');
+});
+
+test('after maxFrames the scan completes with the unsettled fields reported', () => {
+  const frames = Array.from({ length: DEFAULT_CONSENSUS_OPTIONS.maxFrames }, () => frame('4532601234567893', '08/29', ''));
+  const consensus = evaluateConsensus(addFrames(frames));
+
+  assert.equal(consensus.complete, true);
+  assert.deepEqual(consensus.uncertainFields, ['cardholderName']);
+  assert.equal(consensus.fields.cardholderName.value, '');
+});
+
+test('the card number must settle even after maxFrames', () => {
+  const frames = Array.from({ length: DEFAULT_CONSENSUS_OPTIONS.maxFrames }, () => frame('', '08/29', 'RAHUL SHARMA'));
+  const consensus = evaluateConsensus(addFrames(frames));
+
+  assert.equal(consensus.complete, false);
+  assert.deepEqual(consensus.uncertainFields, ['cardNumber']);
+});
+
+test('fields the tenant does not receive are not waited for', () => {
+  const state = addFrames([
+    frame('4532601234567893', '08/29', ''),
+    frame('4532601234567893', '08/29', '')
+  ]);
+  const consensus = evaluateConsensus(state, { fields: ['maskedCardNumber', 'expiryDate'] });
+
+  assert.equal(consensus.complete, true);
+  assert.equal(consensus.fields.cardholderName, undefined);
+});
+
+test('reason codes from every agreeing frame are kept, with how the field settled', () => {
+  const withReasons = (cardNumberReasons, nameConfidence) => ({
+    ...frame('4532601234567893', '08/29', 'RAHUL SHARMA'),
+    cardNumber: { value: '4532601234567893', confidence: 0.9, reasons: cardNumberReasons },
+    cardholderName: { value: 'RAHUL SHARMA', confidence: nameConfidence, reasons: ['name_near_expiry'] }
+  });
+  const consensus = evaluateConsensus(addFrames([
+    withReasons(['number_grouped'], 0.4),
+    withReasons(['number_luhn_fallback_scan'], 0.5),
+    { ...frame('4532601234567893', '08/29', 'RAHUL SHARNA'), cardholderName: { value: 'RAHUL SHARNA', confidence: 0.3 } }
+  ]));
+
+  assert.deepEqual(consensus.fields.cardNumber.reasons, ['number_grouped', 'number_luhn_fallback_scan', 'consensus_votes']);
+  assert.deepEqual(consensus.fields.expiryDate.reasons, ['consensus_votes']);
+  assert.deepEqual(consensus.fields.cardholderName.reasons, ['name_near_expiry', 'consensus_unsettled', 'consensus_rival_reads']);
+
+  assert.deepEqual(getFieldConfidence(consensus), {
+    cardNumber: { confidence: 0.9, reasons: ['number_grouped', 'number_luhn_fallback_scan', 'consensus_votes'], lowConfidence: false },
+    expiryDate: { confidence: 0.85, reasons: ['consensus_votes'], lowConfidence: false },
+    cardholderName: { confidence: 0.45, reasons: ['name_near_expiry', 'consensus_unsettled', 'consensus_rival_reads'], lowConfidence: true }
+  });
+});
+
+test('fields that were never read get no confidence entry', () => {
+  const consensus = evaluateConsensus(addFrames([frame('4532601234567893', '', ''), frame('4532601234567893', '', '')]));
+
+  assert.deepEqual(Object.keys(getFieldConfidence(consensus)), ['cardNumber']);
+  assert.deepEqual(getFieldConfidence(consensus).cardNumber.reasons, ['consensus_confidence']);
+});
+
+test('addFrame leaves the previous state untouched', () => {
+  const first = addFrames([frame('4532601234567893', '08/29', 'RAHUL SHARMA')]);
+  addFrame(first, frame('4532601234567893', '08/29', 'RAHUL SHARMA'));
+
+  assert.equal(first.frames, 1);
+  assert.equal(first.candidates.cardNumber[0].votes, 1);
+});
+
+test('readConsensusOptionsFromEnv applies defaults and validates values', () => {
+  assert.deepEqual(readConsensusOptionsFromEnv({}), DEFAULT_CONSENSUS_OPTIONS);
+  assert.deepEqual(
+    readConsensusOptionsFromEnv({ SCAN_CONSENSUS_FRAMES: '1', SCAN_CONSENSUS_CONFIDENCE: '0.5', SCAN_CONSENSUS_MAX_FRAMES: '1' }),
+    { requiredFrames: 1, confidenceThreshold: 0.5, maxFrames: 1 }
+  );
+
+  assert.throws(() => readConsensusOptionsFromEnv({ SCAN_CONSENSUS_FRAMES: '2.5' }), /SCAN_CONSENSUS_FRAMES/);
+  assert.throws(() => readConsensusOptionsFromEnv({ SCAN_CONSENSUS_CONFIDENCE: '-1' }), /SCAN_CONSENSUS_CONFIDENCE/);
+  assert.throws(() => readConsensusOptionsFromEnv({ SCAN_CONSENSUS_FRAMES: '5', SCAN_CONSENSUS_MAX_FRAMES: '3' }), /MAX_FRAMES/);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyCorrections, mergeRescan } = require('../lib/scan-review');
+
+const ALL_FIELDS = ['cardNumber', 'maskedCardNumber', 'cardholderName', 'expiryDate', 'cardType', 'cardInfo'];
+
+function scanResult(overrides = {}) {
+  return {
+    cardNumber: '4532601234567893',
+    maskedCardNumber: '•••• •••• •••• 7893',
+    cardholderName: 'PLATINUM REWARDS',
+    expiryDate: '01/21',
+    expiryStatus: 'expired',
+    cardType: 'VISA',
+    cardInfo: { network: 'VISA' },
+    uncertainFields: ['cardholderName'],
+    correctedFields: [],
+    fieldConfidence: {
+      cardNumber: { confidence: 0.9, reasons: ['number_grouped', 'consensus_votes'], lowConfidence: false },
+      expiryDate: { confidence: 0.85, reasons: ['expiry_from_thru_label', 'consensus_votes'], lowConfidence: false },
+      cardholderName: { confidence: 0.45, reasons: ['name_shape_only', 'consensus_unsettled'], lowConfidence: true }
+    },
+    scannedAt: '2026-10-19T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+test('typed corrections replace the scanned values and are reported', () => {
+  const { result, error } = applyCorrections(scanResult(), { cardholderName: '  rahul  sharma ', expiryDate: '08/29' }, ALL_FIELDS);
+
+  assert.equal(error, undefined);
+  assert.equal(result.cardholderName, 'RAHUL SHARMA');
+  assert.equal(result.expiryDate, '08/29');
+  assert.equal(result.expiryStatus, 'valid');
+  assert.deepEqual(result.correctedFields, ['cardholderName', 'expiryDate']);
+  // The user has now checked the uncertain name
+  assert.deepEqual(result.uncertainFields, []);
+  assert.deepEqual(result.fieldConfidence.cardholderName, { confidence: 1, reasons: ['corrected_on_phone'], lowConfidence: false });
+  assert.equal(result.fieldConfidence.cardNumber.confidence, 0.9);
+});
+
+test('confirming unchanged values corrects nothing', () => {
+  const { result } = applyCorrections(scanResult(), { cardholderName: 'platinum rewards', expiryDate: '01/21' }, ALL_FIELDS);
+
+  assert.deepEqual(result.correctedFields, []);
+  assert.deepEqual(result.uncertainFields, ['cardholderName']);
+  assert.equal(result.fieldConfidence.cardholderName.lowConfidence, true);
+  assert.deepEqual(applyCorrections(scanResult(), undefined, ALL_FIELDS).result.correctedFields, []);
+});
+
+test('a cleared name is a correction; invalid values and fields are errors', () => {
+  assert.equal(applyCorrections(scanResult(), { cardholderName: '' }, ALL_FIELDS).result.cardholderName, '');
+
+  for (const corrections of [
+    { expiryDate: '13/29' },
+    { cardholderName: 'RAHUL SHARMA 1' },
+    { cardholderName: 'A'.repeat(27) },
+    { cardholderName: 42 },
+    { cardNumber: '4111111111111111' },
+    []
+  ]) {
+    assert.ok(applyCorrections(scanResult(), corrections, ALL_FIELDS).error, JSON.stringify(corrections));
+  }
+
+  assert.match(applyCorrections(scanResult(), { cardholderName: 'RAHUL' }, ['maskedCardNumber']).error, /cannot be corrected/);
+});
+
+test('mergeRescan takes only the rescanned field from the new scan', () => {
+  const previous = scanResult({ correctedFields: ['expiryDate'], expiryDate: '08/29', expiryStatus: 'valid' });
+  const rescanned = scanResult({
+    cardholderName: 'RAHUL SHARMA',
+    expiryDate: '01/21',
+    uncertainFields: [],
+    fieldConfidence: { cardholderName: { confidence: 0.8, reasons: ['name_near_expiry', 'consensus_votes'], lowConfidence: false } },
+    scannedAt: '2026-10-19T00:01:00.000Z'
+  });
+  const merged = mergeRescan(previous, rescanned, 'cardholderName');
+
+  assert.equal(merged.cardholderName, 'RAHUL SHARMA');
+  assert.equal(merged.expiryDate, '08/29');
+  assert.deepEqual(merged.uncertainFields, []);
+  assert.deepEqual(merged.correctedFields, ['expiryDate', 'cardholderName']);
+  assert.equal(merged.scannedAt, '2026-10-19T00:01:00.000Z');
+  assert.equal(merged.fieldConfidence.cardholderName.confidence, 0.8);
+  assert.equal(merged.fieldConfidence.expiryDate.confidence, 0.85);
+  assert.equal(merged.expiryStatus, 'valid');
+
+  const rescannedExpiry = mergeRescan(scanResult(), scanResult({ expiryDate: '08/29', expiryStatus: 'valid' }), 'expiryDate');
+  assert.equal(rescannedExpiry.expiryStatus, 'valid');
+});
+
+test('rescanning the number replaces what is derived from it, and an identical read is not a correction', () => {
+  const rescanned = scanResult({
+    cardNumber: '378282246310005',
+    maskedCardNumber: '•••• •••••• •0005',
+    cardType: 'AMEX',
+    cardInfo: { network: 'AMEX' },
+    cardholderName: 'SOMEONE ELSE'
+  });
+  const merged = mergeRescan(scanResult(), rescanned, 'cardNumber');
+
+  assert.equal(merged.cardNumber, '378282246310005');
+  assert.equal(merged.cardType, 'AMEX');
+  assert.deepEqual(merged.cardInfo, { network: 'AMEX' });
+  assert.equal(merged.cardholderName, 'PLATINUM REWARDS');
+  assert.deepEqual(merged.correctedFields, ['cardNumber']);
+
+  assert.deepEqual(mergeRescan(scanResult(), scanResult(), 'expiryDate').correctedFields, []);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { SIGNATURE_HEADER, verifyWebhookSignature } = require('../lib/webhooks');
+const { hashApiKey } = require('../lib/tenants');
+const { startTestServer } = require('./helpers/test-server');
+
+const ACME_KEY = { 'X-API-Key': 'sk_test_acme_secret' };
+const GLOBEX_KEY = { 'X-API-Key': 'sk_test_globex_secret' };
+
+let server;
+let receiver;
+let receiverUrl;
+let configDir;
+const deliveries = [];
+
+test.before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      deliveries.push({ url: req.url, headers: req.headers, body });
+      receiver.emit('delivery');
+      res.end();
+    });
+  });
+  receiver.listen(0, '127.0.0.1');
+  await once(receiver, 'listening');
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+
+  // Both tenants post to the same receiver, each under its own path and with its own secret
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-'));
+  const tenantsPath = path.join(configDir, 'tenants.json');
+  fs.writeFileSync(tenantsPath, JSON.stringify({
+    tenants: [
+      {
+        id: 'acme',
+        apiKeyHashes: [hashApiKey('sk_test_acme_secret')],
+        webhooks: { allowedUrls: [`${receiverUrl}/acme`], secretEnv: 'ACME_WEBHOOK_SECRET' }
+      },
+      {
+        id: 'globex',
+        apiKeyHashes: [hashApiKey('sk_test_globex_secret')],
+        webhooks: { allowedUrls: [`${receiverUrl}/globex`], secretEnv: 'GLOBEX_WEBHOOK_SECRET', fullCardNumber: true }
+      },
+      { id: 'initech', apiKeyHashes: [hashApiKey('sk_test_initech_secret')] }
+    ]
+  }));
+
+  server = await startTestServer({
+    TENANTS_PATH: tenantsPath,
+    ACME_WEBHOOK_SECRET: 'whsec_acme',
+    GLOBEX_WEBHOOK_SECRET: 'whsec_globex'
+  });
+});
+
+test.after(async () => {
+  await server.close();
+  await new Promise((resolve) => receiver.close(resolve));
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+async function scanAndWaitForWebhook(session) {
+  const delivered = once(receiver, 'delivery');
+  await server.uploadFrame(session, server.addFrame('HDFC BANK\n4532 6012 3456 7893\nVALID THRU 08/29\nRAHUL SHARMA'));
+  const confirmed = await server.requestJson('POST', '/api/scan/review', {
+    body: { sessionId: session.sessionId, uploadToken: session.uploadToken, action: 'confirm' }
+  });
+  assert.equal(confirmed.status, 200);
+
+  await delivered;
+  return deliveries.at(-1);
+}
+
+test('tenants can only use callback URLs from their own allowlist', async () => {
+  assert.equal((await server.createSession({ callbackUrl: `${receiverUrl}/globex` }, ACME_KEY)).status, 400);
+
+  const disabled = await server.createSession({ callbackUrl: `${receiverUrl}/acme` }, { 'X-API-Key': 'sk_test_initech_secret' });
+  assert.equal(disabled.status, 400);
+  assert.match(disabled.error, /not enabled for this tenant/);
+});
+
+test('webhooks carry the tenant id and the masked number, signed with the tenant secret', async () => {
+  const session = await server.createSession({ callbackUrl: `${receiverUrl}/acme` }, ACME_KEY);
+  const delivery = await scanAndWaitForWebhook(session);
+
+  assert.equal(delivery.url, '/acme');
+  assert.equal(verifyWebhookSignature('whsec_acme', delivery.headers[SIGNATURE_HEADER.toLowerCase()], delivery.body), true);
+  assert.equal(verifyWebhookSignature('whsec_globex', delivery.headers[SIGNATURE_HEADER.toLowerCase()], delivery.body), false);
+
+  const { event, data } = JSON.parse(delivery.body);
+  assert.equal(event, 'scan.completed');
+  assert.equal(data.tenantId, 'acme');
+  assert.equal(data.sessionId, session.sessionId);
+  assert.equal(data.maskedCardNumber, '•••• •••• •••• 7893');
+  assert.equal(data.cardNumber, undefined);
+});
+
+test('tenants that opt in get the full card number', async () => {
+  const session = await server.createSession({ callbackUrl: `${receiverUrl}/globex` }, GLOBEX_KEY);
+  const delivery = await scanAndWaitForWebhook(session);
+
+  assert.equal(verifyWebhookSignature('whsec_globex', delivery.headers[SIGNATURE_HEADER.toLowerCase()], delivery.body), true);
+
+  const { data } = JSON.parse(delivery.body);
+  assert.equal(data.tenantId, 'globex');
+  assert.equal(data.cardNumber, '4532601234567893');
+  assert.equal(data.securityCode, undefined);
+});
@@ -0,0 +1,236 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const e2eCrypto = require('../lib/e2e-crypto');
+const { startTestServer } = require('./helpers/test-server');
+
+const CARD_TEXT = 'HDFC BANK\n4532 6012 3456 7893\nVALID THRU 08/29\nRAHUL SHARMA\nVISA';
+const WRONG_TOKEN = 'not-the-token';
+
+let server;
+
+test.before(async () => {
+  server = await startTestServer();
+});
+
+test.after(() => server.close());
+
+test('a new session hands out separate desktop and upload tokens', async () => {
+  const session = await server.createSession();
+
+  assert.equal(session.status, 200);
+  assert.ok(session.desktopToken);
+  assert.ok(session.uploadToken);
+  assert.notEqual(session.desktopToken, session.uploadToken);
+  // Only the fragment carries the upload token, so it never reaches server logs or Referer headers
+  assert.ok(!new URL(session.mobileUrl).search.includes(session.uploadToken));
+});
+
+test('a session is not stored when the scanner link cannot be built', async () => {
+  const before = (await server.requestJson('GET', '/api/health')).body.activeSessions;
+  process.env.PUBLIC_BASE_URL = 'not a url';
+
+  try {
+    assert.equal((await server.createSession()).status, 500);
+  } finally {
+    delete process.env.PUBLIC_BASE_URL;
+  }
+
+  assert.equal((await server.requestJson('GET', '/api/health')).body.activeSessions, before);
+});
+
+test('end-to-end sessions cannot send their result to a webhook', async () => {
+  const { publicKey } = await e2eCrypto.generateKeyPair();
+  const session = await server.createSession({ publicKey: await e2eCrypto.exportPublicKey(publicKey), callbackUrl: 'https://api.example.com/hooks' });
+
+  assert.equal(session.status, 400);
+  assert.match(session.error, /end-to-end/);
+});
+
+test('desktop routes refuse a wrong desktop token', async () => {
+  const session = await server.createSession();
+  const headers = { 'X-Desktop-Token': WRONG_TOKEN };
+
+  assert.equal((await server.getData(session, WRONG_TOKEN)).status, 403);
+  assert.equal((await server.getData(session, session.uploadToken)).status, 403);
+  assert.equal((await server.request('GET', `/api/events?sessionId=${session.sessionId}`, { headers })).status, 403);
+  assert.equal((await server.requestJson('POST', `/api/session/${session.sessionId}/ack`, { headers })).status, 403);
+  assert.equal((await server.requestJson('DELETE', `/api/session/${session.sessionId}`, { headers })).status, 403);
+  assert.equal((await server.getData({ sessionId: 'unknown' }, session.desktopToken)).status, 404);
+});
+
+test('phone routes refuse a wrong upload token', async () => {
+  const session = await server.createSession();
+  const wrong = { ...session, uploadToken: WRONG_TOKEN };
+  const body = { sessionId: session.sessionId, uploadToken: WRONG_TOKEN };
+
+  assert.equal((await server.uploadFrame(wrong, server.addFrame(CARD_TEXT))).status, 403);
+  assert.equal((await server.requestJson('POST', '/api/progress', { body: { ...body, stage: 'camera_ready' } })).status, 403);
+  assert.equal((await server.requestJson('POST', '/api/scan/fields', { body: { ...body, fields: {} } })).status, 403);
+  assert.equal((await server.requestJson('POST', '/api/scan/review', { body: { ...body, action: 'confirm' } })).status, 403);
+  // The desktop token is not an upload token
+  assert.equal((await server.uploadFrame({ ...session, uploadToken: session.desktopToken }, server.addFrame(CARD_TEXT))).status, 403);
+});
+
+test('phone progress reaches the desktop', async () => {
+  const session = await server.createSession();
+  const body = { sessionId: session.sessionId, uploadToken: session.uploadToken };
+
+  assert.equal((await server.requestJson('POST', '/api/progress', { body: { ...body, stage: 'nonsense' } })).status, 400);
+  assert.equal((await server.requestJson('POST', '/api/progress', { body: { ...body, stage: 'camera_ready' } })).status, 200);
+
+  const { body: pending } = await server.getData(session);
+  assert.equal(pending.status, 'pending');
+  assert.equal(pending.progress.stage, 'camera_ready');
+  assert.ok(pending.progress.cameraReadyAt);
+});
+
+test('a frame without a card number is 422 and counted as a failed attempt', async () => {
+  const session = await server.createSession();
+  const { status } = await server.uploadFrame(session, server.addFrame('HDFC BANK\nRAHUL SHARMA'));
+
+  assert.equal(status, 422);
+  assert.equal((await server.getData(session)).body.progress.failedAttempts, 1);
+});
+
+test('a scan is reviewed on the phone, then delivered to the desktop once', async () => {
+  const session = await server.createSession();
+
+  const review = await server.uploadFrame(session, server.addFrame(CARD_TEXT));
+  assert.equal(review.status, 202);
+  assert.equal(review.body.status, 'review');
+  assert.equal(review.body.data.maskedCardNumber, '•••• •••• •••• 7893');
+  assert.equal(review.body.data.cardNumber, undefined);
+
+  // More frames are refused until the review is answered
+  const duringReview = await server.uploadFrame(session, server.addFrame(CARD_TEXT));
+  assert.equal(duringReview.status, 400);
+  assert.equal(duringReview.body.status, 'review');
+  assert.equal((await server.getData(session)).body.progress.stage, 'review');
+
+  const confirmed = await server.requestJson('POST', '/api/scan/review', {
+    body: { sessionId: session.sessionId, uploadToken: session.uploadToken, action: 'confirm', corrections: { cardholderName: 'Rahul K Sharma' } }
+  });
+  assert.equal(confirmed.status, 200);
+  assert.equal(confirmed.body.status, 'ready');
+
+  const delivered = await server.getData(session);
+  assert.equal(delivered.status, 200);
+  assert.equal(delivered.body.data.cardNumber, '4532601234567893');
+  assert.equal(delivered.body.data.cardholderName, 'RAHUL K SHARMA');
+  assert.deepEqual(delivered.body.data.correctedFields, ['cardholderName']);
+
+  const again = await server.getData(session);
+  assert.equal(again.status, 410);
+  assert.equal(again.body.status, 'consumed');
+  assert.equal((await server.uploadFrame(session, server.addFrame(CARD_TEXT))).status, 409);
+  assert.equal((await server.requestJson('POST', `/api/session/${session.sessionId}/ack`, {
+    headers: { 'X-Desktop-Token': session.desktopToken }
+  })).body.status, 'consumed');
+});
+
+test('review answers are validated', async () => {
+  const session = await server.createSession();
+  const body = { sessionId: session.sessionId, uploadToken: session.uploadToken };
+
+  assert.equal((await server.requestJson('POST', '/api/scan/review', { body: { ...body, action: 'confirm' } })).status, 400);
+
+  await server.uploadFrame(session, server.addFrame(CARD_TEXT));
+  assert.equal((await server.requestJson('POST', '/api/scan/review', { body: { ...body, action: 'rescan', field: 'cvv' } })).status, 400);
+  assert.equal((await server.requestJson('POST', '/api/scan/review', {
+    body: { ...body, action: 'confirm', corrections: { expiryDate: '13/29' } }
+  })).status, 400);
+
+  const rescan = await server.requestJson('POST', '/api/scan/review', { body: { ...body, action: 'rescan', field: 'expiryDate' } });
+  assert.equal(rescan.status, 200);
+  assert.equal(rescan.body.rescanField, 'expiryDate');
+  assert.equal((await server.uploadFrame(session, server.addFrame(CARD_TEXT))).body.status, 'review');
+});
+
+test('acknowledging needs a delivery, and a cancelled session is closed to both sides', async () => {
+  const session = await server.createSession();
+  const headers = { 'X-Desktop-Token': session.desktopToken };
+
+  assert.equal((await server.requestJson('POST', `/api/session/${session.sessionId}/ack`, { headers })).status, 409);
+
+  const cancelled = await server.requestJson('DELETE', `/api/session/${session.sessionId}`, { headers });
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.status, 'cancelled');
+
+  assert.equal((await server.getData(session)).status, 410);
+  assert.equal((await server.requestJson('POST', `/api/session/${session.sessionId}/ack`, { headers })).status, 410);
+  assert.equal((await server.uploadFrame(session, server.addFrame(CARD_TEXT))).status, 409);
+});
+
+test('device OCR sessions take re-validated fields instead of images', async () => {
+  const session = await server.createSession({ ocrMode: 'device' });
+  const body = { sessionId: session.sessionId, uploadToken: session.uploadToken };
+
+  assert.equal((await server.createSession({ ocrMode: 'phone' })).status, 400);
+  assert.equal((await server.uploadFrame(session, server.addFrame(CARD_TEXT))).status, 400);
+  assert.equal((await server.requestJson('POST', '/api/scan/fields', { body: { ...body, fields: 'nope' } })).status, 400);
+
+  const badNumber = await server.requestJson('POST', '/api/scan/fields', {
+    body: { ...body, fields: { cardNumber: { value: '4532601234567890', confidence: 0.9 } } }
+  });
+  assert.equal(badNumber.status, 422);
+
+  const review = await server.requestJson('POST', '/api/scan/fields', {
+    body: {
+      ...body,
+      fields: {
+        cardNumber: { value: '4532601234567893', confidence: 0.9 },
+        expiryDate: { value: '08/29', confidence: 0.9 },
+        cardholderName: { value: 'RAHUL SHARMA', confidence: 0.85 }
+      }
+    }
+  });
+  assert.equal(review.status, 202);
+  assert.equal(review.body.status, 'review');
+  assert.deepEqual(review.body.data.fieldConfidence.cardNumber.reasons, ['read_on_device', 'consensus_votes']);
+});
+
+test('the event stream sends the current status, then each change', async () => {
+  const session = await server.createSession();
+  const response = await server.request('GET', `/api/events?sessionId=${session.sessionId}`, {
+    headers: { 'X-Desktop-Token': session.desktopToken }
+  });
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  async function readEvent() {
+    let text = '';
+    while (!text.includes('\n\n')) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      text += decoder.decode(value);
+    }
+    return JSON.parse(text.match(/^data: (.*)$/m)[1]);
+  }
+
+  assert.equal((await readEvent()).status, 'pending');
+
+  await server.requestJson('DELETE', `/api/session/${session.sessionId}`, { headers: { 'X-Desktop-Token': session.desktopToken } });
+  assert.equal((await readEvent()).status, 'cancelled');
+
+  await reader.cancel();
+});
+
+test('only the scanner page and its OCR worker may compile WebAssembly', async () => {
+  const csp = async (urlPath) => (await server.request('GET', urlPath)).headers.get('content-security-policy');
+
+  assert.doesNotMatch(await csp('/'), /wasm-unsafe-eval/);
+  assert.doesNotMatch(await csp('/index.html'), /wasm-unsafe-eval/);
+  assert.match(await csp('/scanner.html'), /script-src 'self' https:\/\/code.jquery.com 'wasm-unsafe-eval'/);
+  assert.match(await csp('/scanner'), /wasm-unsafe-eval/);
+  assert.match(await csp('/vendor/tesseract/worker.min.js'), /wasm-unsafe-eval/);
+});
+
+test('the on-device OCR model is served locally', async () => {
+  const response = await server.request('GET', '/vendor/tesseract-data/eng/4.0.0_best_int/eng.traineddata.gz');
+
+  assert.equal(response.status, 200);
+  assert.ok((await response.arrayBuffer()).byteLength > 0);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { parseKeyring, createSessionCipher } = require('../lib/session-crypto');
+
+function makeKey(id) {
+  return { id, key: crypto.randomBytes(32) };
+}
+
+const cardData = {
+  cardNumber: '4532601234567893',
+  cardholderName: 'RAHUL SHARMA',
+  expiryDate: '08/29'
+};
+
+test('sealed session data round-trips without exposing plaintext', () => {
+  const cipher = createSessionCipher({ keys: [makeKey('k1')] });
+  const envelope = cipher.seal('session-1', cardData);
+  const serialized = JSON.stringify(envelope);
+
+  assert.equal(envelope.kid, 'k1');
+  assert.ok(!serialized.includes('4532601234567893'));
+  assert.ok(!serialized.includes('RAHUL'));
+  assert.deepEqual(cipher.open('session-1', envelope), cardData);
+});
+
+test('envelopes are bound to their session', () => {
+  const cipher = createSessionCipher({ keys: [makeKey('k1')] });
+  const envelope = cipher.seal('session-1', cardData);
+
+  assert.throws(() => cipher.open('session-2', envelope));
+});
+
+test('tampered ciphertext is rejected', () => {
+  const cipher = createSessionCipher({ keys: [makeKey('k1')] });
+  const envelope = cipher.seal('session-1', cardData);
+  const data = Buffer.from(envelope.data, 'base64');
+  data[0] ^= 1;
+
+  assert.throws(() => cipher.open('session-1', { ...envelope, data: data.toString('base64') }));
+});
+
+test('rotated keyring still opens data sealed with the previous key', () => {
+  const oldKey = makeKey('2026-01');
+  const newKey = makeKey('2026-02');
+  const envelope = createSessionCipher({ keys: [oldKey] }).seal('session-1', cardData);
+  const rotated = createSessionCipher({ keys: [newKey, oldKey] });
+
+  assert.equal(rotated.seal('session-1', cardData).kid, '2026-02');
+  assert.deepEqual(rotated.open('session-1', envelope), cardData);
+  assert.throws(
+    () => createSessionCipher({ keys: [newKey] }).open('session-1', envelope),
+    /unknown key "2026-01"/
+  );
+});
+
+test('parseKeyring validates entries', () => {
+  const key = crypto.randomBytes(32).toString('base64');
+
+  assert.deepEqual(parseKeyring(`a:${key}, b:${key}`).map(({ id }) => id), ['a', 'b']);
+  assert.throws(() => parseKeyring(key), /must look like/);
+  assert.throws(() => parseKeyring('a:c2hvcnQ='), /32 bytes/);
+  assert.throws(() => parseKeyring(' , '), /does not contain any keys/);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionStore } = require('../lib/session-store');
+const { createRedisSessionStore } = require('../lib/session-store/redis');
+const { createFakeRedisServer } = require('./helpers/fake-redis');
+
+function createSession(ttlMs = 60_000) {
+  const createdAt = Date.now();
+  return {
+    createdAt,
+    expiresAt: createdAt + ttlMs,
+    status: 'pending',
+    progress: { stage: 'waiting' },
+    data: null
+  };
+}
+
+const storeFactories = {
+  memory: () => createSessionStore('memory'),
+  redis: () => {
+    const server = createFakeRedisServer();
+    const client = server.createClient();
+    return createRedisSessionStore({ client, subscriber: client.duplicate() });
+  }
+};
+
+for (const [name, createStore] of Object.entries(storeFactories)) {
+  test.describe(`${name} session store`, () => {
+    test('round-trips sessions as copies that must be saved explicitly', async () => {
+      const store = createStore();
+      const session = createSession();
+
+      await store.set('abc', session);
+      const loaded = await store.get('abc');
+      loaded.status = 'ready';
+
+      assert.deepEqual(await store.get('abc'), session);
+
+      await store.set('abc', loaded);
+      assert.equal((await store.get('abc')).status, 'ready');
+      await store.close();
+    });
+
+    test('delete removes the session', async () => {
+      const store = createStore();
+      await store.set('abc', createSession());
+      await store.delete('abc');
+
+      assert.equal(await store.get('abc'), null);
+      await store.close();
+    });
+
+    test('claim succeeds once per session and name', async () => {
+      const store = createStore();
+      const session = createSession();
+      await store.set('abc', session);
+
+      assert.equal(await store.claim('abc', 'delivery', session.expiresAt), true);
+      assert.equal(await store.claim('abc', 'delivery', session.expiresAt), false);
+      assert.equal(await store.claim('abc', 'ack', session.expiresAt), true);
+
+      await store.set('abc', { ...session, status: 'consumed' });
+      assert.equal(await store.claim('abc', 'delivery', session.expiresAt), false);
+      await store.close();
+    });
+
+    test('publishes events to subscribers until they unsubscribe', async () => {
+      const store = createStore();
+      const received = [];
+
+      const unsubscribe = await store.subscribe('abc', (event) => received.push(event));
+      await store.publish('abc', { status: 'ready' });
+      await store.publish('other', { status: 'ready' });
+      await unsubscribe();
+      await store.publish('abc', { status: 'expired' });
+
+      assert.deepEqual(received, [{ status: 'ready' }]);
+      await store.close();
+    });
+  });
+}
+
+test('memory store cleanup returns and removes expired sessions', async () => {
+  const store = createSessionStore('memory');
+  await store.set('live', createSession());
+  await store.set('stale', createSession(-1));
+
+  assert.deepEqual(await store.cleanup(), ['stale']);
+  assert.equal(await store.get('stale'), null);
+  assert.equal(await store.count(), 1);
+});
+
+test('redis store relies on native key TTL derived from expiresAt', async () => {
+  const server = createFakeRedisServer();
+  const client = server.createClient();
+  const store = createRedisSessionStore({ client, subscriber: client.duplicate(), keyPrefix: 'test:' });
+
+  await store.set('abc', createSession(5_000));
+  const ttl = await client.pttl('test:abc');
+  assert.ok(ttl > 0 && ttl <= 5_000);
+
+  await store.set('gone', createSession(-1));
+  assert.equal(await store.get('gone'), null);
+  assert.deepEqual(await store.cleanup(), []);
+});
+
+test('redis store delivers events across instances sharing one server', async () => {
+  const server = createFakeRedisServer();
+  const connect = () => {
+    const client = server.createClient();
+    return createRedisSessionStore({ client, subscriber: client.duplicate() });
+  };
+  const desktopInstance = connect();
+  const phoneInstance = connect();
+  const received = [];
+
+  await desktopInstance.subscribe('abc', (event) => received.push(event));
+  await phoneInstance.set('abc', createSession());
+  await phoneInstance.publish('abc', { status: 'ready' });
+
+  assert.deepEqual(received, [{ status: 'ready' }]);
+  assert.equal((await desktopInstance.get('abc')).status, 'pending');
+});
+
+test('redis store requires REDIS_URL', () => {
+  assert.throws(() => createSessionStore('redis', { redisUrl: '' }), /REDIS_URL must be set/);
+});
+
+test('unknown session stores are rejected', () => {
+  assert.throws(() => createSessionStore('nope'), /Unknown SESSION_STORE/);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createSessionToken,
+  hashSessionToken,
+  verifySessionToken,
+  readCookie
+} = require('../lib/session-tokens');
+
+test('tokens verify only against their own hash', () => {
+  const token = createSessionToken();
+  const hash = hashSessionToken(token);
+
+  assert.notEqual(hash, token);
+  assert.equal(verifySessionToken(token, hash), true);
+  assert.equal(verifySessionToken(createSessionToken(), hash), false);
+});
+
+test('missing tokens or hashes never verify', () => {
+  const token = createSessionToken();
+
+  assert.equal(verifySessionToken('', hashSessionToken('')), false);
+  assert.equal(verifySessionToken(undefined, hashSessionToken(token)), false);
+  assert.equal(verifySessionToken(token, undefined), false);
+  assert.equal(verifySessionToken(['x'], hashSessionToken('x')), false);
+});
+
+test('readCookie finds a named cookie in a Cookie header', () => {
+  const header = 'theme=dark; cardscan_desktop_abc=tok%2Dvalue; other=1';
+
+  assert.equal(readCookie(header, 'cardscan_desktop_abc'), 'tok-value');
+  assert.equal(readCookie(header, 'cardscan_desktop_xyz'), '');
+  assert.equal(readCookie(undefined, 'theme'), '');
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  TENANT_FIELDS,
+  hashApiKey,
+  createDefaultTenant,
+  loadTenants,
+  createTenantRegistry,
+  filterScanResult
+} = require('../lib/tenants');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'tenants.json');
+
+function writeConfig(t, config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const filePath = path.join(dir, 'tenants.json');
+  fs.writeFileSync(filePath, JSON.stringify(config));
+  return filePath;
+}
+
+test('loadTenants normalizes settings and fills defaults', () => {
+  const [acme, globex] = loadTenants(FIXTURE_PATH);
+
+  assert.equal(acme.sessionTtlMs, 180_000);
+  assert.deepEqual(acme.allowedOrigins, ['https://checkout.acme.example']);
+  assert.deepEqual(acme.rateLimits.sessions, { limit: 10, windowMs: 60_000 });
+  assert.deepEqual(acme.rateLimits.scans, { limit: 180, windowMs: 60_000 });
+  assert.deepEqual(acme.rateLimits.progress, { limit: 120, windowMs: 60_000 });
+  assert.equal(acme.expiredCards, 'block');
+
+  assert.equal(globex.name, 'globex');
+  assert.equal(globex.sessionTtlMs, 300_000);
+  assert.deepEqual(globex.fields, TENANT_FIELDS);
+  assert.deepEqual(globex.allowedOrigins, []);
+  assert.equal(globex.expiredCards, undefined);
+  assert.equal(globex.webhooks, null);
+});
+
+test('tenant webhooks read their signing secret from the named environment variable', (t) => {
+  const config = {
+    tenants: [{ id: 'a', webhooks: { allowedUrls: ['https://api.a.example/hooks'], secretEnv: 'A_WEBHOOK_SECRET' } }]
+  };
+  const [tenant] = loadTenants(writeConfig(t, config), { A_WEBHOOK_SECRET: 'whsec_a' });
+
+  assert.equal(tenant.webhooks.secret, 'whsec_a');
+  assert.equal(tenant.webhooks.fullCardNumber, false);
+  assert.deepEqual(tenant.webhooks.allowlist.map((entry) => entry.origin), ['https://api.a.example']);
+
+  assert.throws(() => loadTenants(writeConfig(t, config), {}), /webhooks.secretEnv/);
+});
+
+test('registry resolves tenants by API key and publishable key', () => {
+  const registry = createTenantRegistry(loadTenants(FIXTURE_PATH));
+
+  assert.equal(registry.findByApiKey('sk_test_acme_secret').id, 'acme');
+  assert.equal(registry.findByApiKey('sk_test_globex_secret').id, 'globex');
+  assert.equal(registry.findByApiKey('sk_test_unknown'), null);
+  assert.equal(registry.findByApiKey(''), null);
+  assert.equal(registry.findByPublishableKey('pk_acme_0123456789abcdef').id, 'acme');
+  assert.equal(registry.findByPublishableKey(hashApiKey('sk_test_acme_secret')), null);
+  assert.equal(registry.get('globex').id, 'globex');
+  assert.equal(registry.get('nope'), null);
+});
+
+test('invalid tenant configs are rejected', (t) => {
+  const cases = [
+    [{ tenants: [] }, /non-empty "tenants" array/],
+    [{ tenants: [{ id: 'bad id!' }] }, /needs an "id"/],
+    [{ tenants: [{ id: 'a', apiKeyHashes: ['sk_live_plaintext'] }] }, /SHA-256 hex digests/],
+    [{ tenants: [{ id: 'a', sessionTtlSec: 5 }] }, /sessionTtlSec must be/],
+    [{ tenants: [{ id: 'a', fields: ['cvv'] }] }, /fields must be a non-empty subset/],
+    [{ tenants: [{ id: 'a', allowedOrigins: ['checkout.example'] }] }, /not a valid URL/],
+    [{ tenants: [{ id: 'a', rateLimits: { scans: { limit: 0 } } }] }, /rateLimits.scans.limit/],
+    [{ tenants: [{ id: 'a', expiredCards: 'reject' }] }, /expiredCards must be one of warn, block/],
+    [{ tenants: [{ id: 'a', webhooks: { allowedUrls: [] } }] }, /webhooks.allowedUrls must be/],
+    [{ tenants: [{ id: 'a', webhooks: { allowedUrls: ['api.a.example'], secretEnv: 'PATH' } }] }, /webhooks.allowedUrls entry/]
+  ];
+
+  for (const [config, pattern] of cases) {
+    assert.throws(() => loadTenants(writeConfig(t, config)), pattern);
+  }
+});
+
+test('duplicate ids and keys across tenants are rejected', () => {
+  const [acme] = loadTenants(FIXTURE_PATH);
+
+  assert.throws(() => createTenantRegistry([acme, { ...acme }]), /Duplicate tenant id/);
+  assert.throws(
+    () => createTenantRegistry([acme, { ...acme, id: 'copy', publishableKeys: [] }]),
+    /Duplicate tenant API key/
+  );
+});
+
+test('default tenant keeps the single-tenant behaviour', () => {
+  const tenant = createDefaultTenant({ allowedOrigins: ['https://shop.example.com'] });
+
+  assert.equal(tenant.id, 'default');
+  assert.equal(tenant.sessionTtlMs, 300_000);
+  assert.deepEqual(tenant.fields, TENANT_FIELDS);
+  assert.deepEqual(tenant.rateLimits.sessions, { limit: 60, windowMs: 600_000 });
+  assert.deepEqual(tenant.allowedOrigins, ['https://shop.example.com']);
+  assert.equal(tenant.webhooks, null);
+});
+
+test('securityCode is only granted when listed or enabled for the default tenant', (t) => {
+  const [, globex] = loadTenants(FIXTURE_PATH);
+  assert.equal(globex.fields.includes('securityCode'), false);
+
+  const [listed] = loadTenants(writeConfig(t, { tenants: [{ id: 'a', fields: ['cardNumber', 'securityCode'] }] }));
+  assert.deepEqual(listed.fields, ['cardNumber', 'securityCode']);
+
+  assert.deepEqual(createDefaultTenant({ allowSecurityCode: true }).fields, [...TENANT_FIELDS, 'securityCode']);
+});
+
+test('filterScanResult returns only the tenant fields plus scannedAt', () => {
+  const [acme] = loadTenants(FIXTURE_PATH);
+  const scanResult = {
+    cardNumber: '4532601234567893',
+    maskedCardNumber: '•••• •••• •••• 7893',
+    cardholderName: 'RAHUL SHARMA',
+    expiryDate: '08/29',
+    cardType: 'VISA',
+    cardInfo: null,
+    scannedAt: '2026-10-19T00:00:00.000Z'
+  };
+
+  assert.deepEqual(filterScanResult(acme, scanResult), {
+    maskedCardNumber: '•••• •••• •••• 7893',
+    expiryDate: '08/29',
+    cardType: 'VISA',
+    scannedAt: '2026-10-19T00:00:00.000Z'
+  });
+});
+
+test('filterScanResult only reports uncertainty, corrections and confidence for fields the tenant receives', () => {
+  const [acme] = loadTenants(FIXTURE_PATH);
+  const filtered = filterScanResult(acme, {
+    maskedCardNumber: '•••• •••• •••• 7893',
+    cardholderName: 'RAHUL SHARMA',
+    expiryDate: '08/29',
+    cardType: 'VISA',
+    uncertainFields: ['expiryDate', 'cardholderName'],
+    correctedFields: ['cardholderName', 'expiryDate'],
+    fieldConfidence: {
+      cardNumber: { confidence: 0.9, reasons: ['number_grouped', 'consensus_votes'], lowConfidence: false },
+      cardholderName: { confidence: 0.45, reasons: ['name_near_expiry', 'consensus_votes'], lowConfidence: true }
+    },
+    scannedAt: '2026-10-19T00:00:00.000Z'
+  });
+
+  assert.deepEqual(filtered.uncertainFields, ['expiryDate']);
+  assert.deepEqual(filtered.correctedFields, ['expiryDate']);
+  assert.deepEqual(filtered.fieldConfidence, {});
+  assert.equal(filtered.cardholderName, undefined);
+});
+
+test('filterScanResult only reports the expiry status to tenants that receive the expiry', () => {
+  const [acme] = loadTenants(FIXTURE_PATH);
+  const scanResult = { maskedCardNumber: '•••• •••• •••• 7893', expiryDate: '08/21', expiryStatus: 'expired' };
+
+  assert.equal(filterScanResult(acme, scanResult).expiryStatus, 'expired');
+  assert.equal(filterScanResult({ ...acme, fields: ['maskedCardNumber'] }, scanResult).expiryStatus, undefined);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+  SIGNATURE_HEADER,
+  parseWebhookAllowlist,
+  readWebhookConfigFromEnv,
+  isCallbackUrlAllowed,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  createWebhookSender
+} = require('../lib/webhooks');
+
+const silentLogger = { error() {} };
+
+// Local stand-in for a tenant backend: answers with the queued status codes, then 200
+async function startReceiver(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body, url: req.url });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/hooks/card-scan`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+test('callback URLs must match an allowlisted origin and path prefix', () => {
+  const allowlist = parseWebhookAllowlist('https://api.example.com/hooks, https://ops.example.com/');
+
+  assert.equal(isCallbackUrlAllowed('https://api.example.com/hooks', allowlist), true);
+  assert.equal(isCallbackUrlAllowed('https://api.example.com/hooks/card-scan?tenant=1', allowlist), true);
+  assert.equal(isCallbackUrlAllowed('https://ops.example.com/anything', allowlist), true);
+  assert.equal(isCallbackUrlAllowed('https://api.example.com/hooksevil', allowlist), false);
+  assert.equal(isCallbackUrlAllowed('https://api.example.com/other', allowlist), false);
+  assert.equal(isCallbackUrlAllowed('http://api.example.com/hooks', allowlist), false);
+  assert.equal(isCallbackUrlAllowed('https://user:pw@api.example.com/hooks', allowlist), false);
+  assert.equal(isCallbackUrlAllowed('not a url', allowlist), false);
+  assert.throws(() => parseWebhookAllowlist('api.example.com'), /not a valid URL/);
+});
+
+test('readWebhookConfigFromEnv needs a secret once callbacks are allowlisted', () => {
+  assert.equal(readWebhookConfigFromEnv({}), null);
+  assert.throws(() => readWebhookConfigFromEnv({ WEBHOOK_ALLOWED_URLS: 'https://api.example.com/hooks' }), /WEBHOOK_SECRET/);
+
+  const config = readWebhookConfigFromEnv({ WEBHOOK_ALLOWED_URLS: 'https://api.example.com/hooks', WEBHOOK_SECRET: 'whsec_test' });
+  assert.equal(config.secret, 'whsec_test');
+  assert.equal(config.fullCardNumber, false);
+  assert.equal(config.allowlist.length, 1);
+});
+
+test('requireHttps rejects plain http callbacks even when allowlisted', () => {
+  const allowlist = parseWebhookAllowlist('http://localhost:4000/');
+
+  assert.equal(isCallbackUrlAllowed('http://localhost:4000/hook', allowlist), true);
+  assert.equal(isCallbackUrlAllowed('http://localhost:4000/hook', allowlist, { requireHttps: true }), false);
+});
+
+test('signatures verify against the exact body, secret and time window', () => {
+  const body = '{"event":"scan.completed"}';
+  const now = Date.now();
+  const header = signWebhookPayload('secret', body, Math.floor(now / 1000));
+
+  assert.equal(verifyWebhookSignature('secret', header, body, { now }), true);
+  assert.equal(verifyWebhookSignature('other', header, body, { now }), false);
+  assert.equal(verifyWebhookSignature('secret', header, body.replace('completed', 'expired'), { now }), false);
+  assert.equal(verifyWebhookSignature('secret', header, body, { now: now + 10 * 60 * 1000 }), false);
+  assert.equal(verifyWebhookSignature('secret', 'garbage', body, { now }), false);
+});
+
+test('sender posts a signed payload and retries retryable failures with backoff', async (t) => {
+  const receiver = await startReceiver([503, 429]);
+  t.after(() => receiver.close());
+
+  const sender = createWebhookSender({ secret: 'whsec', baseDelayMs: 5, logger: silentLogger });
+  const result = await sender.send(receiver.url, 'scan.completed', { sessionId: 's1', cardType: 'VISA' });
+
+  assert.equal(result.delivered, true);
+  assert.equal(result.attempts, 3);
+  assert.equal(receiver.requests.length, 3);
+
+  const last = receiver.requests[2];
+  const payload = JSON.parse(last.body);
+  assert.equal(payload.event, 'scan.completed');
+  assert.equal(payload.id, result.deliveryId);
+  assert.deepEqual(payload.data, { sessionId: 's1', cardType: 'VISA' });
+  assert.equal(last.headers['x-cardscan-event'], 'scan.completed');
+  assert.equal(last.headers['x-cardscan-delivery'], result.deliveryId);
+  assert.equal(verifyWebhookSignature('whsec', last.headers[SIGNATURE_HEADER.toLowerCase()], last.body), true);
+  assert.equal(receiver.requests[0].body, last.body);
+});
+
+test('sender gives up on non-retryable responses and after maxAttempts', async (t) => {
+  const receiver = await startReceiver([400, 500, 500, 500]);
+  t.after(() => receiver.close());
+
+  const sender = createWebhookSender({ secret: 'whsec', baseDelayMs: 1, maxAttempts: 3, logger: silentLogger });
+
+  assert.equal((await sender.send(receiver.url, 'scan.expired', {})).attempts, 1);
+
+  const exhausted = await sender.send(receiver.url, 'scan.expired', {});
+  assert.equal(exhausted.delivered, false);
+  assert.equal(exhausted.attempts, 3);
+  assert.equal(receiver.requests.length, 4);
+});
+
+test('close stops pending retries', async () => {
+  const fetchImpl = async () => ({ ok: false, status: 503 });
+  const sender = createWebhookSender({ secret: 'whsec', baseDelayMs: 60_000, fetchImpl, logger: silentLogger });
+
+  const pending = sender.send('https://api.example.com/hooks', 'scan.completed', {});
+  setImmediate(() => sender.close());
+
+  const result = await pending;
+  assert.equal(result.delivered, false);
+  assert.equal(result.attempts, 1);
+});
+
+test('network errors are retried', async () => {
+  let calls = 0;
+  const fetchImpl = async () => {
+    calls += 1;
+    if (calls < 2) throw new Error('ECONNREFUSED');
+    return { ok: true, status: 200 };
+  };
+
+  const sender = createWebhookSender({ secret: 'whsec', baseDelayMs: 1, fetchImpl, logger: silentLogger });
+  const result = await sender.send('https://api.example.com/hooks', 'scan.completed', {});
+
+  assert.equal(result.delivered, true);
+  assert.equal(calls, 2);
+});